@@ -11,6 +11,72 @@ class RequestQueue {
         this.processing = false;
         this.batchSize = 5;
         this.batchDelay = 50; // ms
+
+        // 📦 번역 요청 병합 (같은 설정의 번역을 translate-batch 한 번으로)
+        this.pendingTranslations = new Map();
+        this.maxSegmentsPerBatch = 20;
+        this.maxCharsPerBatch = 20000; // 서버 MAX_BATCH_TOTAL_CHARS와 동일
+        this.nextSegmentId = 0;
+    }
+
+    // 번역 요청 추가 - batchDelay 동안 모인 같은 설정의 요청을 하나의 배치로 전송
+    addTranslation(text, targetLang, options = {}) {
+        const groupKey = JSON.stringify([
+            targetLang,
+            options.domain || 'general',
+            options.qualityLevel || 3,
+            options.model || 'auto',
+            options.getPronunciation !== false,
+            options.authToken || '',
+            options.terminology || []
+        ]);
+
+        return new Promise((resolve, reject) => {
+            let group = this.pendingTranslations.get(groupKey);
+            // 합치면 서버 배치 길이 제한을 넘는 경우 모인 요청부터 먼저 전송
+            if (group && group.chars + String(text).length > this.maxCharsPerBatch) {
+                clearTimeout(group.timer);
+                this.flushTranslations(groupKey);
+                group = null;
+            }
+            if (!group) {
+                group = { targetLang, options, items: [], chars: 0, timer: null };
+                this.pendingTranslations.set(groupKey, group);
+                group.timer = setTimeout(() => this.flushTranslations(groupKey), this.batchDelay);
+            }
+
+            group.items.push({ id: String(this.nextSegmentId++), text, resolve, reject });
+            group.chars += String(text).length;
+
+            if (group.items.length >= this.maxSegmentsPerBatch) {
+                clearTimeout(group.timer);
+                this.flushTranslations(groupKey);
+            }
+        });
+    }
+
+    flushTranslations(groupKey) {
+        const group = this.pendingTranslations.get(groupKey);
+        if (!group) return;
+        this.pendingTranslations.delete(groupKey);
+
+        const segments = group.items.map(({ id, text }) => ({ id, text }));
+        console.log(`[API] 번역 요청 ${segments.length}개 배치로 병합`);
+
+        // 기존 큐를 거쳐 실행 (동시 요청 수 제한 유지)
+        this.add(() => translateBatch(segments, group.targetLang, group.options))
+            .then(data => {
+                const resultsById = new Map((data.results || []).map(r => [r.id, r]));
+                group.items.forEach(item => {
+                    const result = resultsById.get(item.id);
+                    if (result && result.success) {
+                        item.resolve(result);
+                    } else {
+                        item.reject(new Error(result?.error || '배치 응답에 세그먼트 결과가 없습니다'));
+                    }
+                });
+            })
+            .catch(error => group.items.forEach(item => item.reject(error)));
     }
 
     async add(requestFn) {
@@ -111,6 +177,38 @@ export async function translateWithCache(text, sourceLang, targetLang, options =
     });
 }
 
+// ========== 📦 배치 번역 API ==========
+export async function translateBatch(segments, targetLang, options = {}) {
+    const response = await fetch(API_URL, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            ...(options.authToken && { 'Authorization': `Bearer ${options.authToken}` })
+        },
+        body: JSON.stringify({
+            action: 'translate-batch',
+            segments,
+            targetLang,
+            getPronunciation: options.getPronunciation !== false,
+            qualityLevel: options.qualityLevel || 3,
+            model: options.model || 'auto',
+            domain: options.domain || 'general',
+            terminology: options.terminology || []
+        })
+    });
+
+    if (!response.ok) {
+        throw new Error(`배치 번역 API 오류: ${response.status}`);
+    }
+
+    return response.json();
+}
+
+// 개별 번역 요청을 큐에서 배치로 병합 (체크리스트처럼 줄 단위로 연속 요청할 때)
+export function translateCoalesced(text, targetLang, options = {}) {
+    return requestQueue.addTranslation(text, targetLang, options);
+}
+
 // ========== TTS API (중복 방지) ==========
 export async function getTTSWithCache(text, language, options = {}) {
     const cacheKey = `tts:${text}:${language}:${JSON.stringify(options)}`;
@@ -193,6 +291,7 @@ export async function translateWithStreaming(text, targetLang, options = {}, onC
                 targetLang: targetLang,
                 getPronunciation: options.getPronunciation !== false,
                 useAIContext: options.useAIContext || false,
+                contextualPrompt: options.contextualPrompt || null,
                 qualityLevel: options.qualityLevel || 3,
                 model: options.model || 'auto',
                 domain: options.domain || 'general'
@@ -208,17 +307,38 @@ export async function translateWithStreaming(text, targetLang, options = {}, onC
             throw new Error(`스트리밍 API 오류: ${response.status}`);
         }
 
-        const data = await response.json();
-
-        // 청크 콜백 호출 (UI 업데이트용)
-        if (onChunk && data.chunks && data.chunks.length > 0) {
-            let displayedText = '';
-            for (const chunk of data.chunks) {
-                displayedText += chunk;
-                onChunk(displayedText);
-                // 시각적 효과를 위한 작은 딜레이
-                await new Promise(resolve => setTimeout(resolve, 20));
+        // NDJSON 스트림 읽기: delta 이벤트가 도착할 때마다 부분 번역 표시
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let displayedText = '';
+        let data = null;
+
+        const handleEvent = (line) => {
+            if (!line.trim()) return;
+            const evt = JSON.parse(line);
+            if (evt.type === 'delta') {
+                displayedText += evt.text;
+                if (onChunk) onChunk(displayedText);
+            } else if (evt.type === 'done') {
+                data = evt;
+            } else if (evt.type === 'error') {
+                throw new Error(evt.error);
             }
+        };
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            lines.forEach(handleEvent);
+        }
+        handleEvent(buffer + decoder.decode());
+
+        if (!data) {
+            throw new Error('스트리밍 응답이 완료되지 않았습니다');
         }
 
         console.log('[Streaming] 스트리밍 완료:', data.streamingUsed ? '스트리밍 사용' : '일반 응답');
@@ -0,0 +1,1051 @@
+// ========== 🗂️ 단어장 덱 가져오기/내보내기 (CSV · JSON · Anki TSV/.apkg) ==========
+// 브라우저(<script>, 단어장 가져오기/내보내기)와 Node(require) 양쪽에서 쓰기 위해 UMD 형태로 작성
+// 단어 형식: vocabularyDict 값과 같음 { original, translation, description, deck, addedDate,
+//            correctCount, wrongCount, practiceTime, lastStudied, ease, interval, repetitions, dueDate, lapses }
+// - 학습 기록(정답/오답 수, 연습 시간, 마지막 학습 시각)과 복습 스케줄은 모든 형식에서 그대로 왕복
+//   Anki TSV/.apkg에는 TranslatorStats 필드(JSON)로 넣고, 다른 Anki 덱은 카드 기록(reps/lapses/ivl/factor)에서 환산
+// - .apkg는 Anki 2.1 이전 호환 형식(collection.anki2, SQLite)만 읽고 씀 - 2.1.50+ 최신 형식(anki21b, zstd 압축)은 지원하지 않음
+// - 중복 단어는 sync-protocol과 같은 규칙으로 병합 (학습 기록은 큰 값, 스케줄은 마지막으로 학습한 쪽)
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./glossary-formats'), require('./sync-protocol'), require('zlib'));
+    } else {
+        root.DeckFormats = factory(root.GlossaryFormats, root.SyncProtocol, null);
+    }
+})(typeof self !== 'undefined' ? self : this, function (GlossaryFormats, SyncProtocol, zlib) {
+    const DEFAULT_DECK = '기본';
+    const EMPTY_DESCRIPTION = '설명 없음'; // addVocabulary가 설명 없는 단어에 넣는 값 - 내보낼 때는 빈 칸
+    const DECK_JSON_FORMAT = 'translator-vocabulary-deck';
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    // 헤더 없는 CSV는 이 열 순서로 읽으므로 새 열은 뒤에만 추가
+    const WORD_COLUMNS = ['original', 'translation', 'description', 'deck', 'addedDate', 'correctCount', 'wrongCount',
+        'practiceTime', 'lastStudied', 'ease', 'interval', 'repetitions', 'dueDate', 'lapses'];
+    const STATS_FIELDS = WORD_COLUMNS.slice(4);
+    const COUNTER_FIELDS = ['correctCount', 'wrongCount', 'practiceTime', 'interval', 'repetitions', 'lapses'];
+
+    // 가져오기 시 허용하는 헤더/Anki 필드 이름 (대소문자/공백/밑줄 무시)
+    const HEADER_ALIASES = {
+        original: ['original', 'word', 'front', 'term', 'source', 'expression', '원어', '원문', '단어', '앞면'],
+        translation: ['translation', 'back', 'meaning', 'target', 'definition', '번역', '번역어', '뜻', '뒷면'],
+        description: ['description', 'notes', 'note', 'example', 'extra', '설명', '메모', '예문'],
+        deck: ['deck', 'deck name', 'list', '덱', '단어장'],
+        stats: ['translatorstats', 'stats', '학습 기록']
+    };
+    const ANKI_FIELDS = ['Front', 'Back', 'Description', 'TranslatorStats'];
+    const ANKI_FIELD_SEPARATOR = '\x1f';
+
+    function detectDeckFormat(fileName) {
+        const ext = ((fileName || '').split('.').pop() || '').toLowerCase();
+        if (ext === 'apkg' || ext === 'colpkg') return 'apkg';
+        if (ext === 'tsv' || ext === 'txt' || ext === 'tab') return 'tsv';
+        if (ext === 'csv') return 'csv';
+        if (ext === 'json') return 'json';
+        return null;
+    }
+
+    function deckName(word) {
+        return (word && String(word.deck || '').trim()) || DEFAULT_DECK;
+    }
+
+    function listDecks(words) {
+        return Array.from(new Set(words.map(deckName))).sort((a, b) => a.localeCompare(b));
+    }
+
+    // ===================================================
+    // 단어 정규화 / 병합
+    // ===================================================
+
+    function validDate(value) {
+        if (value === null || value === undefined || value === '') return null;
+        const time = typeof value === 'number' ? value : Date.parse(value);
+        return Number.isFinite(time) && time > 0 ? new Date(time).toISOString() : null;
+    }
+
+    function isBlankDescription(text) {
+        const value = String(text || '').trim();
+        return !value || value === EMPTY_DESCRIPTION;
+    }
+
+    function normalizeWord(raw, defaults = {}) {
+        const word = {
+            original: String(raw.original || '').replace(/\s+/g, ' ').trim(),
+            translation: String(raw.translation || '').replace(/\s+/g, ' ').trim(),
+            description: isBlankDescription(raw.description) ? '' : String(raw.description).trim(),
+            deck: String(raw.deck || defaults.deck || '').trim() || DEFAULT_DECK,
+            addedDate: validDate(raw.addedDate) || defaults.addedDate || new Date().toISOString(),
+            lastStudied: validDate(raw.lastStudied)
+        };
+        COUNTER_FIELDS.forEach(field => {
+            const value = Math.round(Number(raw[field]));
+            word[field] = Number.isFinite(value) && value > 0 ? value : 0;
+        });
+
+        // dueDate가 없으면 아직 학습하지 않은 새 단어 - 스케줄 필드 없이 저장
+        const dueDate = validDate(raw.dueDate);
+        if (dueDate) {
+            const ease = Number(raw.ease);
+            word.ease = Number.isFinite(ease) && ease >= 1.3 ? Math.round(ease * 100) / 100 : 2.5;
+            word.dueDate = dueDate;
+        } else {
+            delete word.interval;
+            delete word.repetitions;
+            delete word.lapses;
+        }
+        return word;
+    }
+
+    function earliestDate(a, b) {
+        return [a, b].filter(Boolean).sort((x, y) => Date.parse(x) - Date.parse(y))[0] || null;
+    }
+
+    // 같은 단어 병합 - 내용은 기존 단어 유지(overwrite면 가져온 번역/설명/덱 사용), 빈 설명만 채움
+    function mergeDeckWord(existing, incoming, options = {}) {
+        const base = { ...existing };
+        if (options.overwrite) {
+            base.translation = incoming.translation;
+            if (!isBlankDescription(incoming.description)) base.description = incoming.description;
+            base.deck = incoming.deck;
+        }
+        if (isBlankDescription(base.description) && !isBlankDescription(incoming.description)) base.description = incoming.description;
+        if (!base.deck) base.deck = incoming.deck;
+        base.addedDate = earliestDate(existing.addedDate, incoming.addedDate) || base.addedDate;
+        return SyncProtocol.mergeVocabularyProgress(base, incoming);
+    }
+
+    // 파일 안 중복은 먼저 합치고, 기존 단어장과 비교해 분류
+    // added: 새 단어, duplicates: 번역이 같은 기존 단어(학습 기록만 병합), conflicts: 번역이 다른 기존 단어
+    function analyzeDeckImport(existing, incoming) {
+        const unique = new Map();
+        let fileDuplicates = 0;
+        incoming.forEach(word => {
+            if (unique.has(word.original)) {
+                unique.set(word.original, mergeDeckWord(unique.get(word.original), word));
+                fileDuplicates++;
+            } else {
+                unique.set(word.original, word);
+            }
+        });
+
+        const added = [];
+        const duplicates = [];
+        const conflicts = [];
+        unique.forEach(word => {
+            const current = existing.get(word.original);
+            if (!current) added.push(word);
+            else if (String(current.translation || '').trim() === word.translation) duplicates.push({ word, existing: current });
+            else conflicts.push({ word, existing: current });
+        });
+
+        return { added, duplicates, conflicts, fileDuplicates };
+    }
+
+    function wordStats(word) {
+        const stats = {};
+        STATS_FIELDS.forEach(field => {
+            if (word[field] !== undefined && word[field] !== null) stats[field] = word[field];
+        });
+        return stats;
+    }
+
+    function parseStats(text) {
+        if (!text || !String(text).trim().startsWith('{')) return {};
+        try {
+            const stats = JSON.parse(String(text).replace(/&quot;/g, '"'));
+            return stats && typeof stats === 'object' ? stats : {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    function exportedDescription(word) {
+        return isBlankDescription(word.description) ? '' : word.description;
+    }
+
+    function resolveColumns(cells) {
+        const mapping = {};
+        cells.forEach((cell, index) => {
+            const key = String(cell).trim().toLowerCase().replace(/[_-]+/g, ' ');
+            const compact = key.replace(/\s+/g, '');
+            Object.keys(HEADER_ALIASES).forEach(column => {
+                if (mapping[column] !== undefined) return;
+                if (HEADER_ALIASES[column].includes(key) || HEADER_ALIASES[column].includes(compact)) mapping[column] = index;
+            });
+            WORD_COLUMNS.forEach(column => {
+                if (mapping[column] === undefined && compact === column.toLowerCase()) mapping[column] = index;
+            });
+        });
+        return mapping;
+    }
+
+    function wordFromCells(cells, mapping, defaults) {
+        const raw = mapping.stats !== undefined ? parseStats(cells[mapping.stats]) : {};
+        WORD_COLUMNS.forEach(column => {
+            if (mapping[column] !== undefined && cells[mapping[column]] !== undefined && cells[mapping[column]] !== '') raw[column] = cells[mapping[column]];
+        });
+        return normalizeWord(raw, defaults);
+    }
+
+    function collectWords(rows, mapping, firstLine, defaults) {
+        const words = [];
+        const errors = [];
+        rows.forEach((cells, index) => {
+            const word = wordFromCells(cells, mapping, defaults);
+            if (!word.original || !word.translation) {
+                errors.push({ line: index + firstLine, error: '원어 또는 번역이 비어 있습니다.' });
+                return;
+            }
+            words.push(word);
+        });
+        return { words, errors };
+    }
+
+    // ===================================================
+    // CSV
+    // ===================================================
+
+    // 헤더가 없으면 열 순서를 WORD_COLUMNS로 간주
+    function parseDeckCSV(text, options = {}) {
+        const content = (text || '').replace(/^\uFEFF/, '');
+        const firstLine = content.split(/\r?\n/, 1)[0] || '';
+        const delimiter = options.delimiter || (firstLine.includes('\t') ? '\t' : (firstLine.includes(';') && !firstLine.includes(',') ? ';' : ','));
+
+        const rows = GlossaryFormats.parseDelimited(content, delimiter);
+        const header = rows.length > 0 ? resolveColumns(rows[0]) : {};
+        const hasHeader = header.original !== undefined && header.translation !== undefined;
+        const mapping = hasHeader ? header : Object.fromEntries(WORD_COLUMNS.map((column, index) => [column, index]));
+
+        return collectWords(rows.slice(hasHeader ? 1 : 0), mapping, hasHeader ? 2 : 1, options);
+    }
+
+    function serializeDeckCSV(words, options = {}) {
+        const { delimiter = ',', bom = true } = options;
+        const lines = [WORD_COLUMNS.join(delimiter)];
+        words.forEach(word => {
+            const values = { ...word, deck: deckName(word), description: exportedDescription(word) };
+            lines.push(WORD_COLUMNS.map(column => GlossaryFormats.escapeDelimitedField(values[column] ?? '', delimiter)).join(delimiter));
+        });
+        return (bom ? '\uFEFF' : '') + lines.join('\r\n') + '\r\n';
+    }
+
+    // ===================================================
+    // JSON - 이 앱의 덱 파일, 단어 배열, localStorage vocabularyData({ words: [[key, word]] }) 모두 읽음
+    // ===================================================
+
+    function parseDeckJSON(text, options = {}) {
+        let data;
+        try {
+            data = JSON.parse((text || '').replace(/^\uFEFF/, ''));
+        } catch (e) {
+            return { words: [], errors: [{ line: 0, error: `JSON 파싱 실패: ${e.message}` }] };
+        }
+
+        let items = Array.isArray(data) ? data : (data && (data.words || data.vocabulary)) || data;
+        if (items && !Array.isArray(items) && typeof items === 'object') {
+            items = Object.entries(items).map(([original, word]) => ({ original, ...word }));
+        }
+        if (!Array.isArray(items)) return { words: [], errors: [{ line: 0, error: '단어 목록을 찾을 수 없습니다.' }] };
+
+        const words = [];
+        const errors = [];
+        items.forEach((item, index) => {
+            const raw = Array.isArray(item) ? { original: item[0], ...(item[1] || {}) } : (item || {});
+            const word = normalizeWord(raw, options);
+            if (!word.original || !word.translation) {
+                errors.push({ line: index + 1, error: '원어 또는 번역이 비어 있습니다.' });
+                return;
+            }
+            words.push(word);
+        });
+        return { words, errors };
+    }
+
+    function serializeDeckJSON(words, options = {}) {
+        return JSON.stringify({
+            format: DECK_JSON_FORMAT,
+            version: 1,
+            exportedAt: (options.now ? new Date(options.now) : new Date()).toISOString(),
+            decks: listDecks(words),
+            words: words.map(word => ({
+                original: word.original,
+                translation: word.translation,
+                description: exportedDescription(word),
+                deck: deckName(word),
+                ...wordStats(word)
+            }))
+        }, null, 2);
+    }
+
+    // ===================================================
+    // Anki 텍스트 (Notes in Plain Text) - #separator/#html/#columns/#deck column 헤더 지원
+    // ===================================================
+
+    const ANKI_SEPARATORS = { tab: '\t', comma: ',', semicolon: ';', pipe: '|', space: ' ', colon: ':' };
+
+    function stripHtml(text) {
+        return String(text || '')
+            .replace(/<br\s*\/?>|<\/div>\s*<div>/gi, '\n')
+            .replace(/<[^>]+>/g, '')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;/g, "'")
+            .replace(/&amp;/g, '&')
+            .trim();
+    }
+
+    function escapeHtml(text) {
+        return String(text || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\r?\n/g, '<br>');
+    }
+
+    function parseAnkiText(text, options = {}) {
+        const lines = (text || '').replace(/^\uFEFF/, '').split(/\r?\n/);
+        const directives = {};
+        let bodyStart = 0;
+        while (bodyStart < lines.length && lines[bodyStart].startsWith('#')) {
+            const match = lines[bodyStart].match(/^#([^:]+):(.*)$/);
+            if (match) directives[match[1].trim().toLowerCase()] = match[2];
+            bodyStart++;
+        }
+
+        const separatorName = (directives.separator || '').trim().toLowerCase();
+        const delimiter = ANKI_SEPARATORS[separatorName] || directives.separator || '\t';
+        const html = directives.html === undefined || directives.html.trim().toLowerCase() === 'true';
+        const rows = GlossaryFormats.parseDelimited(lines.slice(bodyStart).join('\n'), delimiter)
+            .map(cells => (html ? cells.map(stripHtml) : cells.map(cell => cell.trim())));
+
+        const mapping = directives.columns
+            ? resolveColumns(directives.columns.split(delimiter))
+            : { original: 0, translation: 1, description: 2 };
+        if (mapping.original === undefined) mapping.original = 0;
+        if (mapping.translation === undefined) mapping.translation = 1;
+        const deckColumn = parseInt(directives['deck column'], 10);
+        if (deckColumn > 0) mapping.deck = deckColumn - 1;
+        // #columns 없이 내보낸 이 앱의 파일: 마지막 열이 학습 기록 JSON
+        if (mapping.stats === undefined && rows.length > 0) {
+            const last = rows[0].length - 1;
+            if (last > 1 && parseStats(rows[0][last]).correctCount !== undefined) mapping.stats = last;
+        }
+        if (mapping.deck === undefined && directives.deck) options = { ...options, deck: directives.deck.trim() };
+
+        return collectWords(rows, mapping, bodyStart + 1, options);
+    }
+
+    function serializeAnkiText(words) {
+        const lines = [
+            '#separator:tab',
+            '#html:false',
+            `#columns:${ANKI_FIELDS.slice(0, 3).join('\t')}\tDeck\t${ANKI_FIELDS[3]}`,
+            '#deck column:4'
+        ];
+        words.forEach(word => {
+            const values = [word.original, word.translation, exportedDescription(word), deckName(word), JSON.stringify(wordStats(word))];
+            lines.push(values.map(value => GlossaryFormats.escapeDelimitedField(value, '\t')).join('\t'));
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    // ===================================================
+    // 바이트 유틸 (ZIP / SQLite / SHA-1)
+    // ===================================================
+
+    const textEncoder = new TextEncoder();
+    const textDecoder = new TextDecoder();
+
+    function concatBytes(parts) {
+        const total = parts.reduce((sum, part) => sum + part.length, 0);
+        const result = new Uint8Array(total);
+        let offset = 0;
+        parts.forEach(part => {
+            result.set(part, offset);
+            offset += part.length;
+        });
+        return result;
+    }
+
+    function viewOf(bytes) {
+        return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    }
+
+    const CRC32_TABLE = (() => {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+            }
+            table[n] = c >>> 0;
+        }
+        return table;
+    })();
+
+    function crc32(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    // Anki 노트 체크섬(csum) - 첫 필드 SHA-1의 앞 8자리
+    function sha1Hex(text) {
+        const data = textEncoder.encode(text);
+        const padded = new Uint8Array(((data.length + 9 + 63) >> 6) << 6);
+        padded.set(data);
+        padded[data.length] = 0x80;
+        const view = viewOf(padded);
+        view.setUint32(padded.length - 8, Math.floor(data.length / 0x20000000));
+        view.setUint32(padded.length - 4, (data.length * 8) >>> 0);
+
+        const rotl = (value, bits) => (value << bits) | (value >>> (32 - bits));
+        const h = [0x67452301, 0xEFCDAB89, 0x98BADCFE, 0x10325476, 0xC3D2E1F0];
+        const w = new Uint32Array(80);
+        for (let chunk = 0; chunk < padded.length; chunk += 64) {
+            for (let i = 0; i < 16; i++) w[i] = view.getUint32(chunk + i * 4);
+            for (let i = 16; i < 80; i++) w[i] = rotl(w[i - 3] ^ w[i - 8] ^ w[i - 14] ^ w[i - 16], 1);
+
+            let [a, b, c, d, e] = h;
+            for (let i = 0; i < 80; i++) {
+                let f;
+                let k;
+                if (i < 20) { f = (b & c) | (~b & d); k = 0x5A827999; }
+                else if (i < 40) { f = b ^ c ^ d; k = 0x6ED9EBA1; }
+                else if (i < 60) { f = (b & c) | (b & d) | (c & d); k = 0x8F1BBCDC; }
+                else { f = b ^ c ^ d; k = 0xCA62C1D6; }
+                const temp = (rotl(a, 5) + f + e + k + w[i]) >>> 0;
+                e = d;
+                d = c;
+                c = rotl(b, 30) >>> 0;
+                b = a;
+                a = temp;
+            }
+            h[0] = (h[0] + a) >>> 0;
+            h[1] = (h[1] + b) >>> 0;
+            h[2] = (h[2] + c) >>> 0;
+            h[3] = (h[3] + d) >>> 0;
+            h[4] = (h[4] + e) >>> 0;
+        }
+        return h.map(value => value.toString(16).padStart(8, '0')).join('');
+    }
+
+    async function inflateRaw(bytes) {
+        if (zlib) return new Uint8Array(zlib.inflateRawSync(bytes));
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    async function readZip(bytes) {
+        const view = viewOf(bytes);
+        let eocd = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                eocd = i;
+                break;
+            }
+        }
+        if (eocd === -1) throw new Error('올바른 .apkg(ZIP) 파일이 아닙니다.');
+
+        const entryCount = view.getUint16(eocd + 10, true);
+        let offset = view.getUint32(eocd + 16, true);
+        const entries = new Map();
+
+        for (let i = 0; i < entryCount; i++) {
+            if (view.getUint32(offset, true) !== 0x02014b50) throw new Error('.apkg 중앙 디렉터리가 손상되었습니다.');
+
+            const method = view.getUint16(offset + 10, true);
+            const compressedSize = view.getUint32(offset + 20, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const localOffset = view.getUint32(offset + 42, true);
+            const name = textDecoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+            const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+            const raw = bytes.subarray(dataStart, dataStart + compressedSize);
+            if (method === 0) entries.set(name, raw);
+            else if (method === 8) entries.set(name, await inflateRaw(raw));
+            else throw new Error(`지원하지 않는 ZIP 압축 방식: ${method}`);
+
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+        return entries;
+    }
+
+    // 압축 없이(stored) 저장 - 브라우저에서 별도 라이브러리 없이 만들 수 있고 Anki도 그대로 읽음
+    function writeZip(files) {
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        files.forEach(({ name, data }) => {
+            const nameBytes = textEncoder.encode(name);
+            const checksum = crc32(data);
+
+            const local = new Uint8Array(30);
+            const localView = viewOf(local);
+            localView.setUint32(0, 0x04034b50, true);
+            localView.setUint16(4, 20, true);
+            localView.setUint16(6, 0x0800, true);   // UTF-8 파일명
+            localView.setUint32(14, checksum, true);
+            localView.setUint32(18, data.length, true);
+            localView.setUint32(22, data.length, true);
+            localView.setUint16(26, nameBytes.length, true);
+
+            const central = new Uint8Array(46);
+            const centralView = viewOf(central);
+            centralView.setUint32(0, 0x02014b50, true);
+            centralView.setUint16(4, 20, true);
+            centralView.setUint16(6, 20, true);
+            centralView.setUint16(8, 0x0800, true);
+            centralView.setUint32(16, checksum, true);
+            centralView.setUint32(20, data.length, true);
+            centralView.setUint32(24, data.length, true);
+            centralView.setUint16(28, nameBytes.length, true);
+            centralView.setUint32(42, offset, true);
+
+            localParts.push(local, nameBytes, data);
+            centralParts.push(central, nameBytes);
+            offset += local.length + nameBytes.length + data.length;
+        });
+
+        const centralDirectory = concatBytes(centralParts);
+        const end = new Uint8Array(22);
+        const endView = viewOf(end);
+        endView.setUint32(0, 0x06054b50, true);
+        endView.setUint16(8, files.length, true);
+        endView.setUint16(10, files.length, true);
+        endView.setUint32(12, centralDirectory.length, true);
+        endView.setUint32(16, offset, true);
+
+        return concatBytes([...localParts, centralDirectory, end]);
+    }
+
+    // ===================================================
+    // SQLite (테이블 b-tree 읽기/쓰기만 - 인덱스, 빈 페이지 목록 없음)
+    // ===================================================
+
+    const SQLITE_PAGE_SIZE = 4096;
+    const LEAF_TABLE_PAGE = 0x0D;
+    const INTERIOR_TABLE_PAGE = 0x05;
+    const INTEGER_SIZES = [[1, 1], [2, 2], [3, 3], [4, 4], [6, 5], [8, 6]]; // [바이트 수, serial type]
+
+    function encodeVarint(value) {
+        const groups = [];
+        let rest = value;
+        do {
+            groups.unshift(rest % 128);
+            rest = Math.floor(rest / 128);
+        } while (rest > 0);
+        return Uint8Array.from(groups.map((group, index) => (index < groups.length - 1 ? group | 0x80 : group)));
+    }
+
+    function readVarint(bytes, offset) {
+        let value = 0;
+        for (let i = 0; i < 8; i++) {
+            const byte = bytes[offset + i];
+            value = value * 128 + (byte & 0x7f);
+            if (!(byte & 0x80)) return [value, i + 1];
+        }
+        return [value * 256 + bytes[offset + 8], 9];
+    }
+
+    function encodeInteger(value, size) {
+        const bytes = new Uint8Array(size);
+        let rest = value < 0 ? value + Math.pow(2, size * 8) : value;
+        for (let i = size - 1; i >= 0; i--) {
+            bytes[i] = rest % 256;
+            rest = Math.floor(rest / 256);
+        }
+        return bytes;
+    }
+
+    function readInteger(bytes, offset, size) {
+        let value = 0;
+        for (let i = 0; i < size; i++) value = value * 256 + bytes[offset + i];
+        return bytes[offset] & 0x80 ? value - Math.pow(2, size * 8) : value;
+    }
+
+    function encodeRecord(values) {
+        const types = [];
+        const bodies = [];
+        values.forEach(value => {
+            if (value === null || value === undefined) {
+                types.push(0);
+            } else if (typeof value === 'number' && Number.isInteger(value)) {
+                if (value === 0 || value === 1) {
+                    types.push(8 + value);
+                    return;
+                }
+                const [size, type] = INTEGER_SIZES.find(([bytes]) => Math.abs(value) < Math.pow(2, bytes * 8 - 1));
+                types.push(type);
+                bodies.push(encodeInteger(value, size));
+            } else if (typeof value === 'number') {
+                const body = new Uint8Array(8);
+                viewOf(body).setFloat64(0, value);
+                types.push(7);
+                bodies.push(body);
+            } else {
+                const body = textEncoder.encode(String(value));
+                types.push(13 + body.length * 2);
+                bodies.push(body);
+            }
+        });
+
+        const typeBytes = concatBytes(types.map(encodeVarint));
+        let headerSize = typeBytes.length + 1;
+        if (encodeVarint(headerSize).length > 1) headerSize = typeBytes.length + encodeVarint(typeBytes.length + 2).length;
+        return concatBytes([encodeVarint(headerSize), typeBytes, ...bodies]);
+    }
+
+    function decodeRecord(payload) {
+        const [headerSize, headerStart] = readVarint(payload, 0);
+        const types = [];
+        let offset = headerStart;
+        while (offset < headerSize) {
+            const [type, length] = readVarint(payload, offset);
+            types.push(type);
+            offset += length;
+        }
+
+        let body = headerSize;
+        return types.map(type => {
+            if (type === 0) return null;
+            if (type === 8 || type === 9) return type - 8;
+            if (type <= 6) {
+                const size = [0, 1, 2, 3, 4, 6, 8][type];
+                const value = readInteger(payload, body, size);
+                body += size;
+                return value;
+            }
+            if (type === 7) {
+                const value = viewOf(payload.subarray(body, body + 8)).getFloat64(0);
+                body += 8;
+                return value;
+            }
+            const size = Math.floor((type - 12) / 2);
+            const chunk = payload.subarray(body, body + size);
+            body += size;
+            return type % 2 === 0 ? chunk.slice() : textDecoder.decode(chunk);
+        });
+    }
+
+    // 페이지에 다 들어가지 않는 payload의 로컬 저장 크기 (SQLite 파일 형식 규칙)
+    function localPayloadSize(payloadSize, usable) {
+        const maxLocal = usable - 35;
+        if (payloadSize <= maxLocal) return payloadSize;
+        const minLocal = Math.floor((usable - 12) * 32 / 255) - 23;
+        const size = minLocal + (payloadSize - minLocal) % (usable - 4);
+        return size <= maxLocal ? size : minLocal;
+    }
+
+    function writeBtreePage(page, type, cells, headerOffset = 0, rightMost = 0) {
+        const view = viewOf(page);
+        const headerSize = type === INTERIOR_TABLE_PAGE ? 12 : 8;
+        let content = page.length;
+        page[headerOffset] = type;
+        view.setUint16(headerOffset + 3, cells.length);
+        cells.forEach((cell, index) => {
+            content -= cell.length;
+            page.set(cell, content);
+            view.setUint16(headerOffset + headerSize + index * 2, content);
+        });
+        view.setUint16(headerOffset + 5, content === 65536 ? 0 : content);
+        if (type === INTERIOR_TABLE_PAGE) view.setUint32(headerOffset + 8, rightMost);
+    }
+
+    // rows: [{ rowid, values }] → 루트 페이지 번호 (pages에 페이지를 추가)
+    function writeTableBtree(pages, rows) {
+        const newPage = () => {
+            pages.push(new Uint8Array(SQLITE_PAGE_SIZE));
+            return pages.length;
+        };
+
+        let level = [];
+        let cells = [];
+        let used = 0;
+        let maxKey = 0;
+        const flushLeaf = () => {
+            const pageNumber = newPage();
+            writeBtreePage(pages[pageNumber - 1], LEAF_TABLE_PAGE, cells);
+            level.push({ page: pageNumber, maxKey });
+            cells = [];
+            used = 0;
+        };
+
+        rows.slice().sort((a, b) => a.rowid - b.rowid).forEach(({ rowid, values }) => {
+            const payload = encodeRecord(values);
+            const local = localPayloadSize(payload.length, SQLITE_PAGE_SIZE);
+            const parts = [encodeVarint(payload.length), encodeVarint(rowid), payload.subarray(0, local)];
+
+            // 넘치는 부분은 overflow 페이지 체인 (각 페이지 앞 4바이트 = 다음 페이지 번호)
+            if (local < payload.length) {
+                const overflow = [];
+                for (let offset = local; offset < payload.length; offset += SQLITE_PAGE_SIZE - 4) overflow.push(newPage());
+                overflow.forEach((pageNumber, index) => {
+                    const page = pages[pageNumber - 1];
+                    viewOf(page).setUint32(0, overflow[index + 1] || 0);
+                    const start = local + index * (SQLITE_PAGE_SIZE - 4);
+                    page.set(payload.subarray(start, Math.min(payload.length, start + SQLITE_PAGE_SIZE - 4)), 4);
+                });
+                parts.push(encodeInteger(overflow[0], 4));
+            }
+
+            const cell = concatBytes(parts);
+            if (cells.length > 0 && used + cell.length + 2 > SQLITE_PAGE_SIZE - 8) flushLeaf();
+            cells.push(cell);
+            used += cell.length + 2;
+            maxKey = rowid;
+        });
+        if (cells.length > 0 || level.length === 0) flushLeaf();
+
+        // 자식 페이지가 하나가 될 때까지 interior 페이지로 묶음 (셀 하나 최대 4 + 9바이트)
+        const childrenPerPage = Math.floor((SQLITE_PAGE_SIZE - 12) / 15) + 1;
+        while (level.length > 1) {
+            const next = [];
+            for (let i = 0; i < level.length; i += childrenPerPage) {
+                const group = level.slice(i, i + childrenPerPage);
+                const last = group[group.length - 1];
+                const pageNumber = newPage();
+                const interiorCells = group.slice(0, -1).map(child => concatBytes([encodeInteger(child.page, 4), encodeVarint(child.maxKey)]));
+                writeBtreePage(pages[pageNumber - 1], INTERIOR_TABLE_PAGE, interiorCells, 0, last.page);
+                next.push({ page: pageNumber, maxKey: last.maxKey });
+            }
+            level = next;
+        }
+        return level[0].page;
+    }
+
+    // tables: [{ name, sql, rows: [{ rowid, values }] }]
+    function buildSqlite(tables) {
+        const pages = [new Uint8Array(SQLITE_PAGE_SIZE)]; // 1번 페이지 = 스키마(sqlite_schema) + 파일 헤더
+        const schemaRows = tables.map((table, index) => ({
+            rowid: index + 1,
+            values: ['table', table.name, table.name, writeTableBtree(pages, table.rows), table.sql]
+        }));
+
+        const schemaCells = schemaRows.map(({ rowid, values }) => {
+            const payload = encodeRecord(values);
+            return concatBytes([encodeVarint(payload.length), encodeVarint(rowid), payload]);
+        });
+        writeBtreePage(pages[0], LEAF_TABLE_PAGE, schemaCells, 100);
+
+        const header = pages[0];
+        const view = viewOf(header);
+        header.set(textEncoder.encode('SQLite format 3\0'), 0);
+        view.setUint16(16, SQLITE_PAGE_SIZE);
+        header[18] = 1;                      // 파일 형식 쓰기/읽기 버전 (rollback journal)
+        header[19] = 1;
+        header[21] = 64;                     // payload 비율 (고정값)
+        header[22] = 32;
+        header[23] = 32;
+        view.setUint32(24, 1);               // 파일 변경 카운터
+        view.setUint32(28, pages.length);    // 페이지 수
+        view.setUint32(40, 1);               // 스키마 쿠키
+        view.setUint32(44, 4);               // 스키마 형식
+        view.setUint32(56, 1);               // UTF-8
+        view.setUint32(92, 1);
+        view.setUint32(96, 3045000);
+        return concatBytes(pages);
+    }
+
+    function readSqlite(bytes) {
+        if (textDecoder.decode(bytes.subarray(0, 15)) !== 'SQLite format 3') throw new Error('Anki 컬렉션(SQLite) 파일이 아닙니다.');
+        const view = viewOf(bytes);
+        const pageSize = view.getUint16(16) === 1 ? 65536 : view.getUint16(16);
+        const usable = pageSize - bytes[20];
+
+        const readRows = rootPage => {
+            const rows = [];
+            const visit = (pageNumber, depth) => {
+                if (depth > 32 || pageNumber < 1) throw new Error('Anki 컬렉션 파일이 손상되었습니다.');
+                const base = (pageNumber - 1) * pageSize;
+                const header = base + (pageNumber === 1 ? 100 : 0);
+                const type = bytes[header];
+                const count = view.getUint16(header + 3);
+
+                if (type === INTERIOR_TABLE_PAGE) {
+                    for (let i = 0; i < count; i++) {
+                        visit(view.getUint32(base + view.getUint16(header + 12 + i * 2)), depth + 1);
+                    }
+                    visit(view.getUint32(header + 8), depth + 1);
+                    return;
+                }
+                if (type !== LEAF_TABLE_PAGE) throw new Error(`지원하지 않는 SQLite 페이지 형식: ${type}`);
+
+                for (let i = 0; i < count; i++) {
+                    let offset = base + view.getUint16(header + 8 + i * 2);
+                    const [size, sizeLength] = readVarint(bytes, offset);
+                    offset += sizeLength;
+                    const [rowid, rowidLength] = readVarint(bytes, offset);
+                    offset += rowidLength;
+
+                    const local = localPayloadSize(size, usable);
+                    const payload = new Uint8Array(size);
+                    payload.set(bytes.subarray(offset, offset + local));
+                    let filled = local;
+                    let next = local < size ? view.getUint32(offset + local) : 0;
+                    while (next && filled < size) {
+                        const overflowBase = (next - 1) * pageSize;
+                        const chunk = Math.min(usable - 4, size - filled);
+                        payload.set(bytes.subarray(overflowBase + 4, overflowBase + 4 + chunk), filled);
+                        filled += chunk;
+                        next = view.getUint32(overflowBase);
+                    }
+                    rows.push({ rowid, values: decodeRecord(payload) });
+                }
+            };
+            visit(rootPage, 0);
+            return rows;
+        };
+
+        const roots = {};
+        readRows(1).forEach(({ values }) => {
+            if (values[0] === 'table') roots[values[1]] = values[3];
+        });
+
+        // INTEGER PRIMARY KEY(id) 열은 레코드에 NULL로 저장되고 rowid가 값
+        return name => (roots[name] ? readRows(roots[name]).map(({ rowid, values }) => {
+            if (values[0] === null) values[0] = rowid;
+            return values;
+        }) : []);
+    }
+
+    // ===================================================
+    // Anki 패키지 (.apkg = ZIP[collection.anki2(SQLite), media])
+    // ===================================================
+
+    // Anki 2.1 스키마 11 - 읽을 때도 이 열 순서를 사용
+    const ANKI_SCHEMA = {
+        col: 'CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null, scm integer not null, ver integer not null, dty integer not null, usn integer not null, ls integer not null, conf text not null, models text not null, decks text not null, dconf text not null, tags text not null)',
+        notes: 'CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null, mod integer not null, usn integer not null, tags text not null, flds text not null, sfld integer not null, csum integer not null, flags integer not null, data text not null)',
+        cards: 'CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null, ord integer not null, mod integer not null, usn integer not null, type integer not null, queue integer not null, due integer not null, ivl integer not null, factor integer not null, reps integer not null, lapses integer not null, left integer not null, odue integer not null, odid integer not null, flags integer not null, data text not null)',
+        revlog: 'CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null, ease integer not null, ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null, type integer not null)',
+        graves: 'CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null)'
+    };
+    const ANKI_DEFAULT_DECK_ID = 1;
+    const ANKI_DEFAULT_DECK_NAME = 'Default';
+    const ANKI_CARD_NEW = 0;
+    const ANKI_CARD_REVIEW = 2;
+
+    function ankiDeck(id, name, modSeconds) {
+        return {
+            id, name, mod: modSeconds, usn: -1, desc: '', dyn: 0, conf: 1, collapsed: false, browserCollapsed: false,
+            extendNew: 0, extendRev: 0, newToday: [0, 0], revToday: [0, 0], lrnToday: [0, 0], timeToday: [0, 0]
+        };
+    }
+
+    function ankiCollectionJSON(modelId, decks, modSeconds, noteCount) {
+        const fields = ANKI_FIELDS.map((name, ord) => ({ name, ord, sticky: false, rtl: false, font: 'Arial', size: 20, media: [] }));
+        const model = {
+            id: modelId, name: '번역기 단어장', type: 0, mod: modSeconds, usn: -1, sortf: 0, did: decks[0].id, tags: [], vers: [],
+            flds: fields,
+            tmpls: [{
+                name: 'Card 1', ord: 0, did: null, bqfmt: '', bafmt: '',
+                qfmt: '{{Front}}',
+                afmt: '{{FrontSide}}\n\n<hr id=answer>\n\n{{Back}}\n{{#Description}}<div class="description">{{Description}}</div>{{/Description}}'
+            }],
+            css: '.card { font-family: arial; font-size: 24px; text-align: center; color: black; background-color: white; }\n.description { font-size: 16px; color: #666; margin-top: 12px; }',
+            latexPre: '\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage[utf8]{inputenc}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n',
+            latexPost: '\\end{document}',
+            latexsvg: false,
+            req: [[0, 'any', [0]]]
+        };
+        const deckConfig = {
+            id: 1, name: 'Default', mod: 0, usn: 0, maxTaken: 60, autoplay: true, timer: 0, replayq: true, dyn: false,
+            new: { bury: false, delays: [1, 10], initialFactor: 2500, ints: [1, 4, 0], order: 1, perDay: 20 },
+            rev: { bury: false, ease4: 1.3, ivlFct: 1, maxIvl: 36500, perDay: 200, hardFactor: 1.2 },
+            lapse: { delays: [10], leechAction: 1, leechFails: 8, minInt: 1, mult: 0 }
+        };
+        const conf = {
+            nextPos: noteCount + 1, estTimes: true, activeDecks: [ANKI_DEFAULT_DECK_ID], sortType: 'noteFld', timeLim: 0,
+            sortBackwards: false, addToCur: true, curDeck: ANKI_DEFAULT_DECK_ID, newSpread: 0, dueCounts: true,
+            curModel: modelId, collapseTime: 1200
+        };
+        return {
+            conf: JSON.stringify(conf),
+            models: JSON.stringify({ [modelId]: model }),
+            decks: JSON.stringify(Object.fromEntries(decks.map(deck => [deck.id, deck]))),
+            dconf: JSON.stringify({ 1: deckConfig })
+        };
+    }
+
+    function startOfDay(time) {
+        const date = new Date(time);
+        date.setHours(0, 0, 0, 0);
+        return date.getTime();
+    }
+
+    function buildAnkiPackage(words, options = {}) {
+        const now = options.now || Date.now();
+        const nowSeconds = Math.floor(now / 1000);
+        const modelId = now;
+
+        // 컬렉션 생성일(crt) 기준으로 복습일을 "며칠째"로 저장하므로 가장 이른 날짜를 기준으로 잡음
+        const crt = Math.floor(startOfDay(Math.min(now, ...words.map(word => Date.parse(word.dueDate) || now))) / 1000);
+
+        const deckIds = new Map();
+        const decks = [ankiDeck(ANKI_DEFAULT_DECK_ID, ANKI_DEFAULT_DECK_NAME, nowSeconds)];
+        listDecks(words).forEach((name, index) => {
+            const id = now + index + 1;
+            deckIds.set(name, id);
+            decks.push(ankiDeck(id, name, nowSeconds));
+        });
+
+        const notes = [];
+        const cards = [];
+        words.forEach((word, index) => {
+            const noteId = now + index;
+            const stats = wordStats(word);
+            const fields = [word.original, word.translation, exportedDescription(word)].map(escapeHtml)
+                .concat(escapeHtml(JSON.stringify(stats)));
+            const csum = parseInt(sha1Hex(word.original).slice(0, 8), 16);
+            // guid를 원어에서 만들어서 같은 덱을 다시 가져오면 Anki가 새 노트 대신 기존 노트를 갱신
+            const guid = sha1Hex(`vocabulary:${word.original}`).slice(0, 10);
+            notes.push({ rowid: noteId, values: [null, guid, modelId, nowSeconds, -1, '', fields.join(ANKI_FIELD_SEPARATOR), word.original, csum, 0, ''] });
+
+            const review = Boolean(word.dueDate);
+            const due = review ? Math.max(0, Math.round((startOfDay(Date.parse(word.dueDate)) - crt * 1000) / DAY_MS)) : index + 1;
+            const reps = (word.correctCount || 0) + (word.wrongCount || 0);
+            cards.push({
+                rowid: noteId,
+                values: [
+                    null, noteId, deckIds.get(deckName(word)), 0, nowSeconds, -1,
+                    review ? ANKI_CARD_REVIEW : ANKI_CARD_NEW, review ? ANKI_CARD_REVIEW : ANKI_CARD_NEW,
+                    due, review ? Math.max(1, word.interval || 1) : 0, review ? Math.round((word.ease || 2.5) * 1000) : 0,
+                    reps, word.lapses || 0, 0, 0, 0, 0, ''
+                ]
+            });
+        });
+
+        const collection = ankiCollectionJSON(modelId, decks, nowSeconds, notes.length);
+        const database = buildSqlite([
+            { name: 'col', sql: ANKI_SCHEMA.col, rows: [{ rowid: 1, values: [null, crt, now, now, 11, 0, 0, 0, collection.conf, collection.models, collection.decks, collection.dconf, '{}'] }] },
+            { name: 'notes', sql: ANKI_SCHEMA.notes, rows: notes },
+            { name: 'cards', sql: ANKI_SCHEMA.cards, rows: cards },
+            { name: 'revlog', sql: ANKI_SCHEMA.revlog, rows: [] },
+            { name: 'graves', sql: ANKI_SCHEMA.graves, rows: [] }
+        ]);
+
+        return writeZip([
+            { name: 'collection.anki2', data: database },
+            { name: 'media', data: textEncoder.encode('{}') }
+        ]);
+    }
+
+    function parseJSONColumn(text) {
+        try {
+            return JSON.parse(text || '{}') || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    // Anki 카드 기록 → 단어 학습 기록 (TranslatorStats 필드가 없는 다른 Anki 덱용)
+    function wordFromAnkiCard(card, crt, practiceSeconds) {
+        if (!card) return {};
+        const [, , , , mod, , type, , due, ivl, factor, reps, lapses] = card;
+        const raw = {
+            correctCount: Math.max(0, reps - lapses),
+            wrongCount: lapses,
+            practiceTime: practiceSeconds || 0,
+            lastStudied: reps > 0 ? mod * 1000 : null
+        };
+        if (type === ANKI_CARD_REVIEW) {
+            Object.assign(raw, {
+                dueDate: new Date(startOfDay(crt * 1000) + due * DAY_MS).toISOString(),
+                interval: ivl,
+                ease: factor / 1000,
+                repetitions: Math.max(1, reps - lapses),
+                lapses
+            });
+        }
+        return raw;
+    }
+
+    async function parseAnkiPackage(bytes, options = {}) {
+        const entries = await readZip(bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes));
+        const collectionFile = entries.get('collection.anki21') || (!entries.has('collection.anki21b') && entries.get('collection.anki2'));
+        if (!collectionFile) {
+            throw new Error(entries.has('collection.anki21b')
+                ? 'Anki 최신 형식(.anki21b)은 지원하지 않습니다. Anki에서 내보낼 때 "이전 Anki 버전과 호환"을 선택해주세요.'
+                : '.apkg 안에 Anki 컬렉션이 없습니다.');
+        }
+
+        const readTable = readSqlite(collectionFile);
+        const col = readTable('col')[0];
+        if (!col) throw new Error('Anki 컬렉션 정보(col)가 없습니다.');
+        const crt = col[1];
+        const models = parseJSONColumn(col[9]);
+        const decks = parseJSONColumn(col[10]);
+
+        const cardsByNote = new Map();
+        readTable('cards').forEach(card => {
+            const current = cardsByNote.get(card[1]);
+            if (!current || card[3] < current[3]) cardsByNote.set(card[1], card);
+        });
+        const practiceByCard = new Map();
+        readTable('revlog').forEach(entry => {
+            practiceByCard.set(entry[1], (practiceByCard.get(entry[1]) || 0) + Math.max(0, entry[7]) / 1000);
+        });
+
+        const words = [];
+        const errors = [];
+        readTable('notes').forEach((note, index) => {
+            const model = models[note[2]] || {};
+            const fieldNames = (model.flds || []).slice().sort((a, b) => a.ord - b.ord).map(field => field.name);
+            const mapping = resolveColumns(fieldNames);
+            if (mapping.original === undefined) mapping.original = 0;
+            if (mapping.translation === undefined) mapping.translation = 1;
+            if (mapping.description === undefined && fieldNames.length > 2 && mapping.stats !== 2) mapping.description = 2;
+
+            const fields = String(note[6] || '').split(ANKI_FIELD_SEPARATOR);
+            const card = cardsByNote.get(note[0]);
+            const deck = card && decks[card[2]] ? decks[card[2]].name : '';
+            const stats = mapping.stats !== undefined ? parseStats(stripHtml(fields[mapping.stats])) : {};
+            const raw = {
+                addedDate: note[0],
+                ...(Object.keys(stats).length > 0 ? stats : wordFromAnkiCard(card, crt, card ? Math.round(practiceByCard.get(card[0]) || 0) : 0)),
+                original: stripHtml(fields[mapping.original]),
+                translation: stripHtml(fields[mapping.translation]),
+                description: mapping.description !== undefined ? stripHtml(fields[mapping.description]) : '',
+                deck: deck && deck !== ANKI_DEFAULT_DECK_NAME ? deck : options.deck
+            };
+            const word = normalizeWord(raw, options);
+            if (!word.original || !word.translation) {
+                errors.push({ line: index + 1, error: '앞면 또는 뒷면이 비어 있습니다.' });
+                return;
+            }
+            words.push(word);
+        });
+        return { words, errors };
+    }
+
+    // 파일 내용(text 또는 .apkg 바이트) → { words, errors }
+    async function parseDeckFile(format, content, options = {}) {
+        if (format === 'apkg') return parseAnkiPackage(content, options);
+        if (format === 'json') return parseDeckJSON(content, options);
+        if (format === 'tsv') return parseAnkiText(content, options);
+        return parseDeckCSV(content, options);
+    }
+
+    return {
+        DEFAULT_DECK,
+        WORD_COLUMNS,
+        detectDeckFormat,
+        deckName,
+        listDecks,
+        normalizeWord,
+        mergeDeckWord,
+        analyzeDeckImport,
+        parseDeckCSV,
+        serializeDeckCSV,
+        parseDeckJSON,
+        serializeDeckJSON,
+        parseAnkiText,
+        serializeAnkiText,
+        buildAnkiPackage,
+        parseAnkiPackage,
+        parseDeckFile
+    };
+});
@@ -0,0 +1,452 @@
+// ========== 📚 용어집 가져오기/내보내기 (CSV · TSV · TBX) ==========
+// 브라우저(<script>)와 Netlify 함수(require) 양쪽에서 쓰기 위해 UMD 형태로 작성
+// 항목 형식: { source, variants: [원문 이표기...], target, forbidden: [금지 번역어...], caseSensitive, domain, partOfSpeech, notes }
+// 원문 매칭(matchTermEntry)과 금지 번역어 검사(findForbiddenRenderings)도 클라이언트/서버가 같이 사용
+// - CSV는 UTF-8 BOM을 붙여 내보내므로 Excel(XLSX로 저장 가능)에서 한글/베트남어가 깨지지 않음
+// - TBX는 TermBase eXchange 2.0(termEntry/langSet/tig)과 3.0(conceptEntry/langSec/termSec) 모두 읽음
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.GlossaryFormats = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // 헤더 없는 파일은 이 열 순서로 읽으므로 새 열은 뒤에만 추가
+    const GLOSSARY_COLUMNS = ['source', 'target', 'domain', 'partOfSpeech', 'notes', 'forbidden', 'variants', 'caseSensitive'];
+
+    // 가져오기 시 허용하는 헤더 이름 (대소문자/공백 무시)
+    const HEADER_ALIASES = {
+        source: ['source', 'term', 'original', 'source term', 'ko', 'korean', '원문', '원어', '용어', '한국어'],
+        target: ['target', 'translation', 'target term', 'vi', 'vietnamese', '번역', '번역어', '베트남어'],
+        domain: ['domain', 'subject', 'subject field', 'category', '분야', '도메인', '카테고리'],
+        partOfSpeech: ['partofspeech', 'part of speech', 'pos', '품사'],
+        notes: ['notes', 'note', 'comment', 'usage', '메모', '비고', '설명'],
+        forbidden: ['forbidden', 'forbidden variants', 'forbidden terms', 'deprecated', '금지어', '금지 번역'],
+        variants: ['variants', 'source variants', 'synonyms', 'aliases', '동의어', '이표기', '원문 변형'],
+        caseSensitive: ['casesensitive', 'case sensitive', 'case', '대소문자', '대소문자 구분']
+    };
+
+    const LIST_SEPARATOR = /\s*[;|]\s*/;
+    const TRUE_VALUES = ['true', 'yes', 'y', '1', 'o', '예', '구분'];
+    const TBX_FORBIDDEN_STATUSES = ['deprecatedTerm-admn-sts', 'supersededTerm-admn-sts', 'deprecatedTerm', 'supersededTerm'];
+
+    function detectGlossaryFormat(fileName) {
+        const ext = ((fileName || '').split('.').pop() || '').toLowerCase();
+        if (ext === 'tbx' || ext === 'xml') return 'tbx';
+        if (ext === 'tsv' || ext === 'tab') return 'tsv';
+        if (ext === 'csv' || ext === 'txt') return 'csv';
+        if (ext === 'json') return 'json';
+        return null;
+    }
+
+    function normalizeList(value) {
+        const list = Array.isArray(value) ? value : String(value || '').split(LIST_SEPARATOR);
+        return Array.from(new Set(list.map(term => String(term).trim()).filter(Boolean)));
+    }
+
+    function normalizeEntry(entry) {
+        const source = String(entry.source || '').trim();
+        const target = String(entry.target || '').trim();
+        const caseSensitive = typeof entry.caseSensitive === 'boolean'
+            ? entry.caseSensitive
+            : TRUE_VALUES.includes(String(entry.caseSensitive || '').trim().toLowerCase());
+        return {
+            source,
+            target,
+            domain: String(entry.domain || '').trim(),
+            partOfSpeech: String(entry.partOfSpeech || '').trim(),
+            notes: String(entry.notes || '').trim(),
+            forbidden: normalizeList(entry.forbidden).filter(term => term !== target),
+            variants: normalizeList(entry.variants).filter(term => term !== source),
+            caseSensitive
+        };
+    }
+
+    // 엔트리에서 원문/번역 외의 상세 정보만 (부가 정보가 없으면 null)
+    function entryDetails(entry) {
+        const { domain, partOfSpeech, notes, forbidden, variants, caseSensitive } = normalizeEntry(entry);
+        const hasDetails = domain || partOfSpeech || notes || forbidden.length > 0 || variants.length > 0 || caseSensitive;
+        return hasDetails ? { domain, partOfSpeech, notes, forbidden, variants, caseSensitive } : null;
+    }
+
+    // ===================================================
+    // 원문 매칭 / 금지 번역어 검사
+    // ===================================================
+
+    // 영문/숫자 용어는 단어 경계에서만 매칭 (예: "OPC"가 "OPCODE"에 걸리지 않도록)
+    function isWordBoundary(text, index) {
+        return index < 0 || index >= text.length || !/[A-Za-z0-9]/.test(text[index]);
+    }
+
+    function findTermIndex(haystack, term, caseSensitive = false) {
+        if (!term) return -1;
+        const text = caseSensitive ? haystack : haystack.toLowerCase();
+        const needle = caseSensitive ? term : term.toLowerCase();
+        const asciiTerm = /^[\x00-\x7F]+$/.test(needle);
+        let from = 0;
+        while (from <= text.length) {
+            const idx = text.indexOf(needle, from);
+            if (idx === -1) return -1;
+            if (!asciiTerm || (isWordBoundary(text, idx - 1) && isWordBoundary(text, idx + needle.length))) {
+                return idx;
+            }
+            from = idx + 1;
+        }
+        return -1;
+    }
+
+    // 원문 + 이표기 (긴 표기 우선)
+    function termSources(entry) {
+        return [entry.source, ...(entry.variants || [])]
+            .filter(Boolean)
+            .sort((a, b) => b.length - a.length);
+    }
+
+    // 입력에 등장한 원문 표기 반환 (없으면 null). caseSensitive 항목은 대소문자까지 일치해야 함
+    function matchTermEntry(text, entry) {
+        if (!text || !entry) return null;
+        return termSources(entry).find(term => findTermIndex(text, term, Boolean(entry.caseSensitive)) !== -1) || null;
+    }
+
+    // 번역문에 쓰인 금지 번역어 목록 (지정 번역어 안에 포함된 금지어는 지정 번역어를 지운 뒤 검사)
+    function findForbiddenRenderings(translation, entry) {
+        const forbidden = (entry && entry.forbidden) || [];
+        if (!translation || forbidden.length === 0) return [];
+
+        const normalize = text => String(text || '').normalize('NFC').toLowerCase().replace(/\s+/g, ' ');
+        const target = normalize(entry.target).trim();
+        const output = target ? normalize(translation).split(target).join('\u0000') : normalize(translation);
+        return forbidden.filter(term => findTermIndex(output, normalize(term).trim()) !== -1);
+    }
+
+    // ===================================================
+    // CSV / TSV (RFC 4180 따옴표 규칙) - 단어장 덱(js/deck-formats.js)도 같은 파서 사용
+    // ===================================================
+
+    function parseDelimited(text, delimiter) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (inQuotes) {
+                if (ch === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (ch === '"') {
+                    inQuotes = false;
+                } else {
+                    field += ch;
+                }
+            } else if (ch === '"' && field === '') {
+                inQuotes = true;
+            } else if (ch === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += ch;
+            }
+        }
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+    }
+
+    function resolveHeader(cells) {
+        const mapping = {};
+        cells.forEach((cell, index) => {
+            const key = cell.trim().toLowerCase().replace(/[_-]+/g, ' ');
+            Object.keys(HEADER_ALIASES).forEach(column => {
+                if (mapping[column] === undefined && HEADER_ALIASES[column].includes(key)) mapping[column] = index;
+            });
+        });
+        return mapping.source !== undefined && mapping.target !== undefined ? mapping : null;
+    }
+
+    // 헤더가 없으면 열 순서를 GLOSSARY_COLUMNS로 간주
+    function parseGlossaryDelimited(text, delimiter) {
+        const content = (text || '').replace(/^\uFEFF/, '');
+        if (!delimiter) {
+            const firstLine = content.split(/\r?\n/, 1)[0] || '';
+            delimiter = firstLine.includes('\t') ? '\t' : (firstLine.includes(';') && !firstLine.includes(',') ? ';' : ',');
+        }
+
+        const rows = parseDelimited(content, delimiter);
+        const header = rows.length > 0 ? resolveHeader(rows[0]) : null;
+        const mapping = header || Object.fromEntries(GLOSSARY_COLUMNS.map((column, index) => [column, index]));
+        const entries = [];
+        const errors = [];
+
+        rows.slice(header ? 1 : 0).forEach((cells, index) => {
+            const line = index + (header ? 2 : 1);
+            const raw = {};
+            GLOSSARY_COLUMNS.forEach(column => {
+                if (mapping[column] !== undefined) raw[column] = cells[mapping[column]] || '';
+            });
+            const entry = normalizeEntry(raw);
+            if (!entry.source || !entry.target) {
+                errors.push({ line, error: '원문 또는 번역이 비어 있습니다.' });
+                return;
+            }
+            entries.push(entry);
+        });
+
+        return { entries, errors };
+    }
+
+    function escapeDelimitedField(value, delimiter) {
+        const text = String(value || '');
+        return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    function serializeGlossaryDelimited(entries, options = {}) {
+        const { delimiter = ',', bom = true } = options;
+        const lines = [GLOSSARY_COLUMNS.join(delimiter)];
+        entries.map(normalizeEntry).forEach(entry => {
+            const values = {
+                ...entry,
+                forbidden: entry.forbidden.join('; '),
+                variants: entry.variants.join('; '),
+                caseSensitive: entry.caseSensitive ? 'yes' : ''
+            };
+            lines.push(GLOSSARY_COLUMNS.map(column => escapeDelimitedField(values[column], delimiter)).join(delimiter));
+        });
+        return (bom ? '\uFEFF' : '') + lines.join('\r\n') + '\r\n';
+    }
+
+    // ===================================================
+    // TBX (TermBase eXchange)
+    // ===================================================
+
+    function decodeXml(text) {
+        return String(text || '')
+            .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+            .replace(/<[^>]+>/g, '')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'")
+            .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+            .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+            .replace(/&amp;/g, '&')
+            .trim();
+    }
+
+    function encodeXml(text) {
+        return String(text || '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function findTagText(xml, tag, type) {
+        const typeAttr = type ? `[^>]*\\btype=["']${type}["']` : '';
+        const match = xml.match(new RegExp(`<${tag}\\b${typeAttr}[^>]*>([\\s\\S]*?)</${tag}>`));
+        return match ? decodeXml(match[1]) : '';
+    }
+
+    function parseTbxTerms(langXml) {
+        const terms = [];
+        const termBlocks = langXml.match(/<(tig|ntig|termSec)\b[\s\S]*?<\/\1>/g) || [langXml];
+        termBlocks.forEach(block => {
+            const term = findTagText(block, 'term');
+            if (!term) return;
+            const status = findTagText(block, 'termNote', 'administrativeStatus');
+            terms.push({
+                term,
+                partOfSpeech: findTagText(block, 'termNote', 'partOfSpeech'),
+                forbidden: TBX_FORBIDDEN_STATUSES.includes(status)
+            });
+        });
+        return terms;
+    }
+
+    // options.sourceLang/targetLang: 언어 코드 접두어 (기본 ko → vi)
+    function parseGlossaryTBX(text, options = {}) {
+        const { sourceLang = 'ko', targetLang = 'vi' } = options;
+        const entries = [];
+        const errors = [];
+        const conceptBlocks = (text || '').match(/<(termEntry|conceptEntry)\b[\s\S]*?<\/\1>/g) || [];
+
+        if (conceptBlocks.length === 0) {
+            return { entries, errors: [{ line: 0, error: 'TBX 용어 항목(termEntry/conceptEntry)을 찾을 수 없습니다.' }] };
+        }
+
+        conceptBlocks.forEach((block, index) => {
+            const langBlocks = (block.match(/<(langSet|langSec)\b[\s\S]*?<\/\1>/g) || []).map(langXml => {
+                const langMatch = langXml.match(/xml:lang=["']([^"']+)["']/);
+                return { lang: langMatch ? langMatch[1].toLowerCase() : '', terms: parseTbxTerms(langXml), xml: langXml };
+            });
+            const pick = (code, fallbackIndex) =>
+                langBlocks.find(lang => lang.lang === code || lang.lang.startsWith(`${code}-`)) || langBlocks[fallbackIndex];
+
+            const sourceBlock = pick(sourceLang, 0);
+            const targetBlock = pick(targetLang, 1);
+            const sourceTerms = sourceBlock ? sourceBlock.terms.filter(term => !term.forbidden) : [];
+            const sourceTerm = sourceTerms[0];
+            const targetTerms = targetBlock && targetBlock !== sourceBlock ? targetBlock.terms : [];
+            const preferred = targetTerms.find(term => !term.forbidden);
+
+            if (!sourceTerm || !preferred) {
+                errors.push({ line: index + 1, error: '원문 또는 번역 용어가 없는 항목입니다.' });
+                return;
+            }
+
+            // 개념 수준 설명 (langSet 밖) → 분야/메모
+            const conceptXml = langBlocks.reduce((xml, lang) => xml.replace(lang.xml, ''), block);
+            entries.push(normalizeEntry({
+                source: sourceTerm.term,
+                target: preferred.term,
+                domain: findTagText(conceptXml, 'descrip', 'subjectField'),
+                partOfSpeech: preferred.partOfSpeech || sourceTerm.partOfSpeech,
+                notes: findTagText(conceptXml, 'note') || findTagText(conceptXml, 'descrip', 'definition'),
+                forbidden: targetTerms.filter(term => term.forbidden).map(term => term.term),
+                variants: sourceTerms.slice(1).map(term => term.term),
+                caseSensitive: findTagText(conceptXml, 'descrip', 'caseSensitive')
+            }));
+        });
+
+        return { entries, errors };
+    }
+
+    function serializeGlossaryTBX(entries, options = {}) {
+        const { sourceLang = 'ko', targetLang = 'vi' } = options;
+        const tig = (term, partOfSpeech, status) => [
+            '        <tig>',
+            `          <term>${encodeXml(term)}</term>`,
+            partOfSpeech ? `          <termNote type="partOfSpeech">${encodeXml(partOfSpeech)}</termNote>` : null,
+            `          <termNote type="administrativeStatus">${status}</termNote>`,
+            '        </tig>'
+        ].filter(Boolean).join('\n');
+
+        const body = entries.map(normalizeEntry).map((entry, index) => [
+            `    <termEntry id="t${index + 1}">`,
+            entry.domain ? `      <descrip type="subjectField">${encodeXml(entry.domain)}</descrip>` : null,
+            entry.notes ? `      <note>${encodeXml(entry.notes)}</note>` : null,
+            entry.caseSensitive ? '      <descrip type="caseSensitive">yes</descrip>' : null,
+            `      <langSet xml:lang="${sourceLang}">`,
+            tig(entry.source, entry.partOfSpeech, 'preferredTerm-admn-sts'),
+            ...entry.variants.map(term => tig(term, entry.partOfSpeech, 'admittedTerm-admn-sts')),
+            '      </langSet>',
+            `      <langSet xml:lang="${targetLang}">`,
+            tig(entry.target, entry.partOfSpeech, 'preferredTerm-admn-sts'),
+            ...entry.forbidden.map(term => tig(term, '', 'deprecatedTerm-admn-sts')),
+            '      </langSet>',
+            '    </termEntry>'
+        ].filter(Boolean).join('\n')).join('\n');
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<martif type="TBX" xml:lang="${sourceLang}">`,
+            '  <martifHeader><fileDesc><sourceDesc><p>Exported glossary</p></sourceDesc></fileDesc></martifHeader>',
+            '  <text><body>',
+            body,
+            '  </body></text>',
+            '</martif>',
+            ''
+        ].join('\n');
+    }
+
+    // ===================================================
+    // 기본 용어집 (data/ko-vi-terminology.json: { 분야: { 한국어: 베트남어 | { target, variants, forbidden, ... } } })
+    // ===================================================
+
+    // 여러 분야를 묶은 전문 분야 값 - 클라이언트 분야 선택과 서버 용어집 매칭이 같은 표를 사용
+    // ('manufacturing'은 이전 버전 클라이언트가 저장해 둔 값이기도 함)
+    const DOMAIN_ALIASES = {
+        manufacturing: ['제조 자동화', '품질 관리', '일반 제조']
+    };
+
+    // 전문 분야 값 → 용어집에 있는 분야 목록 ('general'이나 없는 분야면 [])
+    function resolveDomainCategories(domain, data) {
+        if (!domain || domain === 'general') return [];
+        const categories = DOMAIN_ALIASES[domain] || [domain];
+        return categories.filter(category => data && data[category]);
+    }
+
+    function entriesFromTerminologyData(data, categories = null) {
+        const entries = [];
+        Object.entries(data || {}).forEach(([category, terms]) => {
+            if (categories && !categories.includes(category)) return;
+            if (!terms || typeof terms !== 'object') return;
+            Object.entries(terms).forEach(([source, value]) => {
+                const details = value && typeof value === 'object' ? value : { target: value };
+                entries.push(normalizeEntry({ ...details, source, domain: category }));
+            });
+        });
+        return entries;
+    }
+
+    // ===================================================
+    // 가져오기 병합 - 중복/충돌 검사
+    // ===================================================
+
+    // existing: Map(원문 → 번역) 또는 [원문, 번역] 배열
+    // - duplicates: 이미 같은 번역으로 등록된 항목 (또는 파일 안에서 반복된 항목)
+    // - conflicts: 같은 원문에 다른 번역 (기존 항목과 또는 파일 안에서)
+    function analyzeGlossaryImport(existing, incoming) {
+        const existingMap = existing instanceof Map ? existing : new Map(existing || []);
+        const existingKeys = new Map(Array.from(existingMap.keys()).map(key => [key.toLowerCase(), key]));
+        const seen = new Map();
+        const added = [];
+        const duplicates = [];
+        const conflicts = [];
+
+        incoming.map(normalizeEntry).forEach(entry => {
+            const key = entry.source.toLowerCase();
+
+            if (seen.has(key)) {
+                const first = seen.get(key);
+                if (first.target === entry.target) duplicates.push({ entry, reason: 'file' });
+                else conflicts.push({ entry, existingTarget: first.target, reason: 'file' });
+                return;
+            }
+            seen.set(key, entry);
+
+            if (existingKeys.has(key)) {
+                const existingSource = existingKeys.get(key);
+                const existingTarget = existingMap.get(existingSource);
+                if (existingTarget === entry.target) duplicates.push({ entry, reason: 'existing' });
+                else conflicts.push({ entry, existingSource, existingTarget, reason: 'existing' });
+                return;
+            }
+
+            added.push(entry);
+        });
+
+        return { added, duplicates, conflicts };
+    }
+
+    return {
+        GLOSSARY_COLUMNS,
+        detectGlossaryFormat,
+        normalizeEntry,
+        entryDetails,
+        findTermIndex,
+        termSources,
+        matchTermEntry,
+        findForbiddenRenderings,
+        parseDelimited,
+        escapeDelimitedField,
+        parseGlossaryDelimited,
+        serializeGlossaryDelimited,
+        parseGlossaryTBX,
+        serializeGlossaryTBX,
+        DOMAIN_ALIASES,
+        resolveDomainCategories,
+        entriesFromTerminologyData,
+        analyzeGlossaryImport
+    };
+});
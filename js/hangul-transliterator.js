@@ -0,0 +1,434 @@
+// ========== 🔤 규칙 기반 한글 음역 (베트남어 / 영어) ==========
+// 브라우저(<script>, 단어장 발음 표기)와 Netlify 함수(require, translate.js 발음 검증/대체) 양쪽에서 쓰기 위해 UMD 형태로 작성
+// 네트워크 없이 같은 입력에 항상 같은 결과를 내므로 모델의 pronunciation_hangul을 대신하거나 검증하는 데 사용
+// - 베트남어: 국립국어원 베트남어 표기 규칙 기준 (초성 c/k/q → ㄲ, ch/tr → ㅉ, t → ㄸ, x → ㅆ, 끝소리 t → ㅅ, anh → 아인)
+//   성조는 toneHints 옵션을 주면 음절 뒤에 화살표로 표시 (↘ huyền, ↗ sắc, ↘↗ hỏi, ~↗ ngã, ↓ nặng)
+// - 영어: 철자 규칙(자음 묶음, 모음 조합, 끝 e 장음화, r 탈락) + 외래어 표기법 음절 구성, 불규칙 단어는 예외 사전
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./language-registry'));
+    } else {
+        root.HangulTransliterator = factory(root.LanguageRegistry);
+    }
+})(typeof self !== 'undefined' ? self : this, function (LanguageRegistry) {
+    const SUPPORTED_LANGUAGES = ['vi', 'en'];
+    // 규칙만으로 충분히 정확한 언어 - 모델에 발음을 요청하지 않고 바로 생성
+    const RELIABLE_LANGUAGES = ['vi'];
+
+    // ===================================================
+    // 한글 조합
+    // ===================================================
+    const CHOSEONG = ['ㄱ', 'ㄲ', 'ㄴ', 'ㄷ', 'ㄸ', 'ㄹ', 'ㅁ', 'ㅂ', 'ㅃ', 'ㅅ', 'ㅆ', 'ㅇ', 'ㅈ', 'ㅉ', 'ㅊ', 'ㅋ', 'ㅌ', 'ㅍ', 'ㅎ'];
+    const JUNGSEONG = ['ㅏ', 'ㅐ', 'ㅑ', 'ㅒ', 'ㅓ', 'ㅔ', 'ㅕ', 'ㅖ', 'ㅗ', 'ㅘ', 'ㅙ', 'ㅚ', 'ㅛ', 'ㅜ', 'ㅝ', 'ㅞ', 'ㅟ', 'ㅠ', 'ㅡ', 'ㅢ', 'ㅣ'];
+    const JONGSEONG = ['', 'ㄱ', 'ㄲ', 'ㄳ', 'ㄴ', 'ㄵ', 'ㄶ', 'ㄷ', 'ㄹ', 'ㄺ', 'ㄻ', 'ㄼ', 'ㄽ', 'ㄾ', 'ㄿ', 'ㅀ', 'ㅁ', 'ㅂ', 'ㅄ', 'ㅅ', 'ㅆ', 'ㅇ', 'ㅈ', 'ㅊ', 'ㅋ', 'ㅌ', 'ㅍ', 'ㅎ'];
+
+    const Y_GLIDE = { 'ㅏ': 'ㅑ', 'ㅐ': 'ㅒ', 'ㅓ': 'ㅕ', 'ㅔ': 'ㅖ', 'ㅗ': 'ㅛ', 'ㅜ': 'ㅠ' };
+    const W_GLIDE = { 'ㅏ': 'ㅘ', 'ㅐ': 'ㅙ', 'ㅓ': 'ㅝ', 'ㅔ': 'ㅞ', 'ㅣ': 'ㅟ', 'ㅗ': 'ㅝ' };
+
+    function compose(initial, medial, final = '') {
+        return String.fromCharCode(0xAC00
+            + (CHOSEONG.indexOf(initial) * 21 + JUNGSEONG.indexOf(medial)) * 28
+            + JONGSEONG.indexOf(final));
+    }
+
+    function languageCode(language) {
+        const lang = LanguageRegistry.getLanguage(language);
+        return lang ? lang.code : String(language || '').toLowerCase().slice(0, 2);
+    }
+
+    // ===================================================
+    // 베트남어
+    // ===================================================
+    // 긴 것부터 매칭 (ngh → ng, nh → n)
+    const VI_INITIALS = [
+        ['ngh', 'NG'], ['ng', 'NG'], ['nh', 'NH'], ['ch', 'ㅉ'], ['tr', 'ㅉ'], ['th', 'ㅌ'], ['ph', 'ㅍ'], ['kh', 'ㅋ'],
+        ['gh', 'ㄱ'], ['gi', 'ㅈ'], ['qu', 'QU'], ['b', 'ㅂ'], ['c', 'ㄲ'], ['d', 'ㅈ'], ['đ', 'ㄷ'], ['g', 'ㄱ'],
+        ['h', 'ㅎ'], ['k', 'ㄲ'], ['l', 'ㄹ'], ['m', 'ㅁ'], ['n', 'ㄴ'], ['p', 'ㅃ'], ['r', 'ㄹ'], ['s', 'ㅅ'],
+        ['t', 'ㄸ'], ['v', 'ㅂ'], ['x', 'ㅆ']
+    ];
+    const VI_FINALS = [['ng', 'ㅇ'], ['nh', 'ㄴ'], ['ch', 'ㄱ'], ['c', 'ㄱ'], ['m', 'ㅁ'], ['n', 'ㄴ'], ['p', 'ㅂ'], ['t', 'ㅅ']];
+    const VI_VOWELS = { 'a': 'ㅏ', 'ă': 'ㅏ', 'â': 'ㅓ', 'e': 'ㅐ', 'ê': 'ㅔ', 'i': 'ㅣ', 'y': 'ㅣ', 'o': 'ㅗ', 'ô': 'ㅗ', 'ơ': 'ㅓ', 'u': 'ㅜ', 'ư': 'ㅡ' };
+    const VI_TONE_MARKS = { '̀': 'huyền', '́': 'sắc', '̃': 'ngã', '̉': 'hỏi', '̣': 'nặng' };
+    const VI_TONE_HINTS = { 'ngang': '', 'huyền': '↘', 'sắc': '↗', 'hỏi': '↘↗', 'ngã': '~↗', 'nặng': '↓' };
+
+    function splitVietnameseTone(syllable) {
+        let tone = 'ngang';
+        let base = '';
+        for (const char of syllable.normalize('NFD')) {
+            if (VI_TONE_MARKS[char]) tone = VI_TONE_MARKS[char];
+            else base += char;
+        }
+        return { base: base.normalize('NFC'), tone };
+    }
+
+    // 음절 하나 → 한글 (베트남어 음절 구조가 아니면 null)
+    function transliterateVietnameseSyllable(syllable, { toneHints = false } = {}) {
+        const { base, tone } = splitVietnameseTone(syllable.toLowerCase());
+
+        let initial = 'ㅇ';
+        let rest = base;
+        const initialMatch = VI_INITIALS.find(([spelling]) => base.startsWith(spelling));
+        if (initialMatch) {
+            initial = initialMatch[1];
+            rest = base.slice(initialMatch[0].length);
+            // gi 뒤에 모음이 없거나 ê가 오면 i는 모음 (gì → 지, giếng → 지엥)
+            if (initialMatch[0] === 'gi' && (!/[aăâeêioôơuưy]/.test(rest) || rest.startsWith('ê'))) rest = 'i' + rest;
+        }
+
+        let final = '';
+        let finalSpelling = '';
+        const finalMatch = VI_FINALS.find(([spelling]) => rest.endsWith(spelling) && rest.length > spelling.length);
+        if (finalMatch) {
+            finalSpelling = finalMatch[0];
+            final = finalMatch[1];
+            rest = rest.slice(0, -finalSpelling.length);
+        }
+
+        const letters = Array.from(rest);
+        if (letters.length === 0 || letters.some(letter => !VI_VOWELS[letter])) return null;
+
+        const units = letters.map(letter => VI_VOWELS[letter]);
+        // 이중모음 ia/ưa/ua의 a는 ㅓ (kia → 끼어, mưa → 므어, mua → 무어)
+        if (!final && units.length >= 2 && letters[letters.length - 1] === 'a' && /[iưu]/.test(letters[letters.length - 2]) && initial !== 'QU') {
+            units[units.length - 1] = 'ㅓ';
+        }
+        // a + nh/ch → 아인/아익 (bánh → 바인, Thạch → 타익)
+        if ((finalSpelling === 'nh' || finalSpelling === 'ch') && /[aă]/.test(letters[letters.length - 1])) {
+            units.push('ㅣ');
+        }
+
+        const syllables = [];
+        let firstInitial = initial;
+        if (initial === 'NG') {
+            syllables.push('응');
+            firstInitial = 'ㅇ';
+        } else if (initial === 'NH') {
+            firstInitial = 'ㄴ';
+            units[0] = Y_GLIDE[units[0]] || units[0];
+        } else if (initial === 'QU') {
+            firstInitial = 'ㄲ';
+            if (W_GLIDE[units[0]] && units[0] !== 'ㅗ') units[0] = W_GLIDE[units[0]];
+            else units.unshift('ㅜ');
+        }
+
+        // 모음으로 시작하는 iê/yê는 한 음절로 (yên → 옌, Nguyễn → 응우옌)
+        const medials = [];
+        units.forEach((unit, index) => {
+            const previous = medials[medials.length - 1];
+            const startsWithVowel = index > 0 || firstInitial === 'ㅇ';
+            if (unit === 'ㅔ' && previous === 'ㅣ' && (medials.length > 1 || firstInitial === 'ㅇ') && startsWithVowel) {
+                medials[medials.length - 1] = 'ㅖ';
+            } else {
+                medials.push(unit);
+            }
+        });
+
+        medials.forEach((medial, index) => {
+            const isLast = index === medials.length - 1;
+            syllables.push(compose(index === 0 ? firstInitial : 'ㅇ', medial, isLast ? final : ''));
+        });
+
+        return syllables.join('') + (toneHints ? VI_TONE_HINTS[tone] : '');
+    }
+
+    // 대문자 약어와 단위 기호(PLC, CNC, 25°C)는 베트남어 음절로 읽지 않고 알파벳 이름으로 읽음 (피엘씨, 25도씨)
+    // 베트남어 음절로 읽히는 대문자 단어(NAM, HÀ NỘI 등 제목 표기)는 그대로 음절 변환
+    const LETTER_NAMES = {
+        a: '에이', b: '비', c: '씨', d: '디', e: '이', f: '에프', g: '지', h: '에이치', i: '아이', j: '제이', k: '케이',
+        l: '엘', m: '엠', n: '엔', o: '오', p: '피', q: '큐', r: '알', s: '에스', t: '티', u: '유', v: '브이',
+        w: '더블유', x: '엑스', y: '와이', z: '지'
+    };
+
+    function spellLetters(word) {
+        return Array.from(word.toLowerCase()).map(letter => LETTER_NAMES[letter] || letter).join('');
+    }
+
+    function isAcronym(word) {
+        return /^[A-Z]+$/.test(word) && (word.length === 1 || !transliterateVietnameseSyllable(word));
+    }
+
+    function transliterateVietnamese(text, options = {}) {
+        const withUnits = String(text || '').replace(/°\s?([CF])\b/g, (match, unit) => `도${spellLetters(unit)}`);
+        return mapWords(withUnits, word => {
+            if (isAcronym(word)) return spellLetters(word);
+            return transliterateVietnameseSyllable(word, options) || transliterateEnglishWord(word);
+        });
+    }
+
+    // ===================================================
+    // 영어
+    // ===================================================
+    const EN_EXCEPTIONS = {
+        'a': '어', 'the': '더', 'to': '투', 'of': '오브', 'and': '앤드', 'you': '유', 'your': '유어', 'one': '원',
+        'two': '투', 'are': '아', 'is': '이즈', 'was': '워즈', 'what': '왓', 'who': '후', 'hello': '헬로',
+        'water': '워터', 'computer': '컴퓨터', 'people': '피플', 'thanks': '생스', 'thank': '생크', 'please': '플리즈',
+        'sorry': '소리', 'love': '러브', 'good': '굿', 'work': '워크', 'world': '월드', 'english': '잉글리시',
+        'do': '두', 'does': '더즈', 'have': '해브', 'said': '세드', 'come': '컴', 'some': '섬', 'once': '원스',
+        'know': '노', 'many': '매니', 'any': '애니', 'busy': '비지', 'friend': '프렌드', 'eye': '아이', 'buy': '바이',
+        'word': '워드', 'woman': '우먼', 'women': '위민', 'coffee': '커피', 'service': '서비스', 'machine': '머신',
+        'i': '아이', 'me': '미', 'we': '위', 'he': '히', 'she': '시', 'be': '비', 'my': '마이', 'by': '바이'
+    };
+
+    const EN_CONSONANT_JAMO = {
+        p: 'ㅍ', b: 'ㅂ', t: 'ㅌ', d: 'ㄷ', k: 'ㅋ', g: 'ㄱ', f: 'ㅍ', v: 'ㅂ', th: 'ㅅ', dh: 'ㄷ', s: 'ㅅ', z: 'ㅈ',
+        sh: 'ㅅ', zh: 'ㅈ', ch: 'ㅊ', j: 'ㅈ', m: 'ㅁ', n: 'ㄴ', ng: 'ㅇ', l: 'ㄹ', r: 'ㄹ', h: 'ㅎ', w: 'ㅇ', y: 'ㅇ'
+    };
+    const EN_CODAS = { m: 'ㅁ', n: 'ㄴ', ng: 'ㅇ', l: 'ㄹ' };
+    const EN_STOP_CODAS = { p: 'ㅂ', t: 'ㅅ', k: 'ㄱ' };
+    const EN_STANDALONE_I = ['ch', 'sh', 'j', 'zh']; // 모음 없이 끝나면 '이'를 붙임 (치, 시, 지)
+
+    const isVowelLetter = letter => /[aeiou]/.test(letter || '');
+    const C = sound => ({ type: 'c', sound });
+    const V = (medial, long = false) => ({ type: 'v', medial, long });
+
+    // 철자 → 소리 단위 목록 (자음: 'sh', 't' 등 / 모음: 한글 중성)
+    function englishSounds(word) {
+        const sounds = [];
+        const silentE = /[^aeiou]e$/.test(word) && word.length > 2;
+        const text = silentE ? word.slice(0, -1) : word;
+        let i = 0;
+
+        const peek = (offset = 0) => text[i + offset] || '';
+        // 장모음: 모음 + 자음 하나 + 끝 e (make, time, home, cute), 모음 + 자음 + le (table), 모음 + tion (nation)
+        const isLongVowel = () => (silentE && i === text.length - 2 && !isVowelLetter(text[text.length - 1]))
+            || (silentE && word.endsWith('le') && i === text.length - 3 && !isVowelLetter(peek(1)) && peek(1) !== peek(2))
+            || text.startsWith('tion', i + 1);
+
+        while (i < text.length) {
+            const rest = text.slice(i);
+            const atEnd = i + 1 >= text.length;
+
+            // --- 자음 묶음 ---
+            if (rest.startsWith('tch')) { sounds.push(C('ch')); i += 3; continue; }
+            if (rest.startsWith('dg') && /[eiy]/.test(word[i + 2] || '')) { sounds.push(C('j')); i += 2; continue; }
+            if (rest.startsWith('sch')) { sounds.push(C('s'), C('k')); i += 3; continue; }
+            if (rest.startsWith('igh')) { sounds.push(V('ㅏ'), V('ㅣ', true)); i += 3; continue; }
+            if (rest.startsWith('stion')) { sounds.push(C('s'), C('ch'), V('ㅓ'), C('n')); i += 5; continue; }
+            if (rest.startsWith('tion')) { sounds.push(C('sh'), V('ㅓ'), C('n')); i += 4; continue; }
+            if (rest.startsWith('sion')) { sounds.push(C('zh'), V('ㅓ'), C('n')); i += 4; continue; }
+            if (i === 0 && rest.startsWith('kn')) { sounds.push(C('n')); i += 2; continue; }
+            if (i === 0 && rest.startsWith('wr')) { sounds.push(C('r')); i += 2; continue; }
+            if (rest.startsWith('wh')) { sounds.push(C('w')); i += 2; continue; }
+            if (rest.startsWith('sh')) { sounds.push(C('sh')); i += 2; continue; }
+            if (rest.startsWith('ch')) { sounds.push(C('ch')); i += 2; continue; }
+            if (rest.startsWith('ph')) { sounds.push(C('f')); i += 2; continue; }
+            if (rest.startsWith('th')) { sounds.push(C('th')); i += 2; continue; }
+            if (rest.startsWith('ck')) { sounds.push(C('k')); i += 2; continue; }
+            if (rest.startsWith('qu')) { sounds.push(C('k'), C('w')); i += 2; continue; }
+            if (rest.startsWith('gh')) { if (i === 0) sounds.push(C('g')); i += 2; continue; }
+            if (rest.startsWith('ng') && (!isVowelLetter(word[i + 2]) || /^ng(er|ing)$/.test(rest))) { sounds.push(C('ng')); i += 2; continue; }
+            if (rest.startsWith('nk')) { sounds.push(C('ng'), C('k')); i += 2; continue; }
+
+            const letter = peek();
+            // 겹자음은 하나로 (apple, hello)
+            if (!isVowelLetter(letter) && letter === peek(1) && letter !== 'y') { i++; continue; }
+
+            // --- 모음 ---
+            if (letter === 'y') {
+                if (i === 0 || isVowelLetter(text[i - 1]) && isVowelLetter(peek(1))) {
+                    sounds.push(C('y'));
+                } else if (atEnd && text.length <= 3) {
+                    sounds.push(V('ㅏ'), V('ㅣ', true)); // my, fly → 아이
+                } else if (atEnd || !isVowelLetter(peek(1))) {
+                    sounds.push(V('ㅣ')); // happy → 해피
+                } else {
+                    sounds.push(C('y'));
+                }
+                i++;
+                continue;
+            }
+
+            if (isVowelLetter(letter)) {
+                const pair = rest.slice(0, 2);
+                const teams = {
+                    ee: [V('ㅣ', true)], ea: [V('ㅣ', true)], oo: [V('ㅜ', !/[kdt]/.test(text[i + 2] || ''))], ai: [V('ㅔ'), V('ㅣ', true)], ay: [V('ㅔ'), V('ㅣ', true)],
+                    oa: [V('ㅗ', true)], ou: [V('ㅏ'), V('ㅜ', true)], oi: [V('ㅗ'), V('ㅣ', true)], oy: [V('ㅗ'), V('ㅣ', true)],
+                    au: [V('ㅗ')], aw: [V('ㅗ')], ew: [C('y'), V('ㅜ', true)], ei: [V('ㅔ'), V('ㅣ', true)], ue: [V('ㅜ')],
+                    ey: atEnd || i + 2 >= text.length ? [V('ㅣ')] : [V('ㅔ'), V('ㅣ', true)],
+                    ie: i + 2 >= text.length ? [V('ㅏ'), V('ㅣ', true)] : [V('ㅣ')],
+                    ow: /[lr]$|sh$|sn$|kn$/.test(text.slice(0, i)) || i + 2 < text.length && !/[nl]/.test(text[i + 2]) ? [V('ㅗ')] : [V('ㅏ'), V('ㅜ', true)]
+                };
+                if (teams[pair]) {
+                    sounds.push(...teams[pair]);
+                    i += 2;
+                    if (pair !== 'ew' && pair !== 'aw' && pair !== 'ow' && pair !== 'ay' && pair !== 'oy' && pair !== 'ey') {
+                        if (peek() === 'r') { i++; if (pair === 'ea' || pair === 'ee') sounds.push(V('ㅓ')); }
+                    }
+                    continue;
+                }
+
+                // r 앞 모음 (car → 카, her → 허, for → 포) - 모음 앞이 아니면 r은 읽지 않음
+                if (peek(1) === 'r' && !isVowelLetter(peek(2)) && peek(2) !== 'r') {
+                    const rColored = { a: text.slice(i - 2, i) === 'qu' ? 'ㅓ' : 'ㅏ', e: 'ㅓ', i: 'ㅓ', o: 'ㅗ', u: 'ㅓ' };
+                    sounds.push(V(rColored[letter], true));
+                    i += 2;
+                    continue;
+                }
+
+                if (isLongVowel()) {
+                    const long = { a: [V('ㅔ'), V('ㅣ', true)], e: [V('ㅣ', true)], i: [V('ㅏ'), V('ㅣ', true)], o: [V('ㅗ', true)], u: [C('y'), V('ㅜ', true)] };
+                    sounds.push(...long[letter]);
+                    i++;
+                    continue;
+                }
+
+                // qu 뒤 a는 '어' (quality → 퀄리티, squad → 스쿼드)
+                const short = { a: text.slice(i - 2, i) === 'qu' ? 'ㅓ' : 'ㅐ', e: 'ㅔ', i: 'ㅣ', o: 'ㅗ', u: 'ㅓ' };
+                sounds.push(V(short[letter]));
+                i++;
+                continue;
+            }
+
+            // --- 단자음 (c/g는 읽지 않는 끝 e까지 보고 판단: nice, page) ---
+            if (letter === 'c') sounds.push(C(/[eiy]/.test(word[i + 1] || '') ? 's' : 'k'));
+            else if (letter === 'g') sounds.push(C(/[eiy]/.test(word[i + 1] || '') ? 'j' : 'g'));
+            else if (letter === 'x') sounds.push(C('k'), C('s'));
+            else if (letter === 'q') sounds.push(C('k'));
+            else if (EN_CONSONANT_JAMO[letter]) sounds.push(C(letter));
+            i++;
+        }
+
+        // 자음 + le로 끝나면 '을' (table → 테이블)
+        if (silentE && word.endsWith('le') && sounds.length > 1 && sounds[sounds.length - 1].sound === 'l') {
+            sounds.splice(sounds.length - 1, 0, V('ㅡ'));
+        }
+        return sounds;
+    }
+
+    // consonant 뒤 glide(w/y)는 중성에 합침 (cute → 큐, quick → 퀵)
+    function englishSyllable(consonant, glide, medial) {
+        let vowel = medial;
+        if (glide === 'w') vowel = W_GLIDE[medial] || medial;
+        if (glide === 'y' || consonant === 'sh') vowel = Y_GLIDE[vowel] || vowel;
+        const initial = !consonant || consonant === 'ng' ? 'ㅇ' : EN_CONSONANT_JAMO[consonant];
+        return compose(initial, vowel);
+    }
+
+    // 소리 단위 → 한글 음절 (외래어 표기법: 모음 앞 자음은 초성, 나머지는 받침 또는 '으' 음절)
+    // 짧은 모음 뒤 무성 파열음(p/t/k)은 어말이거나 유음·비음 이외의 자음 앞이면 받침 (cat → 캣, act → 액트)
+    function syllabifyEnglish(sounds) {
+        const syllables = []; // { consonant, glide, medial, final, long, epenthetic }
+        let pending = [];
+
+        const addCoda = (sound, next) => {
+            const previous = syllables[syllables.length - 1];
+            const open = previous && !previous.final && !previous.epenthetic;
+            if (sound === 'r') return; // 모음 앞이 아닌 r은 읽지 않음
+            if (open && EN_CODAS[sound]) {
+                previous.final = EN_CODAS[sound];
+                return;
+            }
+            if (open && !previous.long && EN_STOP_CODAS[sound] && !['l', 'r', 'm', 'n'].includes(next)) {
+                previous.final = EN_STOP_CODAS[sound];
+                return;
+            }
+            syllables.push({ consonant: sound, medial: EN_STANDALONE_I.includes(sound) ? 'ㅣ' : 'ㅡ', final: '', epenthetic: true });
+        };
+        const flush = consonants => consonants.forEach((consonant, index) => addCoda(consonant, consonants[index + 1] || null));
+
+        sounds.forEach(sound => {
+            if (sound.type === 'c') {
+                pending.push(sound.sound);
+                return;
+            }
+            let consonant = pending.length > 0 ? pending[pending.length - 1] : null;
+            let glide = null;
+            let onsetSize = consonant ? 1 : 0;
+            if (consonant === 'w' || consonant === 'y') {
+                glide = consonant;
+                const before = pending[pending.length - 2];
+                consonant = before && !['w', 'y', 'ng', 'r'].includes(before) ? before : null;
+                if (consonant) onsetSize = 2;
+            }
+            const coda = pending.slice(0, pending.length - onsetSize);
+            flush(coda.concat(consonant ? [consonant] : []).slice(0, coda.length));
+
+            const previous = syllables[syllables.length - 1];
+            // 모음 사이 l은 ㄹㄹ (hello → 헬로), ng 뒤 모음은 받침 ㅇ + 초성 ㅇ (singer → 싱어)
+            if (consonant === 'l' && coda.length === 0 && previous && !previous.final && !previous.epenthetic) previous.final = 'ㄹ';
+            if (consonant === 'ng') addCoda('ng', null);
+
+            syllables.push({ consonant, glide, medial: sound.medial, final: '', long: sound.long });
+            pending = [];
+        });
+        flush(pending);
+
+        return syllables.map(syllable => {
+            const block = englishSyllable(syllable.consonant, syllable.glide, syllable.medial);
+            if (!syllable.final) return block;
+            return String.fromCharCode(block.charCodeAt(0) + JONGSEONG.indexOf(syllable.final));
+        }).join('');
+    }
+
+    function transliterateEnglishWord(word) {
+        const lower = word.toLowerCase();
+        if (EN_EXCEPTIONS[lower]) return EN_EXCEPTIONS[lower];
+        if (!/^[a-z]+$/.test(lower)) return word;
+        return syllabifyEnglish(englishSounds(lower));
+    }
+
+    function transliterateEnglish(text) {
+        return mapWords(text, transliterateEnglishWord);
+    }
+
+    // ===================================================
+    // 공통
+    // ===================================================
+    // 글자 단어만 변환하고 공백/문장부호/숫자는 그대로 유지
+    function mapWords(text, convert) {
+        return String(text || '').normalize('NFC').replace(/[\p{L}\p{M}]+/gu, word => (/[가-힣]/.test(word) ? word : convert(word)));
+    }
+
+    function supports(language) {
+        return SUPPORTED_LANGUAGES.includes(languageCode(language));
+    }
+
+    function isReliable(language) {
+        return RELIABLE_LANGUAGES.includes(languageCode(language));
+    }
+
+    // 지원하지 않는 언어면 null
+    function transliterate(text, language, options = {}) {
+        const code = languageCode(language);
+        if (code === 'vi') return transliterateVietnamese(text, options);
+        if (code === 'en') return transliterateEnglish(text);
+        return null;
+    }
+
+    function jamoSimilarity(a, b) {
+        const source = Array.from(a.replace(/[^가-힣]/g, '').normalize('NFD'));
+        const target = Array.from(b.replace(/[^가-힣]/g, '').normalize('NFD'));
+        const longest = Math.max(source.length, target.length);
+        if (longest === 0) return 1;
+
+        let previous = Array.from({ length: target.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= source.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= target.length; j++) {
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (source[i - 1] === target[j - 1] ? 0 : 1));
+            }
+            previous = current;
+        }
+        return 1 - previous[target.length] / longest;
+    }
+
+    // 모델이 만든 발음 표기 검증 - 한글이 아니거나 규칙 결과와 자모 단위로 크게 다르면 invalid
+    function validatePronunciation(text, language, pronunciation, threshold = 0.5) {
+        const expected = transliterate(text, language);
+        if (expected === null) return { valid: true, expected: null, similarity: null };
+        if (!/[가-힣]/.test(pronunciation || '')) return { valid: false, expected, similarity: 0 };
+
+        const similarity = Math.round(jamoSimilarity(expected, pronunciation) * 100) / 100;
+        return { valid: similarity >= threshold, expected, similarity };
+    }
+
+    return {
+        SUPPORTED_LANGUAGES,
+        supports,
+        isReliable,
+        transliterate,
+        transliterateVietnamese,
+        transliterateEnglish,
+        validatePronunciation
+    };
+});
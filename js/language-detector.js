@@ -0,0 +1,185 @@
+// ========== 🔍 원문 언어 감지 ==========
+// 브라우저(<script>)와 Netlify 함수(require) 양쪽에서 같은 로직을 쓰기 위해 UMD 형태로 작성
+// 감지 대상 언어와 판별 데이터는 language-registry.js의 detection 설정에서 가져옴
+// - 고유 문자 체계(한글, 태국 문자, 가나/한자 등)와 언어 전용 라틴 기호(베트남어 성조 등) 판별
+// - 기호 없는 라틴 문자 단어는 음절 구조 + 자주 쓰는 단어 + 문자 bigram 점수로 언어 구분
+// - 혼용 입력은 같은 언어로 이어진 구간(spans)을 함께 반환
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./language-registry'));
+    } else {
+        root.LanguageDetector = factory(root.LanguageRegistry);
+    }
+})(typeof self !== 'undefined' ? self : this, function (LanguageRegistry) {
+    const LANGUAGE_NAMES = {};
+    LanguageRegistry.LANGUAGES.forEach(lang => { LANGUAGE_NAMES[lang.code] = lang.name; });
+
+    const TOKEN_REGEX = /[\p{L}\p{M}]+(?:'[\p{L}]+)?/gu;
+    const MIXED_SHARE_THRESHOLD = 0.15;
+    const AMBIGUOUS_CERTAINTY = 0.3;
+
+    // 레지스트리 detection 설정 → 판별기
+    // sharedScript가 있는 언어(일본어 가나+한자)를 먼저 검사해야 한자만 보고 중국어로 분류하지 않음
+    const SCRIPT_DETECTORS = LanguageRegistry.LANGUAGES
+        .filter(lang => lang.detection && lang.detection.script)
+        .map(lang => ({
+            code: lang.code,
+            regex: new RegExp(`[${lang.detection.script}]`),
+            sharedRegex: lang.detection.sharedScript ? new RegExp(`[${lang.detection.sharedScript}]`) : null,
+            weight: lang.detection.weight || 1
+        }))
+        .sort((a, b) => (b.sharedRegex ? 1 : 0) - (a.sharedRegex ? 1 : 0));
+
+    const MARK_DETECTORS = LanguageRegistry.LANGUAGES
+        .filter(lang => lang.detection && lang.detection.marks)
+        .map(lang => ({ code: lang.code, regex: new RegExp(`[${lang.detection.marks}]`, 'i') }));
+
+    const LATIN_PROFILES = LanguageRegistry.LANGUAGES
+        .filter(lang => lang.detection && lang.detection.words)
+        .map(lang => ({
+            code: lang.code,
+            words: new Set(lang.detection.words),
+            bigrams: new Set(lang.detection.bigrams || []),
+            syllable: lang.detection.syllablePattern ? new RegExp(lang.detection.syllablePattern) : null,
+            forbidden: lang.detection.forbiddenLetters ? new RegExp(`[${lang.detection.forbiddenLetters}]`) : null
+        }));
+
+    function bigramRatio(word, profile) {
+        if (word.length < 2) return 0;
+        let hits = 0;
+        for (let i = 0; i < word.length - 1; i++) {
+            if (profile.has(word.slice(i, i + 2))) hits++;
+        }
+        return hits / (word.length - 1);
+    }
+
+    // 기호 없는 라틴 문자 단어: 라틴 문자 언어별 점수 비교
+    // 자주 쓰는 단어 일치가 음절 구조 + bigram 점수 합(최대 3)보다 크게 → 짧은 영어 기능어("I", "am", "go")가
+    // 인도네시아어/베트남어 bigram 몇 개에 밀리지 않도록 함
+    // 짧은 단어는 bigram 수가 적어 우연히 맞기 쉬우므로 4글자 미만은 bigram 가중치를 줄임
+    const WORD_HIT_SCORE = 5;
+    const BIGRAM_SCORE = 2;
+    const FULL_BIGRAM_LENGTH = 4;
+
+    function scoreLatinWord(word) {
+        const bigramWeight = BIGRAM_SCORE * Math.min(1, (word.length - 1) / (FULL_BIGRAM_LENGTH - 1));
+        const scores = LATIN_PROFILES.map(profile => {
+            let score = 0;
+            if (profile.words.has(word)) score += WORD_HIT_SCORE;
+            if (profile.syllable) score += profile.syllable.test(word) ? 1 : -2;
+            if (profile.forbidden && profile.forbidden.test(word)) score -= 3;
+            score += bigramWeight * bigramRatio(word, profile.bigrams);
+            return { code: profile.code, score };
+        }).sort((a, b) => b.score - a.score);
+
+        const diff = scores.length > 1 ? scores[0].score - scores[1].score : 1;
+        return { code: scores[0].code, certainty: diff / (diff + 2), latin: true };
+    }
+
+    function classifyToken(token) {
+        for (const detector of SCRIPT_DETECTORS) {
+            if (detector.regex.test(token)) return { code: detector.code, certainty: 1, weight: detector.weight };
+        }
+        for (const detector of MARK_DETECTORS) {
+            if (detector.regex.test(token)) return { code: detector.code, certainty: 1, latin: true };
+        }
+        if (LATIN_PROFILES.length > 0 && /^[a-z']+$/i.test(token)) return scoreLatinWord(token.toLowerCase());
+        return null; // 지원하지 않는 문자 체계
+    }
+
+    function detectLanguage(text) {
+        const tokens = [];
+        for (const match of (text || '').matchAll(TOKEN_REGEX)) {
+            const classified = classifyToken(match[0]);
+            if (!classified) continue;
+            tokens.push({
+                code: classified.code,
+                certainty: classified.certainty,
+                latin: Boolean(classified.latin),
+                text: match[0],
+                start: match.index,
+                end: match.index + match[0].length,
+                weight: match[0].length * (classified.weight || 1)
+            });
+        }
+
+        if (tokens.length === 0) {
+            return { code: null, language: null, confidence: 0, mixed: false, spans: [], breakdown: {} };
+        }
+
+        // 공유 문자(한자)만 있는 토큰은 같은 입력에 고유 문자(가나)가 있는 언어로 재분류
+        SCRIPT_DETECTORS.filter(detector => detector.sharedRegex).forEach(detector => {
+            if (!tokens.some(token => token.code === detector.code)) return;
+            tokens.forEach(token => {
+                if (!token.latin && detector.sharedRegex.test(token.text)) token.code = detector.code;
+            });
+        });
+
+        // 애매한 라틴 단어는 확실한 라틴 단어들의 다수 언어를 따름
+        // (성조 기호가 하나라도 있는 문장이면 나머지 라틴 단어도 베트남어일 가능성이 높음)
+        const latinVotes = {};
+        tokens.forEach(token => {
+            if (token.latin && token.certainty >= AMBIGUOUS_CERTAINTY) {
+                latinVotes[token.code] = (latinVotes[token.code] || 0) + token.weight * token.certainty;
+            }
+        });
+        const latinMajority = Object.keys(latinVotes).sort((a, b) => latinVotes[b] - latinVotes[a])[0];
+        tokens.forEach(token => {
+            if (token.latin && token.certainty < AMBIGUOUS_CERTAINTY && latinMajority) {
+                token.code = latinMajority;
+            }
+        });
+
+        const weights = {};
+        const certaintySum = {};
+        tokens.forEach(token => {
+            weights[token.code] = (weights[token.code] || 0) + token.weight;
+            certaintySum[token.code] = (certaintySum[token.code] || 0) + token.weight * token.certainty;
+        });
+
+        const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+        const ranked = Object.keys(weights).sort((a, b) => weights[b] - weights[a]);
+        const primary = ranked[0];
+        const share = weights[primary] / totalWeight;
+        const avgCertainty = certaintySum[primary] / weights[primary];
+
+        const breakdown = {};
+        ranked.forEach(code => {
+            breakdown[code] = Math.round(weights[code] / totalWeight * 100) / 100;
+        });
+
+        // 같은 언어로 이어지는 토큰을 구간으로 병합 (구간 사이 공백/문장부호 포함)
+        const spans = [];
+        tokens.forEach(token => {
+            const last = spans[spans.length - 1];
+            if (last && last.code === token.code) {
+                last.end = token.end;
+            } else {
+                spans.push({ code: token.code, language: LANGUAGE_NAMES[token.code], start: token.start, end: token.end });
+            }
+        });
+        spans.forEach(span => { span.text = text.slice(span.start, span.end); });
+
+        return {
+            code: primary,
+            language: LANGUAGE_NAMES[primary],
+            confidence: Math.round(share * (0.6 + 0.4 * avgCertainty) * 100) / 100,
+            mixed: ranked.slice(1).some(code => weights[code] / totalWeight >= MIXED_SHARE_THRESHOLD),
+            spans,
+            breakdown
+        };
+    }
+
+    // 프롬프트용 원문 언어 설명 (혼용이면 섞인 언어도 명시)
+    function describeSourceLanguage(detection) {
+        if (!detection || !detection.language) return 'English';
+        if (!detection.mixed) return detection.language;
+
+        const others = Object.keys(detection.breakdown)
+            .filter(code => code !== detection.code && detection.breakdown[code] >= MIXED_SHARE_THRESHOLD)
+            .map(code => LANGUAGE_NAMES[code]);
+        return `${detection.language} (code-mixed with ${others.join(', ')})`;
+    }
+
+    return { LANGUAGE_NAMES, detectLanguage, describeSourceLanguage };
+});
@@ -0,0 +1,229 @@
+// ========== 🌐 지원 언어 레지스트리 ==========
+// 언어 선택 목록, 음성 인식 로케일, TTS 기본 음성, 발음(한글 표기) 규칙, 언어 감지 설정을 한 곳에서 관리
+// 새 언어 추가 = 아래 LANGUAGES 배열에 항목 하나 추가 (index.html / translate.js 수정 불필요)
+// 브라우저(<script>)와 Netlify 함수(require) 양쪽에서 쓰기 위해 UMD 형태로 작성
+//
+// 항목 필드
+// - name: API/select 값 (targetLang 등), code: ISO 639-1 코드, label/flag: UI 표시
+// - locale: 음성 인식(SpeechRecognition) 로케일, ttsLanguageCode: Google TTS 언어 코드
+// - ttsVoices: Google TTS 음성 { female: [...], male: [...] } - 각 목록의 첫 항목이 기본값
+// - pronunciation: 번역문을 한글로 읽는 방법 (프롬프트 지시문)
+// - detection: 언어 감지 설정
+//     script/sharedScript: 고유 문자 체계 범위 (sharedScript는 고유 문자가 함께 있을 때만 이 언어로 판단)
+//     marks: 이 언어에만 있는 라틴 확장 문자, words/bigrams: 라틴 문자 단어 점수용 프로필
+//     syllablePattern: 음절 구조 (맞지 않으면 감점), forbiddenLetters: 쓰이지 않는 글자
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.LanguageRegistry = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const LANGUAGES = [
+        {
+            name: 'Korean',
+            code: 'ko',
+            label: '한국어',
+            flag: '🇰🇷',
+            locale: 'ko-KR',
+            ttsLanguageCode: 'ko-KR',
+            ttsVoices: {
+                female: ['ko-KR-Standard-A', 'ko-KR-Standard-B'],
+                male: ['ko-KR-Standard-C', 'ko-KR-Standard-D']
+            },
+            pronunciation: 'The translation is already Korean: copy it as-is into "pronunciation_hangul".',
+            detection: { script: '\\u1100-\\u11FF\\u3130-\\u318F\\uAC00-\\uD7A3', weight: 2 }
+        },
+        {
+            name: 'Vietnamese',
+            code: 'vi',
+            label: '베트남어',
+            flag: '🇻🇳',
+            locale: 'vi-VN',
+            ttsLanguageCode: 'vi-VN',
+            ttsVoices: {
+                female: ['vi-VN-Standard-A', 'vi-VN-Standard-C'],
+                male: ['vi-VN-Standard-B', 'vi-VN-Standard-D']
+            },
+            pronunciation: 'Use Korean characters to represent the Vietnamese pronunciation (한글 표기), approximating tones and final consonants.',
+            detection: {
+                marks: 'àáạảãâầấậẩẫăằắặẳẵèéẹẻẽêềếệểễìíịỉĩòóọỏõôồốộổỗơờớợởỡùúụủũưừứựửữỳýỵỷỹđ',
+                syllablePattern: '^(ngh|ng|nh|ch|tr|th|ph|kh|gh|gi|qu|[bcdghklmnprstvx])?[aeiouy]{1,3}(ng|nh|ch|[cmnpt])?$',
+                forbiddenLetters: 'fjwz',
+                words: [
+                    'toi', 'khong', 'cua', 'va', 'la', 'cac', 'nhung', 'duoc', 'trong', 'mot', 'cho', 'voi', 'nay',
+                    'co', 'den', 'nguoi', 'lam', 'di', 've', 'thi', 'da', 'se', 'rat', 'nhieu', 'cam', 'xin', 'chao',
+                    'gi', 'nao', 'bao', 'gio', 'nhu', 'khi', 'neu', 'vi', 'sau', 'truoc', 'hom', 'ngay', 'nam', 'thang',
+                    'biet', 'muon', 'phai', 'dang', 'chua', 'roi', 'cung', 'anh', 'em', 'ong', 'ba', 'viet', 'hoc',
+                    'tieng', 'viec', 'nha', 'xuat', 'kiem', 'tra', 'duong', 'nuoc', 'tien', 'minh', 'ho', 'chung',
+                    'ta', 'oi', 'vang', 'dung', 'sai', 'tot', 'xau', 'moi', 'cu', 'lai', 'them', 'bot', 'hay', 'nhe',
+                    'nhat', 'hon', 'qua', 'cuoc', 'song', 'thoi', 'gian', 'hieu', 'noi', 'nghe', 'doc', 'on', 'ban'
+                ],
+                bigrams: [
+                    'ng', 'nh', 'uo', 'ie', 'oa', 'ai', 'ao', 'oi', 'uy', 'ch', 'tr', 'ua', 'ay', 'ue', 'ye', 'gh',
+                    'kh', 'ph', 'qu', 'xu', 'gi', 'iu', 'uu', 'oc', 'uc', 'ac', 'ut', 'ui', 'ep'
+                ]
+            }
+        },
+        {
+            name: 'English',
+            code: 'en',
+            label: '영어',
+            flag: '🇺🇸',
+            locale: 'en-US',
+            ttsLanguageCode: 'en-US',
+            ttsVoices: {
+                female: ['en-US-Standard-C', 'en-US-Standard-E'],
+                male: ['en-US-Standard-B', 'en-US-Standard-D']
+            },
+            pronunciation: 'Use Korean characters to represent the English pronunciation.',
+            detection: {
+                words: [
+                    'the', 'and', 'is', 'are', 'to', 'of', 'in', 'that', 'it', 'for', 'you', 'with', 'on', 'this',
+                    'be', 'was', 'were', 'have', 'has', 'not', 'what', 'can', 'will', 'my', 'your', 'please', 'hello',
+                    'thank', 'thanks', 'we', 'they', 'he', 'she', 'do', 'does', 'how', 'where', 'when', 'why', 'who',
+                    'from', 'at', 'by', 'or', 'but', 'if', 'so', 'all', 'any', 'some', 'one', 'would', 'should',
+                    'could', 'there', 'their', 'our', 'me', 'us', 'them', 'yes', 'no', 'ok', 'okay', 'good', 'check',
+                    'meeting', 'report', 'project', 'system', 'data', 'file', 'email', 'team', 'today', 'tomorrow',
+                    'i', 'am', 'a', 'an', 'want', 'need', 'go', 'come', 'home', 'get', 'make', 'like', 'know', 'just',
+                    'now', 'here', 'very', 'help', 'stop', 'start', 'turn', 'off', 'up', 'out', 'touch', 'work', 'line'
+                ],
+                bigrams: [
+                    'th', 'he', 'er', 're', 'es', 'ed', 'st', 'nd', 'ou', 'ar', 'or', 'al', 'le', 'se', 've', 'ly',
+                    'ti', 'io', 'ur', 'rs', 'll', 'ss', 'ck', 'wh', 'sh', 'ee', 'oo', 'ow', 'ts', 'ea', 'ro', 'ri',
+                    'in', 'ne', 'ce', 'ct', 'nt', 'ge', 'ch'
+                ]
+            }
+        },
+        {
+            name: 'Thai',
+            code: 'th',
+            label: '태국어',
+            flag: '🇹🇭',
+            locale: 'th-TH',
+            ttsLanguageCode: 'th-TH',
+            ttsVoices: {
+                female: ['th-TH-Standard-A'],
+                male: []
+            },
+            pronunciation: 'Use Korean characters to represent the Thai pronunciation (한글 표기), syllable by syllable.',
+            detection: { script: '\\u0E00-\\u0E7F', weight: 1 }
+        },
+        {
+            name: 'Chinese',
+            code: 'zh',
+            label: '중국어',
+            flag: '🇨🇳',
+            locale: 'zh-CN',
+            ttsLanguageCode: 'cmn-CN',
+            ttsVoices: {
+                female: ['cmn-CN-Standard-A', 'cmn-CN-Standard-D'],
+                male: ['cmn-CN-Standard-B', 'cmn-CN-Standard-C']
+            },
+            pronunciation: 'Use Korean characters to represent the Mandarin (pinyin) pronunciation, not the Sino-Korean reading.',
+            detection: { script: '\\u3400-\\u4DBF\\u4E00-\\u9FFF', weight: 3 }
+        },
+        {
+            name: 'Japanese',
+            code: 'ja',
+            label: '일본어',
+            flag: '🇯🇵',
+            locale: 'ja-JP',
+            ttsLanguageCode: 'ja-JP',
+            ttsVoices: {
+                female: ['ja-JP-Standard-A', 'ja-JP-Standard-B'],
+                male: ['ja-JP-Standard-C', 'ja-JP-Standard-D']
+            },
+            pronunciation: 'Use Korean characters to represent the Japanese reading (e.g. ありがとう → 아리가토), including kanji readings.',
+            detection: { script: '\\u3040-\\u30FF\\u31F0-\\u31FF', sharedScript: '\\u3400-\\u4DBF\\u4E00-\\u9FFF', weight: 2 }
+        },
+        {
+            name: 'Indonesian',
+            code: 'id',
+            label: '인도네시아어',
+            flag: '🇮🇩',
+            locale: 'id-ID',
+            ttsLanguageCode: 'id-ID',
+            ttsVoices: {
+                female: ['id-ID-Standard-A', 'id-ID-Standard-D'],
+                male: ['id-ID-Standard-B', 'id-ID-Standard-C']
+            },
+            pronunciation: 'Use Korean characters to represent the Indonesian pronunciation.',
+            detection: {
+                words: [
+                    'yang', 'dan', 'di', 'ini', 'itu', 'dengan', 'untuk', 'tidak', 'ada', 'saya', 'kami', 'kita',
+                    'akan', 'dari', 'ke', 'pada', 'juga', 'bisa', 'sudah', 'belum', 'harus', 'apa', 'terima', 'kasih',
+                    'selamat', 'pagi', 'siang', 'malam', 'mesin', 'kerja', 'hari', 'besok', 'sekarang', 'tolong',
+                    'bagus', 'baik', 'karena', 'atau', 'tetapi', 'dalam', 'oleh', 'adalah', 'mereka', 'anda', 'kamu',
+                    'produksi', 'periksa', 'sedang', 'masih', 'lagi', 'banyak', 'sedikit', 'semua', 'bagaimana'
+                ],
+                bigrams: [
+                    'an', 'ka', 'ak', 'ya', 'me', 'en', 'ra', 'da', 'la', 'ta', 'sa', 'ny', 'ah', 'ga', 'ma', 'ba',
+                    'ke', 'ik', 'un', 'as', 'at', 'di', 'pa', 'em', 'mb', 'ju', 'ku', 'ru', 'su'
+                ]
+            }
+        }
+    ];
+
+    const DEFAULT_SOURCE_LANGUAGE = 'Korean';
+    const DEFAULT_TARGET_LANGUAGE = 'Vietnamese';
+
+    // 이름('Vietnamese') 또는 코드('vi')로 조회
+    function getLanguage(nameOrCode) {
+        if (!nameOrCode) return null;
+        const key = String(nameOrCode).toLowerCase();
+        return LANGUAGES.find(lang => lang.name.toLowerCase() === key || lang.code === key) || null;
+    }
+
+    // Google TTS 언어 코드('vi-VN', 'cmn-CN')로 조회
+    function getLanguageByTTSCode(languageCode) {
+        if (!languageCode) return null;
+        const key = String(languageCode).toLowerCase();
+        return LANGUAGES.find(lang => lang.ttsLanguageCode.toLowerCase() === key)
+            || LANGUAGES.find(lang => key.startsWith(lang.code + '-') || key.startsWith(lang.ttsLanguageCode.slice(0, 3).toLowerCase()))
+            || null;
+    }
+
+    function speechLocale(name) {
+        const lang = getLanguage(name);
+        return lang ? lang.locale : 'en-US';
+    }
+
+    function ttsLanguageCode(name) {
+        const lang = getLanguage(name);
+        return lang ? lang.ttsLanguageCode : getLanguage(DEFAULT_TARGET_LANGUAGE).ttsLanguageCode;
+    }
+
+    function voiceGender(voiceName) {
+        for (const lang of LANGUAGES) {
+            if (lang.ttsVoices.male.includes(voiceName)) return 'male';
+            if (lang.ttsVoices.female.includes(voiceName)) return 'female';
+        }
+        return 'female';
+    }
+
+    // 언어의 기본 TTS 음성 (성별 선호가 있으면 해당 성별 우선, 없으면 다른 성별 음성)
+    function defaultTTSVoice(languageCode, gender = 'female') {
+        const lang = getLanguageByTTSCode(languageCode) || getLanguage(languageCode) || getLanguage('English');
+        const other = gender === 'male' ? 'female' : 'male';
+        return lang.ttsVoices[gender][0] || lang.ttsVoices[other][0];
+    }
+
+    function pronunciationInstruction(name) {
+        const lang = getLanguage(name);
+        return lang ? lang.pronunciation : 'Use Korean characters to represent the pronunciation of the translation.';
+    }
+
+    return {
+        LANGUAGES,
+        DEFAULT_SOURCE_LANGUAGE,
+        DEFAULT_TARGET_LANGUAGE,
+        getLanguage,
+        getLanguageByTTSCode,
+        speechLocale,
+        ttsLanguageCode,
+        voiceGender,
+        defaultTTSVoice,
+        pronunciationInstruction
+    };
+});
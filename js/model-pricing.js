@@ -0,0 +1,118 @@
+// ========== 💵 모델별 요금표 (토큰/글자/분 단위 비용 계산) ==========
+// 브라우저(<script>)와 Netlify 함수(require) 양쪽에서 같은 요금으로 계산하기 위해 UMD 형태로 작성
+// - 채팅 모델: 입력/출력 토큰 100만 개당 USD (응답의 usage 토큰 수로 계산)
+// - TTS: 100만 글자당 USD (Google은 음성 등급별)
+// - 음성 인식/발음 평가: 분당 USD
+// 공급자 요금이 바뀌면 이 표만 수정
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ModelPricing = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const PER_MILLION = 1000000;
+
+    const CHAT_PRICES = {
+        'gpt-4o': { input: 2.50, output: 10.00 },
+        'gpt-4o-mini': { input: 0.15, output: 0.60 },
+        'gpt-4.1': { input: 2.00, output: 8.00 },
+        'gpt-4.1-mini': { input: 0.40, output: 1.60 },
+        'gemini-2.0-flash': { input: 0.10, output: 0.40 },
+        'gemini-1.5-flash': { input: 0.075, output: 0.30 }
+    };
+    // 표에 없는 모델은 비싼 쪽으로 계산 (예산 초과를 놓치지 않도록)
+    const DEFAULT_CHAT_MODEL = 'gpt-4o';
+
+    const TTS_PRICES = {
+        openai: { 'tts-1': 15.00, 'tts-1-hd': 30.00 },
+        google: { standard: 4.00, wavenet: 16.00, neural2: 16.00, studio: 160.00 }
+    };
+    const DEFAULT_OPENAI_TTS_MODEL = 'tts-1-hd';
+
+    const TRANSCRIPTION_PRICES = {
+        'whisper-1': 0.006,
+        'azure-pronunciation': 0.0167 // Azure 발음 평가 (음성 인식 표준 요금, 시간당 $1)
+    };
+
+    // 예산 사전 추정용 - 실제 비용은 응답 usage로 다시 계산
+    const CHARS_PER_TOKEN = 3;
+    const PROMPT_OVERHEAD_TOKENS = 300;
+
+    function roundCost(value) {
+        return Math.round(value * 1e8) / 1e8;
+    }
+
+    // 날짜가 붙은 스냅샷 모델(gpt-4o-2024-08-06 등)은 가장 긴 접두사가 맞는 모델 요금 사용
+    function chatPrice(model) {
+        const name = String(model || '');
+        if (CHAT_PRICES[name]) return CHAT_PRICES[name];
+        const prefix = Object.keys(CHAT_PRICES)
+            .filter(key => name.startsWith(`${key}-`))
+            .sort((a, b) => b.length - a.length)[0];
+        return CHAT_PRICES[prefix || DEFAULT_CHAT_MODEL];
+    }
+
+    // 프로바이더별 usage 형식 → { promptTokens, completionTokens }
+    // OpenAI: prompt_tokens/completion_tokens, Gemini: usageMetadata.promptTokenCount/candidatesTokenCount
+    function normalizeTokenUsage(usage) {
+        if (!usage || typeof usage !== 'object') return { promptTokens: 0, completionTokens: 0 };
+        return {
+            promptTokens: Number(usage.prompt_tokens ?? usage.promptTokenCount ?? 0) || 0,
+            completionTokens: Number(usage.completion_tokens ?? usage.candidatesTokenCount ?? 0) || 0
+        };
+    }
+
+    function chatCost(model, promptTokens, completionTokens) {
+        const price = chatPrice(model);
+        return roundCost((promptTokens * price.input + completionTokens * price.output) / PER_MILLION);
+    }
+
+    // Google 음성 이름(vi-VN-Wavenet-A 등)에서 요금 등급 추출
+    function googleVoiceTier(voiceName) {
+        const name = String(voiceName || '').toLowerCase();
+        return Object.keys(TTS_PRICES.google).find(tier => name.includes(`-${tier}`)) || 'standard';
+    }
+
+    // provider: 'openai'(model: tts-1, tts-1-hd) 또는 'google'(model: 음성 이름 또는 등급)
+    function ttsCost(provider, model, characters) {
+        let perMillion;
+        if (provider === 'google') {
+            perMillion = TTS_PRICES.google[model] ?? TTS_PRICES.google[googleVoiceTier(model)];
+        } else {
+            perMillion = TTS_PRICES.openai[model] ?? TTS_PRICES.openai[DEFAULT_OPENAI_TTS_MODEL];
+        }
+        return roundCost((characters || 0) * perMillion / PER_MILLION);
+    }
+
+    function transcriptionCost(model, seconds) {
+        const perMinute = TRANSCRIPTION_PRICES[model] ?? TRANSCRIPTION_PRICES['whisper-1'];
+        return roundCost((seconds || 0) / 60 * perMinute);
+    }
+
+    function estimateTokens(text) {
+        return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+    }
+
+    // 호출 전 예상 비용 - 입력(+시스템 프롬프트)과 예상 출력 글자 수로 추정
+    function estimateChatCost(model, inputChars, outputChars = inputChars) {
+        const promptTokens = Math.ceil(inputChars / CHARS_PER_TOKEN) + PROMPT_OVERHEAD_TOKENS;
+        const completionTokens = Math.ceil(outputChars / CHARS_PER_TOKEN);
+        return chatCost(model, promptTokens, completionTokens);
+    }
+
+    return {
+        CHAT_PRICES,
+        TTS_PRICES,
+        TRANSCRIPTION_PRICES,
+        DEFAULT_OPENAI_TTS_MODEL,
+        chatPrice,
+        normalizeTokenUsage,
+        chatCost,
+        googleVoiceTier,
+        ttsCost,
+        transcriptionCost,
+        estimateTokens,
+        estimateChatCost
+    };
+});
@@ -0,0 +1,260 @@
+// ========== 🎤 발음 평가 (음절 정렬 + 성조 판정) ==========
+// 브라우저(<script>)와 Netlify 함수(require) 양쪽에서 같은 채점 규칙을 쓰기 위해 UMD 형태로 작성
+// - scoreAcousticPronunciation: 발음 평가 서비스(Azure)의 음절별 정확도 + 녹음 음높이로 판정한 성조 (assess-pronunciation 기본)
+// - scorePronunciation: 로컬 대체 채점기 - 음성 인식 결과를 기준 문장과 비교, 녹음이 있으면 성조는 음높이로 판정
+//   (서비스 키가 없는 테스트/오프라인용, 소리 점수는 인식 결과 기준이라 참고용)
+// - 음절 단위: 베트남어/영어 등은 띄어쓰기 단위, 한국어/중국어/일본어/태국어는 글자 단위
+// - 한국어는 자모 단위로 비교해서 받침 하나 틀린 음절에도 부분 점수
+// - 베트남어는 성조(ngang, huyền, sắc, hỏi, ngã, nặng)를 따로 판정 - 소리 70% + 성조 30%
+//   성조 음높이 분석은 js/tone-analyzer.js
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./language-registry'));
+    } else {
+        root.PronunciationScorer = factory(root.LanguageRegistry);
+    }
+})(typeof self !== 'undefined' ? self : this, function (LanguageRegistry) {
+    const CHARACTER_SYLLABLE_LANGUAGES = ['ko', 'zh', 'ja', 'th'];
+    const TONAL_LANGUAGES = ['vi'];
+
+    const VIETNAMESE_TONE_MARKS = {
+        '\u0300': 'huyền',
+        '\u0301': 'sắc',
+        '\u0303': 'ngã',
+        '\u0309': 'hỏi',
+        '\u0323': 'nặng'
+    };
+    const DEFAULT_TONE = 'ngang';
+    const TONE_WEIGHT = 0.3;
+    const GOOD_SOUND = 0.8;      // 이 이상이면 소리는 맞은 것으로 판단
+    const COMPARABLE_SOUND = 0.5; // 이보다 낮으면 다른 음절로 보고 성조는 판정하지 않음
+    const OMITTED_ERRORS = ['Omission'];
+    const INSERTED_ERRORS = ['Insertion'];
+
+    function languageCode(language) {
+        const lang = LanguageRegistry.getLanguage(language);
+        return lang ? lang.code : String(language || 'en').toLowerCase().slice(0, 2);
+    }
+
+    function isTonalLanguage(language) {
+        return TONAL_LANGUAGES.includes(languageCode(language));
+    }
+
+    function cleanText(text) {
+        return String(text || '').normalize('NFC').toLowerCase().replace(/[^\p{L}\p{M}\p{N}\s'-]/gu, ' ');
+    }
+
+    function splitSyllables(text, language) {
+        const cleaned = cleanText(text);
+        if (CHARACTER_SYLLABLE_LANGUAGES.includes(languageCode(language))) {
+            return Array.from(cleaned.replace(/\s+/g, ''));
+        }
+        return cleaned.split(/\s+/).filter(Boolean);
+    }
+
+    // 음절 → { text, base(성조 뺀 소리), tone }
+    function analyzeSyllable(syllable, language) {
+        const code = languageCode(language);
+        if (code === 'ko') {
+            // 한글 음절을 자모로 분해 (사과 → ㅅㅏㄱㅗㅏ)
+            return { text: syllable, base: syllable.normalize('NFD'), tone: null };
+        }
+        if (TONAL_LANGUAGES.includes(code)) {
+            const decomposed = syllable.normalize('NFD');
+            let tone = DEFAULT_TONE;
+            let base = '';
+            for (const char of decomposed) {
+                if (VIETNAMESE_TONE_MARKS[char]) tone = VIETNAMESE_TONE_MARKS[char];
+                else base += char;
+            }
+            return { text: syllable, base: base.normalize('NFC'), tone };
+        }
+        return { text: syllable, base: syllable, tone: null };
+    }
+
+    function levenshtein(a, b) {
+        const source = Array.from(a);
+        const target = Array.from(b);
+        let previous = Array.from({ length: target.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= source.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= target.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (source[i - 1] === target[j - 1] ? 0 : 1)
+                );
+            }
+            previous = current;
+        }
+        return previous[target.length];
+    }
+
+    function soundSimilarity(a, b) {
+        const longest = Math.max(Array.from(a).length, Array.from(b).length);
+        return longest === 0 ? 1 : 1 - levenshtein(a, b) / longest;
+    }
+
+    // 기준 음절열과 인식 음절열 정렬 (편집 거리, 치환 비용 = 1 - 소리 유사도)
+    function alignSyllables(reference, heard) {
+        const n = reference.length;
+        const m = heard.length;
+        const cost = Array.from({ length: n + 1 }, (_, i) => [i]);
+        for (let j = 1; j <= m; j++) cost[0][j] = j;
+
+        for (let i = 1; i <= n; i++) {
+            for (let j = 1; j <= m; j++) {
+                cost[i][j] = Math.min(
+                    cost[i - 1][j] + 1,
+                    cost[i][j - 1] + 1,
+                    cost[i - 1][j - 1] + (1 - soundSimilarity(reference[i - 1].base, heard[j - 1].base))
+                );
+            }
+        }
+
+        const pairs = [];
+        const extra = [];
+        let i = n;
+        let j = m;
+        while (i > 0 || j > 0) {
+            const substitution = i > 0 && j > 0
+                ? cost[i - 1][j - 1] + (1 - soundSimilarity(reference[i - 1].base, heard[j - 1].base))
+                : Infinity;
+            if (i > 0 && j > 0 && Math.abs(cost[i][j] - substitution) < 1e-9) {
+                pairs.unshift({ reference: reference[i - 1], heard: heard[j - 1] });
+                i--;
+                j--;
+            } else if (i > 0 && (j === 0 || Math.abs(cost[i][j] - (cost[i - 1][j] + 1)) < 1e-9)) {
+                pairs.unshift({ reference: reference[i - 1], heard: null });
+                i--;
+            } else {
+                extra.unshift(heard[j - 1].text);
+                j--;
+            }
+        }
+        return { pairs, extra };
+    }
+
+    // measuredTone: 녹음 음높이로 판정한 성조 ({ tone, contour } 또는 null) - 없으면 인식 결과의 성조 기호 사용
+    function scoreSyllable({ reference, heard }, tonal, measuredTone) {
+        if (!heard || heard.omitted) {
+            return { text: reference.text, heard: null, score: 0, sound: 0, expectedTone: reference.tone, heardTone: null, toneCorrect: null, issue: 'missing' };
+        }
+
+        const sound = heard.accuracy !== undefined ? heard.accuracy : soundSimilarity(reference.base, heard.base);
+        let heardTone = heard.tone;
+        let toneCorrect = null;
+        let score = sound;
+        if (tonal) {
+            if (measuredTone !== undefined) heardTone = measuredTone ? measuredTone.tone : null;
+            toneCorrect = sound >= COMPARABLE_SOUND && heardTone ? reference.tone === heardTone : null;
+            // 성조를 판정하지 못한 음절(유성음 부족)은 소리 점수만으로 채점
+            score = toneCorrect === null && heardTone === null && sound >= COMPARABLE_SOUND
+                ? sound
+                : sound * (1 - TONE_WEIGHT) + (toneCorrect ? TONE_WEIGHT : 0);
+        }
+
+        let issue = 'ok';
+        if (sound < GOOD_SOUND) issue = 'sound';
+        else if (toneCorrect === false) issue = 'tone';
+
+        return {
+            text: reference.text,
+            heard: heard.accuracy !== undefined ? null : heard.text,
+            score: Math.round(score * 100),
+            sound: Math.round(sound * 100) / 100,
+            expectedTone: reference.tone,
+            heardTone,
+            toneContour: measuredTone ? measuredTone.contour : null,
+            toneCorrect,
+            issue
+        };
+    }
+
+    function summarize({ code, tonal, basis, transcript, syllables, extra, confidence }) {
+        const total = syllables.reduce((sum, syllable) => sum + syllable.score, 0);
+        const overall = syllables.length > 0 ? Math.round(total / (syllables.length + extra.length)) : 0;
+        return {
+            language: code,
+            tonal,
+            basis,
+            transcript: String(transcript || '').trim(),
+            overall,
+            syllables,
+            extra,
+            confidence
+        };
+    }
+
+    // 로컬 대체 채점기 - referenceText: 연습할 단어/문장, recognizedText: 음성 인식 결과
+    // tones: 기준 음절 순서대로 녹음에서 판정한 성조 (ToneAnalyzer.measureTones 결과, 없으면 인식 결과의 성조 기호)
+    // confidence(0~1): 인식기 신뢰도 - 점수에는 반영하지 않고 결과에 그대로 전달
+    function scorePronunciation({ referenceText, recognizedText, language, confidence = null, tones = null }) {
+        const code = languageCode(language);
+        const tonal = TONAL_LANGUAGES.includes(code);
+        const reference = splitSyllables(referenceText, code).map(syllable => analyzeSyllable(syllable, code));
+        const heard = splitSyllables(recognizedText, code).map(syllable => analyzeSyllable(syllable, code));
+
+        const { pairs, extra } = alignSyllables(reference, heard);
+        const syllables = pairs.map((pair, index) => scoreSyllable(pair, tonal, tones ? (tones[index] || null) : undefined));
+
+        return summarize({
+            code,
+            tonal,
+            basis: { sound: 'transcript', tone: tonal ? (tones ? 'pitch' : 'transcript') : null },
+            transcript: recognizedText,
+            syllables,
+            extra,
+            confidence
+        });
+    }
+
+    // 발음 평가 서비스 결과 채점 - words: 서비스가 기준 문장에 맞춰 정렬한 단어
+    //   [{ text, accuracy(0~100), errorType(None/Mispronunciation/Omission/Insertion), tone({ tone, contour } | null) }]
+    // 한 단어가 여러 음절(한국어 글자 등)이면 단어 정확도를 각 음절에 나눠 줌
+    function scoreAcousticPronunciation({ referenceText, language, words, transcript = '', confidence = null }) {
+        const code = languageCode(language);
+        const tonal = TONAL_LANGUAGES.includes(code);
+        const reference = splitSyllables(referenceText, code).map(syllable => analyzeSyllable(syllable, code));
+
+        const inserted = [];
+        const heard = [];
+        const measured = [];
+        (words || []).forEach(word => {
+            if (INSERTED_ERRORS.includes(word.errorType)) {
+                inserted.push(word.text);
+                return;
+            }
+            splitSyllables(word.text, code).forEach(syllable => {
+                heard.push({
+                    ...analyzeSyllable(syllable, code),
+                    accuracy: Math.max(0, Math.min(100, Number(word.accuracy) || 0)) / 100,
+                    omitted: OMITTED_ERRORS.includes(word.errorType)
+                });
+                measured.push(word.tone || null);
+            });
+        });
+
+        const { pairs, extra } = alignSyllables(reference, heard);
+        const syllables = pairs.map(pair => scoreSyllable(pair, tonal, tonal ? measured[heard.indexOf(pair.heard)] || null : undefined));
+
+        return summarize({
+            code,
+            tonal,
+            basis: { sound: 'acoustic', tone: tonal ? 'pitch' : null },
+            transcript,
+            syllables,
+            extra: inserted.concat(extra),
+            confidence
+        });
+    }
+
+    return {
+        VIETNAMESE_TONES: [DEFAULT_TONE].concat(Object.values(VIETNAMESE_TONE_MARKS)),
+        isTonalLanguage,
+        splitSyllables,
+        analyzeSyllable,
+        scorePronunciation,
+        scoreAcousticPronunciation
+    };
+});
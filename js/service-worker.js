@@ -12,6 +12,18 @@ const STATIC_ASSETS = [
     '/js/api.js',
     '/js/auth.js',
     '/js/ui-optimizer.js',
+    '/js/language-registry.js',
+    '/js/language-detector.js',
+    '/js/glossary-formats.js',
+    '/js/sync-protocol.js',
+    '/js/sync-engine.js',
+    '/js/spaced-repetition.js',
+    '/js/pronunciation-scorer.js',
+    '/js/tone-analyzer.js',
+    '/js/hangul-transliterator.js',
+    '/js/deck-formats.js',
+    '/js/word-alignment.js',
+    '/js/model-pricing.js',
     '/js/app.js'
 ];
 
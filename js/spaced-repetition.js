@@ -0,0 +1,162 @@
+// ========== 🧠 단어장 간격 반복 스케줄러 (SM-2) ==========
+// 브라우저(<script>)와 Netlify 함수(require) 양쪽에서 같은 규칙을 쓰기 위해 UMD 형태로 작성
+// 단어별 스케줄 필드: ease(난이도 계수), interval(일), repetitions(연속 정답 수), dueDate(다음 복습일), lapses(잊어버린 횟수)
+// - dueDate가 없는 단어는 아직 학습하지 않은 새 단어
+// - 평가(grade)는 SM-2와 같은 0~5 (3 이상이면 기억함)
+// - 복습일 전에 맞힌 경우(일반 퀴즈/자유 연습)는 간격을 늘리지 않고, 틀린 경우만 반영
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SpacedRepetition = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const DEFAULT_EASE = 2.5;
+    const MIN_EASE = 1.3;
+    const PASSING_GRADE = 3;
+    const DEFAULT_LIMITS = { newPerDay: 10, reviewsPerDay: 50 };
+
+    // 퀴즈 응답 시간 기준 (빨리 맞히면 더 쉬운 단어로 판단)
+    const QUICK_ANSWER_MS = 5000;
+    const SLOW_ANSWER_MS = 15000;
+
+    function startOfDay(time) {
+        const date = new Date(time);
+        date.setHours(0, 0, 0, 0);
+        return date.getTime();
+    }
+
+    // 일광 절약 시간 전환일에도 자정 기준으로 날짜 이동
+    function addDays(time, days) {
+        const date = new Date(startOfDay(time));
+        date.setDate(date.getDate() + days);
+        return date.getTime();
+    }
+
+    function dayKey(time) {
+        const date = new Date(time);
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    function isNewWord(word) {
+        return !word.dueDate;
+    }
+
+    function getSchedule(word) {
+        return {
+            ease: Number(word.ease) || DEFAULT_EASE,
+            interval: Number(word.interval) || 0,
+            repetitions: Number(word.repetitions) || 0,
+            dueDate: word.dueDate || null,
+            lapses: Number(word.lapses) || 0
+        };
+    }
+
+    // 오늘 안에 복습 예정이면(밀린 복습 포함) due
+    function isDue(word, now = Date.now()) {
+        if (isNewWord(word)) return false;
+        return startOfDay(Date.parse(word.dueDate)) <= startOfDay(now);
+    }
+
+    // SM-2: 평가를 반영한 다음 스케줄 반환 (단어 객체는 바꾸지 않음)
+    function reviewWord(word, grade, now = Date.now()) {
+        const schedule = getSchedule(word);
+        const q = Math.max(0, Math.min(5, Math.round(grade)));
+        if (q >= PASSING_GRADE && !isNewWord(word) && !isDue(word, now)) return schedule;
+
+        let { ease, interval, repetitions, lapses } = schedule;
+        if (q < PASSING_GRADE) {
+            // 잊어버린 단어는 처음부터 다시 (내일 복습)
+            if (repetitions > 0) lapses++;
+            repetitions = 0;
+            interval = 1;
+        } else {
+            repetitions++;
+            if (repetitions === 1) interval = 1;
+            else if (repetitions === 2) interval = 6;
+            else interval = Math.round(interval * ease);
+        }
+        ease = Math.max(MIN_EASE, ease + 0.1 - (5 - q) * (0.08 + (5 - q) * 0.02));
+
+        return {
+            ease: Math.round(ease * 100) / 100,
+            interval,
+            repetitions,
+            lapses,
+            dueDate: new Date(addDays(now, interval)).toISOString()
+        };
+    }
+
+    function gradeFromQuiz(correct, responseMs) {
+        if (!correct) return 1;
+        if (responseMs !== undefined && responseMs !== null) {
+            if (responseMs <= QUICK_ANSWER_MS) return 5;
+            if (responseMs >= SLOW_ANSWER_MS) return 3;
+        }
+        return 4;
+    }
+
+    // 발음 연습 유사도(0~1) → 평가
+    function gradeFromPronunciation(similarity) {
+        if (similarity > 0.9) return 5;
+        if (similarity > 0.8) return 4;
+        if (similarity > 0.7) return 3;
+        if (similarity > 0.5) return 2;
+        return 1;
+    }
+
+    // 오늘의 복습 큐: 밀린 순서대로 복습 단어 → 추가된 순서대로 새 단어
+    // progress: 오늘 이미 복습한 수 { reviews, newWords } - 일일 한도에서 차감
+    // 새 단어도 복습 한도(reviewsPerDay) 안에서만 추가
+    function buildReviewQueue(words, options = {}) {
+        const now = options.now || Date.now();
+        const limits = { ...DEFAULT_LIMITS, ...(options.limits || {}) };
+        const progress = options.progress || { reviews: 0, newWords: 0 };
+
+        const reviewSlots = Math.max(0, limits.reviewsPerDay - (progress.reviews || 0));
+        const newSlots = Math.max(0, limits.newPerDay - (progress.newWords || 0));
+
+        const due = words
+            .filter(word => isDue(word, now))
+            .sort((a, b) => Date.parse(a.dueDate) - Date.parse(b.dueDate))
+            .slice(0, reviewSlots);
+        const fresh = words
+            .filter(isNewWord)
+            .sort((a, b) => Date.parse(a.addedDate || 0) - Date.parse(b.addedDate || 0))
+            .slice(0, Math.min(newSlots, reviewSlots - due.length));
+
+        return due.concat(fresh);
+    }
+
+    // 앞으로 days일 동안 날짜별 복습 예정 수 (오늘에는 밀린 복습 포함)
+    function forecastReviews(words, days = 7, now = Date.now()) {
+        const today = startOfDay(now);
+        const forecast = [];
+        for (let i = 0; i < days; i++) {
+            forecast.push({ date: dayKey(addDays(today, i)), count: 0 });
+        }
+
+        words.forEach(word => {
+            if (isNewWord(word)) return;
+            const offset = Math.max(0, Math.round((startOfDay(Date.parse(word.dueDate)) - today) / DAY_MS));
+            if (offset < days) forecast[offset].count++;
+        });
+        return forecast;
+    }
+
+    return {
+        DEFAULT_EASE,
+        DEFAULT_LIMITS,
+        dayKey,
+        isNewWord,
+        isDue,
+        getSchedule,
+        reviewWord,
+        gradeFromQuiz,
+        gradeFromPronunciation,
+        buildReviewQueue,
+        forecastReviews
+    };
+});
@@ -0,0 +1,283 @@
+// ========== 🔄 오프라인 동기화 엔진 (브라우저) ==========
+// 변경 사항을 IndexedDB 변경 로그(changes)에 먼저 기록하고, 연결될 때 auth.js의 sync-push/sync-pull로 주고받음
+// - 네트워크가 끊겨도 변경 로그는 남아 있다가 online 이벤트/주기 동기화 때 다시 전송 (서버 응답을 받기 전에는 지우지 않음)
+// - records: 레코드별 마지막 상태(updatedAt, deviceId) - pull로 받은 변경과 충돌 판정에 사용
+// - 충돌 규칙은 서버와 같은 SyncProtocol.resolveRecord
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./sync-protocol'));
+    } else {
+        root.SyncEngine = factory(root.SyncProtocol);
+    }
+})(typeof self !== 'undefined' ? self : this, function (SyncProtocol) {
+    const DB_VERSION = 1;
+    const STORES = { changes: 'changes', records: 'records', meta: 'meta' };
+    const SYNC_INTERVAL_MS = 60 * 1000;
+    const RETRY_DELAYS_MS = [5000, 15000, 60000, 300000];
+
+    // ===================================================
+    // 저장소 - IndexedDB, 사용할 수 없으면(사생활 보호 모드 등) 메모리
+    // ===================================================
+
+    function openIndexedDB(name) {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(name, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORES.changes)) db.createObjectStore(STORES.changes, { keyPath: 'id' });
+                if (!db.objectStoreNames.contains(STORES.records)) db.createObjectStore(STORES.records, { keyPath: 'id' });
+                if (!db.objectStoreNames.contains(STORES.meta)) db.createObjectStore(STORES.meta, { keyPath: 'name' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    function createIndexedDBStore(name) {
+        const dbPromise = openIndexedDB(name);
+
+        const run = (storeName, mode, operate) => dbPromise.then(db => new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const request = operate(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        }));
+
+        return {
+            get: (storeName, id) => run(storeName, 'readonly', store => store.get(id)),
+            getAll: storeName => run(storeName, 'readonly', store => store.getAll()),
+            put: (storeName, value) => run(storeName, 'readwrite', store => store.put(value)),
+            delete: (storeName, id) => run(storeName, 'readwrite', store => store.delete(id))
+        };
+    }
+
+    function createMemoryStore() {
+        const stores = { changes: new Map(), records: new Map(), meta: new Map() };
+        const keyOf = (storeName, value) => (storeName === STORES.meta ? value.name : value.id);
+        return {
+            get: async (storeName, id) => stores[storeName].get(id),
+            getAll: async storeName => Array.from(stores[storeName].values()),
+            put: async (storeName, value) => { stores[storeName].set(keyOf(storeName, value), value); },
+            delete: async (storeName, id) => { stores[storeName].delete(id); }
+        };
+    }
+
+    function createStore(name) {
+        if (typeof indexedDB === 'undefined') {
+            console.warn('[Sync] IndexedDB 사용 불가 - 메모리 저장소 사용 (새로고침 시 미전송 변경 유실 가능)');
+            return createMemoryStore();
+        }
+        return createIndexedDBStore(name);
+    }
+
+    function generateDeviceId() {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+        return `d-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    // ===================================================
+    // 동기화 엔진
+    // ===================================================
+
+    // options.endpoint: auth 함수 URL, getAuthToken(): 현재 토큰(없으면 동기화 안 함)
+    // options.onApply(record): 서버/다른 기기 변경을 화면 상태(localStorage 등)에 반영하는 콜백
+    function createSyncEngine(options) {
+        const { endpoint, getAuthToken, onApply = () => {}, onStatus = () => {}, dbName = 'translator-sync' } = options;
+        const store = createStore(dbName);
+        let deviceIdPromise = null;
+        let syncing = null;
+        let retryIndex = 0;
+        let retryTimer = null;
+        let intervalTimer = null;
+        let changeSeq = Date.now();
+
+        function getDeviceId() {
+            if (!deviceIdPromise) {
+                deviceIdPromise = store.get(STORES.meta, 'deviceId').then(async meta => {
+                    if (meta && meta.value) return meta.value;
+                    const value = generateDeviceId();
+                    await store.put(STORES.meta, { name: 'deviceId', value });
+                    return value;
+                });
+            }
+            return deviceIdPromise;
+        }
+
+        async function getMeta(name) {
+            const meta = await store.get(STORES.meta, name);
+            return meta ? meta.value : null;
+        }
+
+        async function request(action, payload) {
+            const token = getAuthToken();
+            const response = await fetch(endpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${token}`
+                },
+                body: JSON.stringify({ action, ...payload })
+            });
+            const result = await response.json().catch(() => ({}));
+            if (!response.ok || !result.success) {
+                const error = new Error(result.error || `HTTP ${response.status}`);
+                error.status = response.status;
+                throw error;
+            }
+            return result;
+        }
+
+        // 로컬 변경 기록 - 같은 레코드의 미전송 변경은 최신 것 하나로 합쳐짐
+        async function recordChange(collection, key, data, { deleted = false, updatedAt = Date.now() } = {}) {
+            const record = SyncProtocol.normalizeRecord({ collection, key, data, deleted, updatedAt, deviceId: await getDeviceId() });
+            const invalid = SyncProtocol.validateRecord(record);
+            if (invalid) throw new Error(invalid);
+
+            const id = SyncProtocol.recordId(record);
+            await store.put(STORES.records, { id, ...record });
+            await store.put(STORES.changes, { id, seq: ++changeSeq, record });
+            scheduleSync(1000);
+            return record;
+        }
+
+        // 동기화 기록이 없는 레코드만 변경 로그에 추가 (로그인 전부터 있던 로컬 데이터 업로드용)
+        async function seed(collection, entries) {
+            let seeded = 0;
+            for (const { key, data, updatedAt } of entries) {
+                const id = SyncProtocol.recordId({ collection, key });
+                if (await store.get(STORES.records, id)) continue;
+                await recordChange(collection, key, data, { updatedAt: SyncProtocol.toTimestamp(updatedAt) || Date.now() });
+                seeded++;
+            }
+            return seeded;
+        }
+
+        async function applyRecord(record) {
+            const id = SyncProtocol.recordId(record);
+            const local = await store.get(STORES.records, id);
+            await store.put(STORES.records, { id, ...record });
+            // 화면 상태와 같은 내용이면 다시 그리지 않음
+            if (!local || JSON.stringify(SyncProtocol.normalizeRecord(local)) !== JSON.stringify(SyncProtocol.normalizeRecord(record))) {
+                await onApply(SyncProtocol.normalizeRecord(record));
+            }
+        }
+
+        async function push() {
+            const pending = (await store.getAll(STORES.changes)).sort((a, b) => a.seq - b.seq);
+            let pushed = 0;
+
+            for (let i = 0; i < pending.length; i += SyncProtocol.MAX_PUSH_CHANGES) {
+                const batch = pending.slice(i, i + SyncProtocol.MAX_PUSH_CHANGES);
+                const result = await request('sync-push', {
+                    changes: batch.map(change => ({ changeId: `${change.id}#${change.seq}`, ...change.record }))
+                });
+
+                const bySeq = new Map(batch.map(change => [`${change.id}#${change.seq}`, change]));
+                for (const item of result.results || []) {
+                    const change = bySeq.get(item.changeId);
+                    if (!change) continue;
+
+                    if (item.status === 'rejected') {
+                        console.error('[Sync] 서버가 거부한 변경 - 로그에서 제거:', change.record, item.error);
+                    } else if (item.record) {
+                        await applyRecord(item.record);
+                    }
+
+                    // 전송 중에 같은 레코드가 다시 바뀌었으면(seq 변경) 새 변경은 남겨둠
+                    const latest = await store.get(STORES.changes, change.id);
+                    if (latest && latest.seq === change.seq) await store.delete(STORES.changes, change.id);
+                    pushed++;
+                }
+            }
+            return pushed;
+        }
+
+        async function pull() {
+            let cursor = await getMeta('cursor');
+            let pulled = 0;
+            let hasMore = true;
+
+            while (hasMore) {
+                const result = await request('sync-pull', { cursor });
+                for (const remote of result.changes || []) {
+                    const id = SyncProtocol.recordId(remote);
+                    const pendingChange = await store.get(STORES.changes, id);
+                    const local = pendingChange ? pendingChange.record : await store.get(STORES.records, id);
+                    const { record, outcome } = SyncProtocol.resolveRecord(local, remote);
+
+                    // 아직 안 보낸 로컬 변경이 이기면 다음 push에서 서버로 감
+                    if (pendingChange && outcome === 'stale') continue;
+                    if (pendingChange) {
+                        await store.put(STORES.changes, { ...pendingChange, record });
+                    }
+                    await applyRecord(record);
+                    pulled++;
+                }
+
+                hasMore = Boolean(result.hasMore);
+                cursor = result.cursor || cursor;
+                await store.put(STORES.meta, { name: 'cursor', value: cursor });
+            }
+            return pulled;
+        }
+
+        function scheduleSync(delay) {
+            clearTimeout(retryTimer);
+            retryTimer = setTimeout(() => { sync(); }, delay);
+        }
+
+        // push → pull 순서 (로컬 변경을 먼저 올려야 pull 결과와 충돌 판정이 한 번에 끝남)
+        function sync() {
+            if (syncing) return syncing;
+            if (!getAuthToken()) return Promise.resolve({ skipped: 'no-auth' });
+            if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+                onStatus({ state: 'offline' });
+                return Promise.resolve({ skipped: 'offline' });
+            }
+
+            syncing = (async () => {
+                try {
+                    onStatus({ state: 'syncing' });
+                    const pushed = await push();
+                    const pulled = await pull();
+                    retryIndex = 0;
+                    const pending = (await store.getAll(STORES.changes)).length;
+                    onStatus({ state: 'synced', pushed, pulled, pending });
+                    if (pushed || pulled) console.log(`[Sync] 동기화 완료 - 보냄 ${pushed}, 받음 ${pulled}, 대기 ${pending}`);
+                    return { pushed, pulled, pending };
+                } catch (error) {
+                    // 인증 오류가 아니면 점점 늦춰서 재시도 (변경 로그는 그대로 유지)
+                    const delay = RETRY_DELAYS_MS[Math.min(retryIndex++, RETRY_DELAYS_MS.length - 1)];
+                    console.error(`[Sync] 동기화 실패 - ${error.status === 401 ? '로그인 필요' : `${delay / 1000}초 후 재시도`}:`, error.message);
+                    onStatus({ state: 'error', error: error.message });
+                    if (error.status !== 401) scheduleSync(delay);
+                    return { error: error.message };
+                } finally {
+                    syncing = null;
+                }
+            })();
+            return syncing;
+        }
+
+        function start() {
+            if (intervalTimer) return;
+            if (typeof window !== 'undefined') {
+                window.addEventListener('online', () => sync());
+                document.addEventListener('visibilitychange', () => {
+                    if (document.visibilityState === 'visible') sync();
+                });
+            }
+            intervalTimer = setInterval(() => sync(), SYNC_INTERVAL_MS);
+            sync();
+        }
+
+        async function pendingCount() {
+            return (await store.getAll(STORES.changes)).length;
+        }
+
+        return { recordChange, seed, sync, start, pendingCount, getDeviceId };
+    }
+
+    return { createSyncEngine };
+});
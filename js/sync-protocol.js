@@ -0,0 +1,107 @@
+// ========== 🔄 오프라인 동기화 프로토콜 ==========
+// 브라우저(<script>, sync-engine.js)와 Netlify 함수(require, database.js) 양쪽에서 같은 충돌 규칙을 쓰기 위해 UMD 형태로 작성
+// 레코드 형식: { collection, key, data, deleted, updatedAt(ms), deviceId }
+// - 같은 레코드를 두 기기가 고치면 updatedAt이 늦은 쪽이 이기고, 같으면 deviceId 문자열 비교로 결정
+// - 단어장은 학습 기록(정답/오답 수, 연습 시간, 마지막 학습 시각)을 두 쪽 중 큰 값으로 합쳐서 어느 순서로 병합해도 결과가 같음
+//   복습 스케줄(ease, interval 등)은 마지막으로 학습한 쪽을 따름
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SyncProtocol = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const SYNC_COLLECTIONS = ['vocabulary', 'settings', 'aiSettings', 'history'];
+    const MAX_PUSH_CHANGES = 200;
+    const MAX_PULL_CHANGES = 500;
+
+    const VOCABULARY_COUNTERS = ['correctCount', 'wrongCount', 'practiceTime'];
+    const VOCABULARY_SCHEDULE = ['ease', 'interval', 'repetitions', 'dueDate', 'lapses'];
+
+    function toTimestamp(value) {
+        if (typeof value === 'number' && Number.isFinite(value)) return value;
+        const parsed = Date.parse(value || '');
+        return Number.isNaN(parsed) ? 0 : parsed;
+    }
+
+    function normalizeRecord(record) {
+        const deleted = Boolean(record && record.deleted);
+        return {
+            collection: String((record && record.collection) || ''),
+            key: String((record && record.key) || ''),
+            data: deleted ? null : ((record && record.data) || {}),
+            deleted,
+            updatedAt: toTimestamp(record && record.updatedAt),
+            deviceId: String((record && record.deviceId) || '')
+        };
+    }
+
+    function validateRecord(record) {
+        if (!SYNC_COLLECTIONS.includes(record.collection)) return `지원하지 않는 컬렉션: ${record.collection}`;
+        if (!record.key) return '레코드 key가 필요합니다.';
+        if (!record.deleted && (typeof record.data !== 'object' || Array.isArray(record.data))) return '레코드 data는 객체여야 합니다.';
+        return null;
+    }
+
+    // a가 더 최신이면 1, b가 더 최신이면 -1, 같은 버전이면 0
+    function compareRecordVersions(a, b) {
+        if (a.updatedAt !== b.updatedAt) return a.updatedAt > b.updatedAt ? 1 : -1;
+        if (a.deviceId !== b.deviceId) return a.deviceId > b.deviceId ? 1 : -1;
+        return 0;
+    }
+
+    function latestDate(a, b) {
+        return [a, b].filter(Boolean).sort((x, y) => toTimestamp(x) - toTimestamp(y)).pop() || null;
+    }
+
+    function mergeVocabularyProgress(winner, other) {
+        const merged = { ...winner };
+        VOCABULARY_COUNTERS.forEach(field => {
+            merged[field] = Math.max(Number(winner[field]) || 0, Number(other[field]) || 0);
+        });
+        merged.lastStudied = latestDate(winner.lastStudied, other.lastStudied);
+        if (toTimestamp(other.lastStudied) > toTimestamp(winner.lastStudied)) {
+            VOCABULARY_SCHEDULE.forEach(field => {
+                if (other[field] !== undefined) merged[field] = other[field];
+            });
+        }
+        return merged;
+    }
+
+    // 현재 레코드(current)에 들어온 레코드(incoming)를 병합
+    // outcome: 'applied'(incoming 채택), 'merged'(양쪽 합침), 'stale'(current 유지)
+    function resolveRecord(current, incoming) {
+        const next = normalizeRecord(incoming);
+        if (!current) return { record: next, outcome: 'applied' };
+
+        const existing = normalizeRecord(current);
+        const incomingWins = compareRecordVersions(next, existing) > 0;
+        const winner = incomingWins ? next : existing;
+        const loser = incomingWins ? existing : next;
+
+        if (winner.collection === 'vocabulary' && !winner.deleted && !loser.deleted) {
+            const data = mergeVocabularyProgress(winner.data, loser.data);
+            const changed = VOCABULARY_COUNTERS.concat('lastStudied', VOCABULARY_SCHEDULE).some(field => data[field] !== winner.data[field]);
+            if (changed) return { record: { ...winner, data }, outcome: 'merged' };
+        }
+
+        return { record: winner, outcome: incomingWins ? 'applied' : 'stale' };
+    }
+
+    function recordId(record) {
+        return `${record.collection}:${record.key}`;
+    }
+
+    return {
+        SYNC_COLLECTIONS,
+        MAX_PUSH_CHANGES,
+        MAX_PULL_CHANGES,
+        toTimestamp,
+        normalizeRecord,
+        validateRecord,
+        compareRecordVersions,
+        mergeVocabularyProgress,
+        resolveRecord,
+        recordId
+    };
+});
@@ -0,0 +1,294 @@
+// ========== 🎵 성조 분석 (녹음 음높이 궤적 → 베트남어 성조) ==========
+// 브라우저(<script>)와 Netlify 함수(require) 양쪽에서 같은 분석을 쓰기 위해 UMD 형태로 작성
+// - WAV(PCM) 인코딩/디코딩: 브라우저가 녹음을 16kHz 모노 WAV로 바꿔 서버(assess-pronunciation)로 전송
+// - 음높이(F0): 10ms 프레임마다 YIN 방식으로 추정, 화자 평균 음높이 대비 반음(semitone) 단위로 정규화
+// - 음절 구간: 발음 평가 서비스가 준 단어 시간 정보를 쓰고, 없으면(로컬 채점) 에너지로 음절 수만큼 나눔
+// - 성조 판정(북부 방언 기준): 시작/끝 높이, 최저점 위치, 꺾임, 중간 끊김(성문 폐쇄), 길이로 6성조 분류
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ToneAnalyzer = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const TARGET_SAMPLE_RATE = 16000;
+    const FRAME_SECONDS = 0.01;
+    const MIN_F0 = 70;
+    const MAX_F0 = 450;
+    const YIN_THRESHOLD = 0.2;
+    const SILENCE_RATIO = 0.1;      // 가장 큰 프레임 에너지의 10% 미만은 무음
+    const MIN_GAP_FRAMES = 3;       // 30ms 이상 조용하면 음절 경계
+    const MIN_VOICED_FRAMES = 3;
+
+    // 성조 판정 기준 (반음)
+    const CONTOUR_CHANGE = 2;       // 시작→끝 이만큼 오르내리면 상승/하강 성조
+    const DIP_DEPTH = 1.5;          // 중간 최저점이 양 끝보다 이만큼 낮으면 꺾이는 성조(hỏi)
+    const LOW_LEVEL = -2;           // 화자 평균보다 이만큼 낮으면 낮은 성조
+    const STEEP_FALL = 25;          // 초당 반음 - 이보다 빨리 떨어지면 nặng
+    const SHORT_SYLLABLE = 0.75;    // 음절 길이 중앙값 대비 - 이보다 짧게 떨어지면 nặng
+
+    // ---------- WAV ----------
+    function encodeWav(samples, sampleRate) {
+        const buffer = new ArrayBuffer(44 + samples.length * 2);
+        const view = new DataView(buffer);
+        const writeString = (offset, text) => {
+            for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+        };
+
+        writeString(0, 'RIFF');
+        view.setUint32(4, 36 + samples.length * 2, true);
+        writeString(8, 'WAVE');
+        writeString(12, 'fmt ');
+        view.setUint32(16, 16, true);
+        view.setUint16(20, 1, true);                 // PCM
+        view.setUint16(22, 1, true);                 // 모노
+        view.setUint32(24, sampleRate, true);
+        view.setUint32(28, sampleRate * 2, true);
+        view.setUint16(32, 2, true);
+        view.setUint16(34, 16, true);
+        writeString(36, 'data');
+        view.setUint32(40, samples.length * 2, true);
+
+        for (let i = 0; i < samples.length; i++) {
+            const value = Math.max(-1, Math.min(1, samples[i]));
+            view.setInt16(44 + i * 2, value < 0 ? value * 0x8000 : value * 0x7FFF, true);
+        }
+        return new Uint8Array(buffer);
+    }
+
+    // 16bit PCM / 32bit float WAV → { sampleRate, samples(Float32Array, 모노) }, WAV가 아니면 null
+    function decodeWav(bytes) {
+        const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        const readString = (offset, length) => String.fromCharCode(...data.subarray(offset, offset + length));
+        if (data.length < 12 || readString(0, 4) !== 'RIFF' || readString(8, 4) !== 'WAVE') return null;
+
+        let format = null;
+        let offset = 12;
+        while (offset + 8 <= data.length) {
+            const id = readString(offset, 4);
+            const size = view.getUint32(offset + 4, true);
+            const body = offset + 8;
+            if (id === 'fmt ') {
+                format = {
+                    audioFormat: view.getUint16(body, true),
+                    channels: view.getUint16(body + 2, true),
+                    sampleRate: view.getUint32(body + 4, true),
+                    bitsPerSample: view.getUint16(body + 14, true)
+                };
+            } else if (id === 'data' && format) {
+                const bytesPerSample = format.bitsPerSample / 8;
+                const frameCount = Math.floor(Math.min(size, data.length - body) / (bytesPerSample * format.channels));
+                const samples = new Float32Array(frameCount);
+                for (let i = 0; i < frameCount; i++) {
+                    let sum = 0;
+                    for (let channel = 0; channel < format.channels; channel++) {
+                        const position = body + (i * format.channels + channel) * bytesPerSample;
+                        if (format.audioFormat === 3 && bytesPerSample === 4) sum += view.getFloat32(position, true);
+                        else if (bytesPerSample === 2) sum += view.getInt16(position, true) / 0x8000;
+                        else return null;
+                    }
+                    samples[i] = sum / format.channels;
+                }
+                return { sampleRate: format.sampleRate, samples };
+            }
+            offset = body + size + (size % 2);
+        }
+        return null;
+    }
+
+    // ---------- 음높이 ----------
+    // YIN: 누적 평균 정규화 차이 함수가 임계값 아래로 처음 내려가는 지연(lag)을 주기로 사용
+    function estimateF0(samples, start, sampleRate) {
+        const minLag = Math.floor(sampleRate / MAX_F0);
+        const maxLag = Math.ceil(sampleRate / MIN_F0);
+        const windowSize = maxLag;
+        if (start + windowSize + maxLag > samples.length) return null;
+
+        const difference = new Float32Array(maxLag + 1);
+        for (let lag = 1; lag <= maxLag; lag++) {
+            let sum = 0;
+            for (let i = 0; i < windowSize; i++) {
+                const delta = samples[start + i] - samples[start + i + lag];
+                sum += delta * delta;
+            }
+            difference[lag] = sum;
+        }
+
+        let runningSum = 0;
+        let bestLag = -1;
+        let bestValue = Infinity;
+        const normalized = new Float32Array(maxLag + 1);
+        normalized[0] = 1;
+        for (let lag = 1; lag <= maxLag; lag++) {
+            runningSum += difference[lag];
+            normalized[lag] = runningSum > 0 ? difference[lag] * lag / runningSum : 1;
+        }
+        for (let lag = minLag; lag <= maxLag; lag++) {
+            if (normalized[lag] < YIN_THRESHOLD) {
+                while (lag + 1 <= maxLag && normalized[lag + 1] < normalized[lag]) lag++;
+                bestLag = lag;
+                bestValue = normalized[lag];
+                break;
+            }
+        }
+        if (bestLag < 0 || bestValue >= YIN_THRESHOLD) return null;
+
+        // 포물선 보간으로 주기 보정
+        const previous = normalized[bestLag - 1];
+        const next = bestLag + 1 <= maxLag ? normalized[bestLag + 1] : normalized[bestLag];
+        const denominator = previous + next - 2 * normalized[bestLag];
+        const shift = denominator !== 0 ? (previous - next) / (2 * denominator) : 0;
+        return sampleRate / (bestLag + shift);
+    }
+
+    // → { frames: [{ time, energy, f0 }], referenceF0 }
+    // referenceF0: 유성 프레임 음높이 중앙값 (성조 높낮이를 이 화자 기준으로 판단)
+    function analyzePitch(samples, sampleRate) {
+        const hop = Math.round(sampleRate * FRAME_SECONDS);
+        const frameLength = hop * 3;
+        const frames = [];
+        for (let start = 0; start + frameLength <= samples.length; start += hop) {
+            let energy = 0;
+            for (let i = start; i < start + frameLength; i++) energy += samples[i] * samples[i];
+            frames.push({ time: start / sampleRate, energy: Math.sqrt(energy / frameLength), f0: null });
+        }
+
+        const loudest = frames.reduce((max, frame) => Math.max(max, frame.energy), 0);
+        frames.forEach((frame, index) => {
+            if (frame.energy >= loudest * SILENCE_RATIO) {
+                frame.f0 = estimateF0(samples, index * hop, sampleRate);
+            }
+        });
+
+        const voiced = frames.map(frame => frame.f0).filter(Boolean).sort((a, b) => a - b);
+        return {
+            frames,
+            loudest,
+            referenceF0: voiced.length > 0 ? voiced[Math.floor(voiced.length / 2)] : null
+        };
+    }
+
+    // ---------- 음절 구간 ----------
+    // 발음 평가 서비스의 시간 정보가 없을 때 - 소리 나는 구간을 찾아 기준 음절 수에 맞춰 합치거나 나눔
+    function segmentSyllables(pitch, count) {
+        const { frames, loudest } = pitch;
+        const loud = frames.map(frame => frame.energy >= loudest * SILENCE_RATIO);
+        let runs = [];
+        let runStart = -1;
+        let quiet = 0;
+        loud.forEach((isLoud, index) => {
+            if (isLoud) {
+                if (runStart < 0) runStart = index;
+                quiet = 0;
+            } else if (runStart >= 0 && ++quiet >= MIN_GAP_FRAMES) {
+                runs.push({ start: runStart, end: index - quiet + 1 });
+                runStart = -1;
+            }
+        });
+        if (runStart >= 0) runs.push({ start: runStart, end: loud.lastIndexOf(true) + 1 });
+        if (runs.length === 0 || count <= 0) return [];
+
+        // 음절이 너무 많으면 가장 가까운 두 구간을 합침
+        while (runs.length > count) {
+            let closest = 0;
+            for (let i = 1; i < runs.length - 1; i++) {
+                if (runs[i + 1].start - runs[i].end < runs[closest + 1].start - runs[closest].end) closest = i;
+            }
+            runs.splice(closest, 2, { start: runs[closest].start, end: runs[closest + 1].end });
+        }
+        // 모자라면 가장 긴 구간을 가운데 부분의 가장 조용한 프레임에서 나눔
+        while (runs.length < count) {
+            const longest = runs.reduce((best, run, i) => (run.end - run.start > runs[best].end - runs[best].start ? i : best), 0);
+            const run = runs[longest];
+            const length = run.end - run.start;
+            if (length < 2 * MIN_VOICED_FRAMES) break;
+            let split = run.start + Math.floor(length / 2);
+            for (let i = run.start + Math.ceil(length * 0.2); i < run.start + Math.floor(length * 0.8); i++) {
+                if (frames[i].energy < frames[split].energy) split = i;
+            }
+            runs.splice(longest, 1, { start: run.start, end: split }, { start: split, end: run.end });
+        }
+
+        return runs.map(run => ({
+            start: frames[run.start].time,
+            end: frames[run.end - 1].time + FRAME_SECONDS
+        }));
+    }
+
+    // ---------- 성조 ----------
+    function median3(values) {
+        return values.map((value, i) => {
+            const window = values.slice(Math.max(0, i - 1), i + 2).sort((a, b) => a - b);
+            return window[Math.floor(window.length / 2)];
+        });
+    }
+
+    function average(values) {
+        return values.reduce((sum, value) => sum + value, 0) / values.length;
+    }
+
+    // span: { start, end } (초) → { tone, contour(반음, 5점) } 또는 null (유성음이 부족해 판정 불가)
+    // typicalDuration: 같은 녹음의 음절 길이 중앙값 (nặng의 짧게 끊기는 특징 판단용)
+    function classifyTone(pitch, span, typicalDuration = null) {
+        if (!pitch.referenceF0) return null;
+        const inside = pitch.frames.filter(frame => frame.time >= span.start && frame.time < span.end);
+        const firstVoiced = inside.findIndex(frame => frame.f0);
+        const lastVoiced = inside.length - 1 - [...inside].reverse().findIndex(frame => frame.f0);
+        if (firstVoiced < 0) return null;
+
+        const voicedFrames = inside.slice(firstVoiced, lastVoiced + 1);
+        const semitones = median3(voicedFrames.filter(frame => frame.f0).map(frame => 12 * Math.log2(frame.f0 / pitch.referenceF0)));
+        if (semitones.length < MIN_VOICED_FRAMES) return null;
+
+        // 유성 구간 중간이 2프레임 이상 끊기면 성문 폐쇄(ngã/nặng의 특징)
+        let longestBreak = 0;
+        let currentBreak = 0;
+        voicedFrames.forEach(frame => {
+            currentBreak = frame.f0 ? 0 : currentBreak + 1;
+            longestBreak = Math.max(longestBreak, currentBreak);
+        });
+        const glottalBreak = longestBreak >= 2;
+
+        const edge = Math.max(1, Math.round(semitones.length * 0.2));
+        const startLevel = average(semitones.slice(0, edge));
+        const endLevel = average(semitones.slice(-edge));
+        const minIndex = semitones.indexOf(Math.min(...semitones));
+        const minLevel = semitones[minIndex];
+        const minPosition = minIndex / (semitones.length - 1);
+        const change = endLevel - startLevel;
+        const duration = voicedFrames.length * FRAME_SECONDS;
+        const short = typicalDuration ? duration < typicalDuration * SHORT_SYLLABLE : false;
+
+        let tone;
+        if (minPosition > 0.2 && minPosition < 0.8 && startLevel - minLevel >= DIP_DEPTH && endLevel - minLevel >= DIP_DEPTH) {
+            tone = glottalBreak ? 'ngã' : 'hỏi';
+        } else if (change >= CONTOUR_CHANGE) {
+            tone = glottalBreak ? 'ngã' : 'sắc';
+        } else if (change <= -CONTOUR_CHANGE) {
+            tone = (-change / duration >= STEEP_FALL || short || glottalBreak) ? 'nặng' : 'huyền';
+        } else {
+            tone = average(semitones) <= LOW_LEVEL ? 'huyền' : 'ngang';
+        }
+
+        const contour = [0, 0.25, 0.5, 0.75, 1].map(position => Math.round(semitones[Math.round(position * (semitones.length - 1))] * 10) / 10);
+        return { tone, contour };
+    }
+
+    // spans 순서대로 성조 판정 → [{ tone, contour } | null]
+    function measureTones(pitch, spans) {
+        const durations = spans.filter(Boolean).map(span => span.end - span.start).sort((a, b) => a - b);
+        const typicalDuration = durations.length > 1 ? durations[Math.floor(durations.length / 2)] : null;
+        return spans.map(span => (span ? classifyTone(pitch, span, typicalDuration) : null));
+    }
+
+    return {
+        TARGET_SAMPLE_RATE,
+        encodeWav,
+        decodeWav,
+        analyzePitch,
+        segmentSyllables,
+        classifyTone,
+        measureTones
+    };
+});
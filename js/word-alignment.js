@@ -0,0 +1,167 @@
+// ========== 🔗 단어 정렬 (원문 ↔ 번역문 단어/구 대응) ==========
+// 브라우저(<script>)와 Netlify 함수(require) 양쪽에서 같은 규칙을 쓰기 위해 UMD 형태로 작성
+// 모델은 { source, target } 문자열 쌍만 돌려주고, 실제 위치(오프셋)는 이 모듈이 원문/번역문에서 찾아서 계산
+// - 원문/번역문에 그대로 없는 쌍은 버림 (모델이 철자를 바꾼 경우)
+// - 같은 단어가 여러 번 나오면 단어 경계에 맞고 아직 쓰지 않은 위치를 순서대로 사용
+// - 번역문을 탭하면 segmentWords로 나눈 단어 위치로 findAlignedPair를 호출해서 대응 원문을 찾음
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./language-registry'));
+    } else {
+        root.WordAlignment = factory(root.LanguageRegistry);
+    }
+})(typeof self !== 'undefined' ? self : this, function (LanguageRegistry) {
+    const MAX_PAIRS = 80;
+    const MAX_PHRASE_CHARS = 80;
+    const CHARACTER_LANGUAGES = ['zh', 'ja', 'th']; // 띄어쓰기가 없는 언어는 글자 단위로 대체 분할
+    const WORD_CHAR = /[\p{L}\p{M}\p{N}]/u;
+
+    function languageCode(language) {
+        const lang = LanguageRegistry.getLanguage(language);
+        return lang ? lang.code : String(language || 'en').toLowerCase().slice(0, 2);
+    }
+
+    // 탭할 수 있는 단어 단위로 분할 → [{ text, start, end, isWord }] (공백/문장부호도 isWord: false로 포함)
+    // Intl.Segmenter가 있으면 언어별 단어 경계 사용 (중국어/일본어/태국어)
+    function segmentWords(text, language) {
+        const source = String(text || '');
+        const code = languageCode(language);
+
+        if (typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function') {
+            try {
+                const segmenter = new Intl.Segmenter(code, { granularity: 'word' });
+                return Array.from(segmenter.segment(source), part => ({
+                    text: part.segment,
+                    start: part.index,
+                    end: part.index + part.segment.length,
+                    isWord: !!part.isWordLike
+                }));
+            } catch (e) {
+                // 지원하지 않는 로케일이면 정규식 분할
+            }
+        }
+
+        const pattern = CHARACTER_LANGUAGES.includes(code)
+            ? /[\p{L}\p{M}\p{N}]/gu
+            : /[\p{L}\p{M}\p{N}]+(?:['’-][\p{L}\p{M}\p{N}]+)*/gu;
+        const segments = [];
+        let last = 0;
+        let match;
+        while ((match = pattern.exec(source)) !== null) {
+            if (match.index > last) {
+                segments.push({ text: source.slice(last, match.index), start: last, end: match.index, isWord: false });
+            }
+            segments.push({ text: match[0], start: match.index, end: match.index + match[0].length, isWord: true });
+            last = match.index + match[0].length;
+        }
+        if (last < source.length) {
+            segments.push({ text: source.slice(last), start: last, end: source.length, isWord: false });
+        }
+        return segments;
+    }
+
+    function overlaps(a, b) {
+        return a.start < b.end && b.start < a.end;
+    }
+
+    function atWordBoundary(text, start, end) {
+        const before = start > 0 ? text[start - 1] : '';
+        const after = end < text.length ? text[end] : '';
+        return !WORD_CHAR.test(before) && !WORD_CHAR.test(after);
+    }
+
+    // 구절 위치 찾기 - 대소문자 무시, 이미 쓴 위치와 겹치지 않는 곳 중 단어 경계에 맞는 위치 우선
+    function findSpan(text, phrase, used) {
+        const folded = text.toLowerCase();
+        const needle = phrase.toLowerCase();
+        // 소문자 변환으로 길이가 바뀌는 문자(İ 등)가 있으면 그대로 비교
+        const haystack = folded.length === text.length && needle.length === phrase.length ? folded : text;
+        const target = haystack === folded ? needle : phrase;
+
+        let fallback = null;
+        let index = haystack.indexOf(target);
+        while (index !== -1) {
+            const span = { start: index, end: index + target.length };
+            if (!used.some(other => overlaps(other, span))) {
+                if (atWordBoundary(text, span.start, span.end)) return span;
+                if (!fallback) fallback = span;
+            }
+            index = haystack.indexOf(target, index + 1);
+        }
+        return fallback;
+    }
+
+    function cleanPhrase(value) {
+        return String(value || '').replace(/\s+/g, ' ').trim();
+    }
+
+    // 모델이 돌려준 [{ source, target }] → 위치가 확인된 정렬
+    // [{ source, target, sourceStart, sourceEnd, targetStart, targetEnd }] (원문 순서)
+    function normalizeAlignment(pairs, sourceText, targetText) {
+        if (!Array.isArray(pairs)) return [];
+        const source = String(sourceText || '');
+        const target = String(targetText || '');
+        const usedSource = [];
+        const usedTarget = [];
+        const alignment = [];
+
+        for (const pair of pairs) {
+            if (alignment.length >= MAX_PAIRS) break;
+            if (!pair || typeof pair !== 'object') continue;
+            const sourcePhrase = cleanPhrase(pair.source || pair.src);
+            const targetPhrase = cleanPhrase(pair.target || pair.tgt);
+            if (!sourcePhrase || !targetPhrase) continue;
+            if (sourcePhrase.length > MAX_PHRASE_CHARS || targetPhrase.length > MAX_PHRASE_CHARS) continue;
+            if (!WORD_CHAR.test(sourcePhrase) || !WORD_CHAR.test(targetPhrase)) continue;
+
+            const sourceSpan = findSpan(source, sourcePhrase, usedSource);
+            const targetSpan = findSpan(target, targetPhrase, usedTarget);
+            if (!sourceSpan || !targetSpan) continue;
+
+            usedSource.push(sourceSpan);
+            usedTarget.push(targetSpan);
+            alignment.push({
+                source: source.slice(sourceSpan.start, sourceSpan.end),
+                target: target.slice(targetSpan.start, targetSpan.end),
+                sourceStart: sourceSpan.start,
+                sourceEnd: sourceSpan.end,
+                targetStart: targetSpan.start,
+                targetEnd: targetSpan.end
+            });
+        }
+
+        return alignment.sort((a, b) => a.sourceStart - b.sourceStart);
+    }
+
+    // 탭한 위치(start~end)와 겹치는 정렬 쌍 - 여러 개면 가장 짧은 구절
+    // side: 'target'(번역문을 탭한 경우) 또는 'source'
+    function findAlignedPair(alignment, start, end, side = 'target') {
+        const startKey = side === 'source' ? 'sourceStart' : 'targetStart';
+        const endKey = side === 'source' ? 'sourceEnd' : 'targetEnd';
+        const span = { start, end: Math.max(end, start + 1) };
+
+        return (alignment || [])
+            .filter(pair => overlaps({ start: pair[startKey], end: pair[endKey] }, span))
+            .sort((a, b) => (a[endKey] - a[startKey]) - (b[endKey] - b[startKey]))[0] || null;
+    }
+
+    // index 위치가 들어 있는 문장 (단어장 예문용)
+    function sentenceAt(text, index) {
+        const source = String(text || '');
+        const boundary = /[.!?。！？\n]/;
+        let start = Math.max(0, Math.min(index, source.length));
+        while (start > 0 && !boundary.test(source[start - 1])) start--;
+        let end = Math.max(0, Math.min(index, source.length));
+        while (end < source.length && !boundary.test(source[end])) end++;
+        if (end < source.length && source[end] !== '\n') end++;
+        return source.slice(start, end).trim();
+    }
+
+    return {
+        MAX_PAIRS,
+        segmentWords,
+        normalizeAlignment,
+        findAlignedPair,
+        sentenceAt
+    };
+});
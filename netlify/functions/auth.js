@@ -21,8 +21,35 @@ const {
   saveUserAISettings,
   getUserAISettings,
   saveTranslationHistory,
-  getUserTranslationHistory
+  getUserTranslationHistory,
+  // 팀 관련 함수들
+  canEditTeamContent,
+  createTeam,
+  getUserTeams,
+  getTeamMembership,
+  getTeamMembers,
+  createTeamInvitation,
+  acceptTeamInvitation,
+  updateTeamMemberRole,
+  removeTeamMember,
+  getTeamGlossary,
+  saveTeamGlossaryTerms,
+  deleteTeamGlossaryTerm,
+  recordSyncChange,
+  pushSyncChanges,
+  pullSyncChanges,
+  // 사용량 원장 관련 함수들
+  getUsageLedger,
+  getApiKeyOwners
 } = require('./database');
+const { MAX_PUSH_CHANGES } = require('../../js/sync-protocol');
+const {
+  USAGE_EXPORT_FORMATS,
+  normalizeGroupBy,
+  groupUsageEntries,
+  buildMonthlyStatements,
+  usageExportToCSV
+} = require('./usage-export');
 
 // 함수 존재 확인 로그
 console.log('[Auth] 함수 로드 상태:', {
@@ -50,6 +77,16 @@ const corsHeaders = {
   'Access-Control-Allow-Headers': 'Content-Type, Authorization',
   'Access-Control-Allow-Methods': 'POST, OPTIONS'
 };
+
+// JSON 응답 (CORS 헤더 포함)
+function jsonResponse(statusCode, payload) {
+  return {
+    statusCode,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload)
+  };
+}
+
 // 환경변수 체크
 if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_KEY) {
   console.error('[Auth] 환경변수 누락:', {
@@ -111,6 +148,9 @@ exports.handler = async function (event, context) {
       case 'get-dashboard-data':
         return await handleGetDashboardData(event.headers);
 
+      case 'export-usage':
+        return await handleExportUsage(event.headers, JSON.parse(event.body));
+
       case 'verify-token':
         return await handleVerifyToken(event.headers);
 
@@ -120,6 +160,23 @@ exports.handler = async function (event, context) {
       case 'save-vocabulary':
   const vocabBody = JSON.parse(event.body || '{}');
   return await handleSaveVocabulary(event.headers, vocabBody.vocabularyData);
+
+      // 📚 단어 단위 변경 (기기 간 동시 편집 시 version으로 충돌 감지)
+      case 'add-word':
+        return await handleAddWord(event.headers, JSON.parse(event.body));
+
+      case 'update-word':
+        return await handleUpdateWord(event.headers, JSON.parse(event.body));
+
+      case 'delete-word':
+        return await handleDeleteWord(event.headers, JSON.parse(event.body));
+
+      // 🔄 오프라인 동기화 (기기별 변경 로그 push / 커서 이후 변경 pull)
+      case 'sync-push':
+        return await handleSyncPush(event.headers, JSON.parse(event.body));
+
+      case 'sync-pull':
+        return await handleSyncPull(event.headers, JSON.parse(event.body));
       
       case 'save-settings':
   const bodyData = JSON.parse(event.body || '{}');
@@ -134,6 +191,37 @@ exports.handler = async function (event, context) {
       case 'get-user-data':
         return await handleGetUserData(event.headers);
 
+      // 👥 팀 워크스페이스
+      case 'create-team':
+        return await handleCreateTeam(event.headers, JSON.parse(event.body).teamName);
+
+      case 'get-teams':
+        return await handleGetTeams(event.headers);
+
+      case 'get-team-members':
+        return await handleGetTeamMembers(event.headers, JSON.parse(event.body).teamId);
+
+      case 'invite-team-member':
+        return await handleInviteTeamMember(event.headers, JSON.parse(event.body));
+
+      case 'accept-team-invitation':
+        return await handleAcceptTeamInvitation(event.headers, JSON.parse(event.body).inviteToken);
+
+      case 'update-team-member-role':
+        return await handleUpdateTeamMemberRole(event.headers, JSON.parse(event.body));
+
+      case 'remove-team-member':
+        return await handleRemoveTeamMember(event.headers, JSON.parse(event.body));
+
+      case 'get-team-glossary':
+        return await handleGetTeamGlossary(event.headers, JSON.parse(event.body).teamId);
+
+      case 'save-team-glossary':
+        return await handleSaveTeamGlossary(event.headers, JSON.parse(event.body));
+
+      case 'delete-team-glossary-term':
+        return await handleDeleteTeamGlossaryTerm(event.headers, JSON.parse(event.body));
+
       default:
         return {
           statusCode: 400,
@@ -896,6 +984,104 @@ async function handleGetDashboardData(headers) {
 }
 // [끝점]
 
+// ===================================================
+// 🧾 사용량 내보내기 / 월별 정산서 (export-usage)
+// usage_ledger 건별 기록을 기간(startDate~endDate, UTC 날짜) 단위로 user/team/feature/model별 합산
+// teamId가 있으면 팀 owner만 팀 전체 멤버 사용량을, 없으면 본인 사용량만 조회
+// 정산서의 reimbursement는 사용자 본인 API 키(user_api_keys)로 쓴 비용 - 환급 대상
+// ===================================================
+const USAGE_EXPORT_MAX_DAYS = 366;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// 기본 기간: 이번 달 1일 ~ 오늘
+function resolveUsageExportRange(startDate, endDate) {
+  const today = new Date().toISOString().split('T')[0];
+  const start = startDate || `${today.slice(0, 7)}-01`;
+  const end = endDate || today;
+
+  if (!DATE_PATTERN.test(start) || !DATE_PATTERN.test(end) || isNaN(Date.parse(start)) || isNaN(Date.parse(end))) {
+    return { error: '날짜는 YYYY-MM-DD 형식이어야 합니다.' };
+  }
+  if (start > end) {
+    return { error: 'startDate가 endDate보다 늦을 수 없습니다.' };
+  }
+  if ((Date.parse(end) - Date.parse(start)) / 86400000 + 1 > USAGE_EXPORT_MAX_DAYS) {
+    return { error: `최대 ${USAGE_EXPORT_MAX_DAYS}일까지 조회할 수 있습니다.` };
+  }
+  return { start, end };
+}
+
+async function handleExportUsage(headers, { teamId = null, startDate, endDate, format = 'json', groupBy } = {}) {
+  console.log('[Usage] 사용량 내보내기 요청:', { teamId, startDate, endDate, format });
+
+  if (!USAGE_EXPORT_FORMATS.includes(format)) {
+    return jsonResponse(400, { success: false, error: `지원하지 않는 형식입니다: ${format} (${USAGE_EXPORT_FORMATS.join(', ')})` });
+  }
+  const range = resolveUsageExportRange(startDate, endDate);
+  if (range.error) return jsonResponse(400, { success: false, error: range.error });
+
+  let userId;
+  if (teamId) {
+    const auth = await authorizeTeamRole(headers, teamId, ['owner']);
+    if (!auth.success) return auth.response;
+    userId = auth.userId;
+  } else {
+    const authResult = await verifyAuthToken(headers);
+    if (!authResult.success) return jsonResponse(401, { success: false, error: authResult.error });
+    userId = authResult.userId;
+  }
+
+  // 팀별 항목 이름 - 요청자가 속한 팀 (탈퇴한 팀의 사용량은 이름 없이 teamId만)
+  const teamsResult = await getUserTeams(userId);
+  const teamNames = {};
+  if (teamsResult.success) teamsResult.teams.forEach(t => { teamNames[t.id] = t.name; });
+  const team = teamId ? { id: teamId, name: teamNames[teamId] || null } : null;
+
+  // 팀 내보내기는 원장의 team_id로 집계 (멤버가 개인적으로 쓴 사용량이나 다른 팀 업무는 제외)
+  const ledgerResult = await getUsageLedger(team ? { teamId } : { userId }, range.start, range.end);
+  if (!ledgerResult.success) return jsonResponse(500, { success: false, error: `사용량 조회 실패: ${ledgerResult.error}` });
+
+  const keyResult = await getApiKeyOwners([...new Set([userId, ...ledgerResult.entries.map(entry => entry.userId)])]);
+  if (!keyResult.success) console.error('[Usage] 개인 API 키 조회 실패 - 키 정보 없이 진행:', keyResult.error);
+
+  const dimensions = normalizeGroupBy(groupBy);
+  const items = groupUsageEntries(ledgerResult.entries, { groupBy: dimensions, teamNames });
+  const statements = buildMonthlyStatements(ledgerResult.entries, {
+    team,
+    apiKeyOwners: keyResult.success ? keyResult.owners : {}
+  });
+
+  console.log(`[Usage] 사용량 내보내기 완료 - 사용자: ${userId}, 원장 ${ledgerResult.entries.length}건, 항목 ${items.length}개`);
+
+  if (format === 'csv') {
+    const fileName = `usage-${team ? `team-${teamId}-` : ''}${range.start}_${range.end}.csv`;
+    return {
+      statusCode: 200,
+      headers: {
+        ...corsHeaders,
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${fileName}"`,
+        'Access-Control-Expose-Headers': 'Content-Disposition'
+      },
+      body: usageExportToCSV(items, statements, { groupBy: dimensions })
+    };
+  }
+
+  return {
+    statusCode: 200,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      success: true,
+      range: { startDate: range.start, endDate: range.end },
+      team,
+      groupBy: dimensions,
+      entryCount: ledgerResult.entries.length,
+      items,
+      statements
+    })
+  };
+}
+
 // ===================================================
 // 🔄 데이터 동기화 핸들러 함수들
 // ===================================================
@@ -1030,6 +1216,102 @@ async function handleSaveVocabulary(headers, vocabularyData) {
   }
 }
 
+// ===================================================
+// 📚 단어 단위 CRUD - 충돌(409) 시 서버의 현재 단어를 함께 돌려줘서 클라이언트가 병합
+// ===================================================
+
+function wordResultResponse(result, successStatus = 200) {
+  if (result.success) return jsonResponse(successStatus, result);
+  if (result.conflict) return jsonResponse(409, { success: false, conflict: true, error: result.error, word: result.word });
+  if (result.notFound) return jsonResponse(404, { success: false, notFound: true, error: result.error });
+  return jsonResponse(500, { success: false, error: result.error });
+}
+
+async function handleAddWord(headers, { word }) {
+  const authResult = await verifyAuthToken(headers);
+  if (!authResult.success) {
+    return jsonResponse(401, { success: false, error: authResult.error });
+  }
+  if (!word || !String(word.original || '').trim() || !String(word.translation || '').trim()) {
+    return jsonResponse(400, { success: false, error: '단어(original)와 뜻(translation)이 필요합니다.' });
+  }
+
+  const result = await addUserWord(authResult.userId, { ...word, original: String(word.original).trim() });
+  if (result.success) await recordSyncChange(authResult.userId, 'vocabulary', result.word.original, result.word);
+  console.log(`[Vocabulary] 단어 추가 ${result.success ? '성공' : (result.conflict ? '충돌' : '실패')} - ${word.original}`);
+  return wordResultResponse(result, 201);
+}
+
+async function handleUpdateWord(headers, { original, changes, expectedVersion }) {
+  const authResult = await verifyAuthToken(headers);
+  if (!authResult.success) {
+    return jsonResponse(401, { success: false, error: authResult.error });
+  }
+  if (!original || !changes || typeof changes !== 'object') {
+    return jsonResponse(400, { success: false, error: 'original과 changes가 필요합니다.' });
+  }
+
+  const result = await updateUserWord(authResult.userId, original, changes, expectedVersion);
+  if (result.success) await recordSyncChange(authResult.userId, 'vocabulary', original, result.word);
+  console.log(`[Vocabulary] 단어 수정 ${result.success ? '성공' : (result.conflict ? '충돌' : '실패')} - ${original}`);
+  return wordResultResponse(result);
+}
+
+async function handleDeleteWord(headers, { original, expectedVersion }) {
+  const authResult = await verifyAuthToken(headers);
+  if (!authResult.success) {
+    return jsonResponse(401, { success: false, error: authResult.error });
+  }
+  if (!original) {
+    return jsonResponse(400, { success: false, error: 'original이 필요합니다.' });
+  }
+
+  const result = await deleteUserWord(authResult.userId, original, expectedVersion);
+  if (result.success && !result.alreadyDeleted) await recordSyncChange(authResult.userId, 'vocabulary', original, null, true);
+  console.log(`[Vocabulary] 단어 삭제 ${result.success ? '성공' : (result.conflict ? '충돌' : '실패')} - ${original}`);
+  return wordResultResponse(result);
+}
+
+// ===================================================
+// 🔄 오프라인 동기화 - push 결과마다 서버의 최종 레코드를 돌려주고, pull은 커서 이후 변경만 반환
+// ===================================================
+
+async function handleSyncPush(headers, { changes }) {
+  const authResult = await verifyAuthToken(headers);
+  if (!authResult.success) {
+    return jsonResponse(401, { success: false, error: authResult.error });
+  }
+  if (!Array.isArray(changes)) {
+    return jsonResponse(400, { success: false, error: 'changes 배열이 필요합니다.' });
+  }
+  if (changes.length > MAX_PUSH_CHANGES) {
+    return jsonResponse(400, { success: false, error: `한 번에 최대 ${MAX_PUSH_CHANGES}개까지 보낼 수 있습니다.` });
+  }
+
+  const result = await pushSyncChanges(authResult.userId, changes);
+  if (!result.success) {
+    return jsonResponse(500, { success: false, error: result.error });
+  }
+
+  const stale = result.results.filter(item => item.status === 'stale').length;
+  console.log(`[Sync] push ${changes.length}건 - 사용자: ${authResult.userId}, 이전 버전 ${stale}건`);
+  return jsonResponse(200, { success: true, results: result.results, serverTime: new Date().toISOString() });
+}
+
+async function handleSyncPull(headers, { cursor = null, limit }) {
+  const authResult = await verifyAuthToken(headers);
+  if (!authResult.success) {
+    return jsonResponse(401, { success: false, error: authResult.error });
+  }
+
+  const result = await pullSyncChanges(authResult.userId, cursor, limit);
+  if (!result.success) {
+    return jsonResponse(500, { success: false, error: result.error });
+  }
+
+  return jsonResponse(200, { success: true, changes: result.changes, cursor: result.cursor, hasMore: result.hasMore });
+}
+
 // 사용자 설정 저장
 async function handleSaveSettings(headers, settings) {
   console.log('[Sync] 사용자 설정 저장 요청:', settings);
@@ -1324,3 +1606,161 @@ async function handleGetUserData(headers) {
     };
   }
 }
+
+// ===================================================
+// 👥 팀 워크스페이스 (owner: 멤버/초대 관리, editor: 용어집·TM 편집, viewer: 조회)
+// ===================================================
+
+// 토큰 검증 + 팀 역할 확인 (allowedRoles가 비어 있으면 멤버 여부만 확인)
+async function authorizeTeamRole(headers, teamId, allowedRoles = []) {
+  const authResult = await verifyAuthToken(headers);
+  if (!authResult.success) {
+    return { success: false, response: jsonResponse(401, { success: false, error: authResult.error }) };
+  }
+  if (!teamId) {
+    return { success: false, response: jsonResponse(400, { success: false, error: 'teamId가 필요합니다.' }) };
+  }
+
+  const membership = await getTeamMembership(authResult.userId, teamId);
+  if (!membership.success) {
+    return { success: false, response: jsonResponse(500, { success: false, error: membership.error }) };
+  }
+  if (!membership.role || (allowedRoles.length > 0 && !allowedRoles.includes(membership.role))) {
+    return { success: false, response: jsonResponse(403, { success: false, error: '이 작업을 할 권한이 없습니다.' }) };
+  }
+
+  return { success: true, userId: authResult.userId, email: authResult.email, role: membership.role };
+}
+
+async function handleCreateTeam(headers, teamName) {
+  const authResult = await verifyAuthToken(headers);
+  if (!authResult.success) {
+    return jsonResponse(401, { success: false, error: authResult.error });
+  }
+  if (!teamName || !teamName.trim()) {
+    return jsonResponse(400, { success: false, error: '팀 이름이 필요합니다.' });
+  }
+
+  const result = await createTeam(authResult.userId, teamName);
+  console.log(`[Team] 팀 생성 ${result.success ? '성공' : '실패'} - 사용자: ${authResult.userId}`);
+  return result.success
+    ? jsonResponse(200, { success: true, team: result.team })
+    : jsonResponse(500, { success: false, error: result.error });
+}
+
+async function handleGetTeams(headers) {
+  const authResult = await verifyAuthToken(headers);
+  if (!authResult.success) {
+    return jsonResponse(401, { success: false, error: authResult.error });
+  }
+
+  const result = await getUserTeams(authResult.userId);
+  return result.success
+    ? jsonResponse(200, { success: true, teams: result.teams })
+    : jsonResponse(500, { success: false, error: result.error });
+}
+
+async function handleGetTeamMembers(headers, teamId) {
+  const auth = await authorizeTeamRole(headers, teamId);
+  if (!auth.success) return auth.response;
+
+  const result = await getTeamMembers(teamId);
+  return result.success
+    ? jsonResponse(200, { success: true, members: result.members, role: auth.role })
+    : jsonResponse(500, { success: false, error: result.error });
+}
+
+// 초대 토큰은 응답으로 돌려주고 초대한 사람이 링크로 전달
+async function handleInviteTeamMember(headers, { teamId, email, role = 'viewer' }) {
+  const auth = await authorizeTeamRole(headers, teamId, ['owner']);
+  if (!auth.success) return auth.response;
+  if (!email || !email.includes('@')) {
+    return jsonResponse(400, { success: false, error: '초대할 이메일이 필요합니다.' });
+  }
+
+  const result = await createTeamInvitation(teamId, auth.userId, email, role);
+  console.log(`[Team] 초대 생성 ${result.success ? '성공' : '실패'} - 팀: ${teamId}, 역할: ${role}`);
+  return result.success
+    ? jsonResponse(200, { success: true, invitation: result.invitation })
+    : jsonResponse(400, { success: false, error: result.error });
+}
+
+async function handleAcceptTeamInvitation(headers, inviteToken) {
+  const authResult = await verifyAuthToken(headers);
+  if (!authResult.success) {
+    return jsonResponse(401, { success: false, error: authResult.error });
+  }
+  if (!inviteToken) {
+    return jsonResponse(400, { success: false, error: '초대 토큰이 필요합니다.' });
+  }
+
+  const result = await acceptTeamInvitation(authResult.userId, authResult.email, inviteToken);
+  console.log(`[Team] 초대 수락 ${result.success ? '성공' : '실패'} - 사용자: ${authResult.userId}`);
+  return result.success
+    ? jsonResponse(200, { success: true, teamId: result.teamId, role: result.role })
+    : jsonResponse(400, { success: false, error: result.error });
+}
+
+async function handleUpdateTeamMemberRole(headers, { teamId, memberId, role }) {
+  const auth = await authorizeTeamRole(headers, teamId, ['owner']);
+  if (!auth.success) return auth.response;
+  if (!memberId || !role) {
+    return jsonResponse(400, { success: false, error: 'memberId와 role이 필요합니다.' });
+  }
+
+  const result = await updateTeamMemberRole(teamId, memberId, role);
+  return result.success
+    ? jsonResponse(200, { success: true })
+    : jsonResponse(400, { success: false, error: result.error });
+}
+
+// owner는 다른 멤버를 제거, 그 외 멤버는 본인만 탈퇴 가능
+async function handleRemoveTeamMember(headers, { teamId, memberId }) {
+  const auth = await authorizeTeamRole(headers, teamId);
+  if (!auth.success) return auth.response;
+
+  const targetId = memberId || auth.userId;
+  if (targetId !== auth.userId && auth.role !== 'owner') {
+    return jsonResponse(403, { success: false, error: '이 작업을 할 권한이 없습니다.' });
+  }
+
+  const result = await removeTeamMember(teamId, targetId);
+  if (result.notFound) return jsonResponse(400, { success: false, error: result.error });
+  return result.success
+    ? jsonResponse(200, { success: true })
+    : jsonResponse(500, { success: false, error: result.error });
+}
+
+async function handleGetTeamGlossary(headers, teamId) {
+  const auth = await authorizeTeamRole(headers, teamId);
+  if (!auth.success) return auth.response;
+
+  const result = await getTeamGlossary(teamId);
+  return result.success
+    ? jsonResponse(200, { success: true, terms: result.terms, canEdit: canEditTeamContent(auth.role) })
+    : jsonResponse(500, { success: false, error: result.error });
+}
+
+async function handleSaveTeamGlossary(headers, { teamId, terms, sourceLang, targetLang }) {
+  const auth = await authorizeTeamRole(headers, teamId, ['owner', 'editor']);
+  if (!auth.success) return auth.response;
+
+  const result = await saveTeamGlossaryTerms(teamId, auth.userId, terms, { sourceLang, targetLang });
+  console.log(`[Team] 팀 용어집 저장 ${result.success ? '성공' : '실패'} - 팀: ${teamId}`);
+  return result.success
+    ? jsonResponse(200, { success: true, savedCount: result.savedCount })
+    : jsonResponse(400, { success: false, error: result.error });
+}
+
+async function handleDeleteTeamGlossaryTerm(headers, { teamId, sourceTerm, sourceLang, targetLang }) {
+  const auth = await authorizeTeamRole(headers, teamId, ['owner', 'editor']);
+  if (!auth.success) return auth.response;
+  if (!sourceTerm) {
+    return jsonResponse(400, { success: false, error: 'sourceTerm이 필요합니다.' });
+  }
+
+  const result = await deleteTeamGlossaryTerm(teamId, sourceTerm, { sourceLang, targetLang });
+  return result.success
+    ? jsonResponse(200, { success: true })
+    : jsonResponse(500, { success: false, error: result.error });
+}
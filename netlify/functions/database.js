@@ -3,6 +3,14 @@ const { createClient } = require('@supabase/supabase-js');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+// 📚 팀 용어 상세정보(이표기/금지어 등) 정규화 - 클라이언트 용어집과 같은 항목 형식
+const { normalizeEntry, entryDetails } = require('../../js/glossary-formats');
+// 🌐 팀 용어집 언어 쌍 검증 - 클라이언트 언어 선택기와 같은 레지스트리
+const LanguageRegistry = require('../../js/language-registry');
+// 🔄 오프라인 동기화 충돌 규칙 - 클라이언트 sync-engine.js와 같은 모듈
+const SyncProtocol = require('../../js/sync-protocol');
+// 🧠 단어장 간격 반복 스케줄 기본값/정규화 - 클라이언트 퀴즈와 같은 모듈
+const SpacedRepetition = require('../../js/spaced-repetition');
 
 // Supabase 클라이언트 초기화
 const supabaseUrl = process.env.SUPABASE_URL || '';
@@ -97,7 +105,8 @@ async function createUser(email, password, displayName = null) {
         pronunciation_enabled: true,
         auto_threshold: 50,
         daily_budget: 1.00,
-        monthly_budget: 30.00
+        monthly_budget: 30.00,
+        limit_action: 'switch'
       }]);
 
     if (settingsError) {
@@ -320,6 +329,189 @@ async function trackUsage(userId, type, count = 1, cost = 0, provider = 'openai'
   }
 }
 
+// ===================================================
+// 🧾 사용량 원장 - 유료 API 호출 한 건마다 한 행 (usage_logs는 일별 합계)
+// usage_ledger: user_id, team_id, created_at, date, action, feature, provider, model,
+//               prompt_tokens, completion_tokens, characters, audio_seconds, cost_usd, saved_usd, cache_hit, user_key
+// team_id: 팀 업무로 쓴 요청의 팀 (개인 사용이면 null) - 팀 사용량 내보내기는 이 값으로 집계
+// user_key: 사용자 본인 API 키로 호출했는지 (시스템 키 비용과 구분)
+// cache_hit: 캐시/번역 메모리로 유료 호출 없이 처리한 요청 (cost_usd 0, saved_usd에 모델로 처리했을 때 예상 비용)
+// ===================================================
+async function recordUsageLedger(userId, entries = [], teamId = null) {
+  try {
+    if (!supabase) {
+      return { success: false, error: '데이터베이스 연결 실패' };
+    }
+    if (entries.length === 0) return { success: true, count: 0 };
+
+    const rows = entries.map(entry => ({
+      user_id: userId,
+      team_id: teamId,
+      created_at: entry.createdAt || new Date().toISOString(),
+      date: (entry.createdAt || new Date().toISOString()).split('T')[0],
+      action: entry.action || null,
+      feature: entry.feature,
+      provider: entry.provider,
+      model: entry.model,
+      prompt_tokens: entry.promptTokens || 0,
+      completion_tokens: entry.completionTokens || 0,
+      characters: entry.characters || 0,
+      audio_seconds: entry.audioSeconds || 0,
+      cost_usd: entry.cost || 0,
+      saved_usd: entry.savedCost || 0,
+      cache_hit: !!entry.cacheHit,
+      user_key: !!entry.userKey
+    }));
+
+    const { error } = await supabase
+      .from('usage_ledger')
+      .insert(rows);
+
+    if (error) throw error;
+    return { success: true, count: rows.length };
+  } catch (error) {
+    console.error('사용량 원장 기록 실패:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+const USAGE_LEDGER_PAGE_SIZE = 1000;
+
+function mapUsageLedgerRow(row) {
+  return {
+    userId: row.user_id,
+    teamId: row.team_id || null,
+    createdAt: row.created_at,
+    date: row.date,
+    action: row.action,
+    feature: row.feature,
+    provider: row.provider,
+    model: row.model,
+    promptTokens: row.prompt_tokens || 0,
+    completionTokens: row.completion_tokens || 0,
+    characters: row.characters || 0,
+    audioSeconds: Number(row.audio_seconds) || 0,
+    cost: Number(row.cost_usd) || 0,
+    savedCost: Number(row.saved_usd) || 0,
+    cacheHit: !!row.cache_hit,
+    userKey: !!row.user_key
+  };
+}
+
+// 기간(date, UTC 기준 양 끝 포함) 내 원장 항목 - Supabase 응답 행 수 제한 때문에 페이지 단위로 모두 읽음
+// scope: { userId } 본인 사용량 전체, { teamId } 그 팀 업무로 기록된 항목만 (멤버의 개인 사용량은 제외)
+async function getUsageLedger({ userId = null, teamId = null } = {}, startDate, endDate) {
+  try {
+    if (!supabase) {
+      return { success: false, error: '데이터베이스 연결 실패' };
+    }
+    if (!userId && !teamId) return { success: true, entries: [] };
+
+    const entries = [];
+    for (let from = 0; ; from += USAGE_LEDGER_PAGE_SIZE) {
+      const { data, error } = await supabase
+        .from('usage_ledger')
+        .select('*')
+        .eq(teamId ? 'team_id' : 'user_id', teamId || userId)
+        .gte('date', startDate)
+        .lte('date', endDate)
+        .order('created_at', { ascending: true })
+        .range(from, from + USAGE_LEDGER_PAGE_SIZE - 1);
+
+      if (error) throw error;
+      entries.push(...(data || []).map(mapUsageLedgerRow));
+      if (!data || data.length < USAGE_LEDGER_PAGE_SIZE) break;
+    }
+
+    return { success: true, entries };
+  } catch (error) {
+    console.error('사용량 원장 조회 실패:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// 활성 개인 API 키가 있는 사용자 → { [userId]: ['openai', 'google'] } (키 값은 읽지 않음)
+async function getApiKeyOwners(userIds) {
+  try {
+    if (!supabase) {
+      return { success: false, error: '데이터베이스 연결 실패' };
+    }
+    if (!userIds || userIds.length === 0) return { success: true, owners: {} };
+
+    const { data, error } = await supabase
+      .from('user_api_keys')
+      .select('user_id, encrypted_openai_key, encrypted_google_key')
+      .in('user_id', userIds)
+      .eq('is_active', true);
+
+    if (error) throw error;
+
+    const owners = {};
+    (data || []).forEach(row => {
+      const providers = [];
+      if (row.encrypted_openai_key) providers.push('openai');
+      if (row.encrypted_google_key) providers.push('google');
+      if (providers.length > 0) owners[row.user_id] = providers;
+    });
+    return { success: true, owners };
+  } catch (error) {
+    console.error('개인 API 키 보유자 조회 실패:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// ===================================================
+// 💰 예산 - user_settings(daily_budget, monthly_budget, limit_action) + usage_logs.cost_usd
+// limit_action: 한도 도달 시 정책 - switch(저렴한 모델 / Google TTS로 전환), warn(경고만), block(유료 호출 차단)
+// 날짜는 trackUsage와 같은 UTC 기준
+// ===================================================
+const LIMIT_ACTIONS = ['switch', 'warn', 'block'];
+
+async function getBudgetStatus(userId) {
+  try {
+    if (!supabase) {
+      return { success: false, error: '데이터베이스 연결 실패' };
+    }
+
+    const today = new Date().toISOString().split('T')[0];
+    const firstDayOfMonth = `${today.slice(0, 7)}-01`;
+
+    const [settingsResult, usageResult] = await Promise.all([
+      supabase
+        .from('user_settings')
+        .select('daily_budget, monthly_budget, limit_action')
+        .eq('user_id', userId)
+        .limit(1),
+      supabase
+        .from('usage_logs')
+        .select('date, cost_usd')
+        .eq('user_id', userId)
+        .gte('date', firstDayOfMonth)
+        .lte('date', today)
+    ]);
+
+    if (settingsResult.error) throw settingsResult.error;
+    if (usageResult.error) throw usageResult.error;
+
+    const settings = (settingsResult.data && settingsResult.data[0]) || {};
+    const usage = usageResult.data || [];
+    const dailySpent = usage.filter(row => row.date === today).reduce((sum, row) => sum + (row.cost_usd || 0), 0);
+    const monthlySpent = usage.reduce((sum, row) => sum + (row.cost_usd || 0), 0);
+
+    return {
+      success: true,
+      dailyBudget: Number(settings.daily_budget) || 1.00,
+      monthlyBudget: Number(settings.monthly_budget) || 30.00,
+      limitAction: LIMIT_ACTIONS.includes(settings.limit_action) ? settings.limit_action : 'switch',
+      dailySpent,
+      monthlySpent
+    };
+  } catch (error) {
+    console.error('예산 조회 실패:', error);
+    return { success: false, error: error.message };
+  }
+}
+
 // 공용 캐시 함수들
 function generateCacheKey(sourceText, targetLang) {
   return crypto.createHash('sha256').update(`${sourceText}:${targetLang}`).digest('hex');
@@ -414,7 +606,8 @@ async function saveUserSettings(userId, settings) {
         pronunciation_enabled: settings.pronunciationEnabled !== false,
         auto_threshold: settings.autoThreshold || 50,
         daily_budget: settings.dailyBudget || 1.00,
-        monthly_budget: settings.monthlyBudget || 30.00
+        monthly_budget: settings.monthlyBudget || 30.00,
+        limit_action: LIMIT_ACTIONS.includes(settings.limitAction) ? settings.limitAction : 'switch'
       }], {
         onConflict: 'user_id',
         ignoreDuplicates: false
@@ -463,7 +656,8 @@ async function getUserSettings(userId) {
           pronunciationEnabled: true,
           autoThreshold: 50,
           dailyBudget: 1.00,
-          monthlyBudget: 30.00
+          monthlyBudget: 30.00,
+          limitAction: 'switch'
         }
       };
     }
@@ -481,7 +675,8 @@ async function getUserSettings(userId) {
         pronunciationEnabled: data.pronunciation_enabled,
         autoThreshold: data.auto_threshold,
         dailyBudget: data.daily_budget,
-        monthlyBudget: data.monthly_budget
+        monthlyBudget: data.monthly_budget,
+        limitAction: data.limit_action || 'switch'
       }
     };
   } catch (error) {
@@ -648,8 +843,61 @@ async function getUserTranslationHistory(userId, limit = 50) {
 // ===================================================
 // 📚 단어장 관리 함수들 (누락된 함수들 완전 구현)
 // ===================================================
+// user_vocabulary(user_id, original_word, translation, description, correct_count, wrong_count,
+//                 practice_time, last_studied, version, updated_at,
+//                 ease_factor, interval_days, repetitions, due_date, lapses, deck) - unique(user_id, original_word)
+// version: 낙관적 동시성 제어용. 수정/삭제 시 클라이언트가 알고 있는 version과 다르면 충돌(conflict)로 거절
+// ease_factor ~ lapses: 간격 반복(SM-2) 스케줄 (js/spaced-repetition.js). due_date가 null이면 아직 학습하지 않은 단어
+// deck: 단어가 속한 덱 이름 (js/deck-formats.js). null이면 기본 덱
+
+// DB 행 → 클라이언트 단어 객체
+function mapVocabularyRow(row) {
+  return {
+    original: row.original_word,
+    translation: row.translation,
+    description: row.description || '',
+    addedDate: row.created_at,
+    correctCount: row.correct_count || 0,
+    wrongCount: row.wrong_count || 0,
+    practiceTime: row.practice_time || 0,
+    lastStudied: row.last_studied,
+    version: row.version || 1,
+    updatedAt: row.updated_at || row.created_at,
+    ease: row.ease_factor || SpacedRepetition.DEFAULT_EASE,
+    interval: row.interval_days || 0,
+    repetitions: row.repetitions || 0,
+    dueDate: row.due_date || null,
+    lapses: row.lapses || 0,
+    deck: row.deck || null
+  };
+}
+
+// 클라이언트 단어 객체 → 스케줄 컬럼 (일괄 저장/추가용)
+function vocabularyScheduleColumns(wordData) {
+  const schedule = SpacedRepetition.getSchedule(wordData);
+  return {
+    ease_factor: schedule.ease,
+    interval_days: schedule.interval,
+    repetitions: schedule.repetitions,
+    due_date: schedule.dueDate,
+    lapses: schedule.lapses
+  };
+}
+
+async function findUserWord(userId, originalWord) {
+  const { data, error } = await supabase
+    .from('user_vocabulary')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('original_word', originalWord)
+    .maybeSingle();
 
-// 사용자 단어장 전체 저장
+  if (error) throw error;
+  return data;
+}
+
+// 사용자 단어장 일괄 저장 (가져오기용) - 기존 단어를 지우지 않고 upsert만 수행
+// 다른 기기에서 추가한 단어가 사라지지 않도록 삭제는 delete-word로만 처리
 async function saveUserVocabulary(userId, vocabularyData) {
   try {
     if (!supabase) {
@@ -660,7 +908,6 @@ async function saveUserVocabulary(userId, vocabularyData) {
     let vocabularyArray;
     
     console.log('[Database] 받은 단어장 데이터 타입:', typeof vocabularyData);
-    console.log('[Database] 받은 단어장 데이터:', vocabularyData);
     
     if (vocabularyData instanceof Map) {
       vocabularyArray = Array.from(vocabularyData.entries());
@@ -677,37 +924,43 @@ async function saveUserVocabulary(userId, vocabularyData) {
       return { success: false, error: '잘못된 단어장 데이터 형식' };
     }
 
-    // 기존 단어장 삭제
-    const { error: deleteError } = await supabase
-      .from('user_vocabulary')
-      .delete()
-      .eq('user_id', userId);
-
-    if (deleteError) {
-      console.error('기존 단어장 삭제 실패:', deleteError);
+    if (vocabularyArray.length === 0) {
+      return { success: true, savedCount: 0 };
     }
 
-    // 새 단어장 데이터 삽입
-    if (vocabularyArray.length > 0) {
-      const insertData = vocabularyArray.map(([original, wordData]) => ({
-        user_id: userId,
-        original_word: original,
-        translation: wordData.translation,
-        description: wordData.description || '',
-        correct_count: wordData.correctCount || 0,
-        wrong_count: wordData.wrongCount || 0,
-        practice_time: wordData.practiceTime || 0,
-        last_studied: wordData.lastStudied || null
-      }));
+    // 이미 있는 단어는 version을 올려서 다른 기기의 수정 요청이 충돌로 감지되게 함
+    const { data: existingRows, error: existingError } = await supabase
+      .from('user_vocabulary')
+      .select('original_word, version')
+      .eq('user_id', userId)
+      .in('original_word', vocabularyArray.map(([original]) => original));
 
-      const { error: insertError } = await supabase
-        .from('user_vocabulary')
-        .insert(insertData);
+    if (existingError) throw existingError;
 
-      if (insertError) throw insertError;
-    }
+    const versions = new Map((existingRows || []).map(row => [row.original_word, row.version || 1]));
+    const now = new Date().toISOString();
+    const upsertData = vocabularyArray.map(([original, wordData]) => ({
+      user_id: userId,
+      original_word: original,
+      translation: wordData.translation,
+      description: wordData.description || '',
+      correct_count: wordData.correctCount || 0,
+      wrong_count: wordData.wrongCount || 0,
+      practice_time: wordData.practiceTime || 0,
+      last_studied: wordData.lastStudied || null,
+      ...vocabularyScheduleColumns(wordData),
+      deck: wordData.deck || null,
+      version: versions.has(original) ? versions.get(original) + 1 : 1,
+      updated_at: now
+    }));
+
+    const { error: upsertError } = await supabase
+      .from('user_vocabulary')
+      .upsert(upsertData, { onConflict: 'user_id,original_word', ignoreDuplicates: false });
 
-    return { success: true };
+    if (upsertError) throw upsertError;
+
+    return { success: true, savedCount: upsertData.length };
   } catch (error) {
     console.error('사용자 단어장 저장 실패:', error);
     return { success: false, error: error.message };
@@ -735,31 +988,13 @@ async function getUserVocabulary(userId) {
       throw error;
     }
 
-    console.log('[Database] 조회된 단어장 데이터:', data);
     console.log('[Database] 단어장 개수:', data ? data.length : 0);
 
     // 데이터를 Map 형태로 변환
     const vocabularyMap = new Map();
-    
-    if (data && data.length > 0) {
-      data.forEach(row => {
-        console.log('[Database] 단어 처리:', row.original_word);
-        vocabularyMap.set(row.original_word, {
-          original: row.original_word,
-          translation: row.translation,
-          description: row.description || '',
-          addedDate: row.created_at,
-          correctCount: row.correct_count || 0,
-          wrongCount: row.wrong_count || 0,
-          practiceTime: row.practice_time || 0,
-          lastStudied: row.last_studied
-        });
-      });
-      
-      console.log('[Database] Map 변환 완료 - 크기:', vocabularyMap.size);
-    } else {
-      console.log('[Database] 단어장 데이터 없음');
-    }
+    (data || []).forEach(row => {
+      vocabularyMap.set(row.original_word, mapVocabularyRow(row));
+    });
 
     return { success: true, vocabulary: vocabularyMap };
   } catch (error) {
@@ -768,13 +1003,18 @@ async function getUserVocabulary(userId) {
   }
 }
 
-// 개별 단어 추가
+// 개별 단어 추가 - 이미 있는 단어면 conflict와 함께 서버의 현재 단어 반환
 async function addUserWord(userId, wordData) {
   try {
     if (!supabase) {
       return { success: false, error: '데이터베이스 연결 실패' };
     }
 
+    const existing = await findUserWord(userId, wordData.original);
+    if (existing) {
+      return { success: false, conflict: true, error: '이미 등록된 단어입니다.', word: mapVocabularyRow(existing) };
+    }
+
     const { data, error } = await supabase
       .from('user_vocabulary')
       .insert([{
@@ -785,28 +1025,52 @@ async function addUserWord(userId, wordData) {
         correct_count: wordData.correctCount || 0,
         wrong_count: wordData.wrongCount || 0,
         practice_time: wordData.practiceTime || 0,
-        last_studied: wordData.lastStudied || null
+        last_studied: wordData.lastStudied || null,
+        ...vocabularyScheduleColumns(wordData),
+        deck: wordData.deck || null,
+        version: 1,
+        updated_at: new Date().toISOString()
       }])
       .select()
       .single();
 
-    if (error) throw error;
+    if (error) {
+      // 동시에 같은 단어를 추가한 경우 (unique 제약 위반)
+      if (error.code === '23505') {
+        const current = await findUserWord(userId, wordData.original);
+        return { success: false, conflict: true, error: '이미 등록된 단어입니다.', word: current ? mapVocabularyRow(current) : null };
+      }
+      throw error;
+    }
 
-    return { success: true, word: data };
+    return { success: true, word: mapVocabularyRow(data) };
   } catch (error) {
     console.error('단어 추가 실패:', error);
     return { success: false, error: error.message };
   }
 }
 
-// 개별 단어 업데이트
-async function updateUserWord(userId, originalWord, updateData) {
+// 개별 단어 업데이트 - expectedVersion이 서버 version과 다르면 conflict와 함께 서버의 현재 단어 반환
+async function updateUserWord(userId, originalWord, updateData, expectedVersion = null) {
   try {
     if (!supabase) {
       return { success: false, error: '데이터베이스 연결 실패' };
     }
 
-    const updateFields = {};
+    const current = await findUserWord(userId, originalWord);
+    if (!current) {
+      return { success: false, notFound: true, error: '단어를 찾을 수 없습니다.' };
+    }
+
+    const currentVersion = current.version || 1;
+    if (expectedVersion !== null && expectedVersion !== undefined && Number(expectedVersion) !== currentVersion) {
+      return { success: false, conflict: true, error: '다른 기기에서 먼저 수정된 단어입니다.', word: mapVocabularyRow(current) };
+    }
+
+    const updateFields = {
+      version: currentVersion + 1,
+      updated_at: new Date().toISOString()
+    };
     
     if (updateData.translation !== undefined) updateFields.translation = updateData.translation;
     if (updateData.description !== undefined) updateFields.description = updateData.description;
@@ -814,45 +1078,920 @@ async function updateUserWord(userId, originalWord, updateData) {
     if (updateData.wrongCount !== undefined) updateFields.wrong_count = updateData.wrongCount;
     if (updateData.practiceTime !== undefined) updateFields.practice_time = updateData.practiceTime;
     if (updateData.lastStudied !== undefined) updateFields.last_studied = updateData.lastStudied;
-
+    if (updateData.ease !== undefined) updateFields.ease_factor = updateData.ease;
+    if (updateData.interval !== undefined) updateFields.interval_days = updateData.interval;
+    if (updateData.repetitions !== undefined) updateFields.repetitions = updateData.repetitions;
+    if (updateData.dueDate !== undefined) updateFields.due_date = updateData.dueDate;
+    if (updateData.lapses !== undefined) updateFields.lapses = updateData.lapses;
+    if (updateData.deck !== undefined) updateFields.deck = updateData.deck || null;
+
+    // version 조건부 업데이트 - 조회와 업데이트 사이에 다른 요청이 끼어들면 0행이 갱신됨
     const { data, error } = await supabase
       .from('user_vocabulary')
       .update(updateFields)
       .eq('user_id', userId)
       .eq('original_word', originalWord)
-      .select()
-      .single();
+      .eq('version', currentVersion)
+      .select();
 
     if (error) throw error;
 
-    return { success: true, word: data };
+    if (!data || data.length === 0) {
+      const latest = await findUserWord(userId, originalWord);
+      return latest
+        ? { success: false, conflict: true, error: '다른 기기에서 먼저 수정된 단어입니다.', word: mapVocabularyRow(latest) }
+        : { success: false, notFound: true, error: '단어를 찾을 수 없습니다.' };
+    }
+
+    return { success: true, word: mapVocabularyRow(data[0]) };
   } catch (error) {
     console.error('단어 업데이트 실패:', error);
     return { success: false, error: error.message };
   }
 }
 
-// 개별 단어 삭제
-async function deleteUserWord(userId, originalWord) {
+// 개별 단어 삭제 - expectedVersion이 있으면 그 사이 다른 기기에서 수정된 단어는 지우지 않음
+async function deleteUserWord(userId, originalWord, expectedVersion = null) {
   try {
     if (!supabase) {
       return { success: false, error: '데이터베이스 연결 실패' };
     }
 
-    const { error } = await supabase
+    let query = supabase
       .from('user_vocabulary')
       .delete()
       .eq('user_id', userId)
       .eq('original_word', originalWord);
 
+    if (expectedVersion !== null && expectedVersion !== undefined) {
+      query = query.eq('version', Number(expectedVersion));
+    }
+
+    const { data, error } = await query.select();
+
     if (error) throw error;
 
+    if (!data || data.length === 0) {
+      const current = await findUserWord(userId, originalWord);
+      // 이미 삭제된 단어는 성공으로 처리 (여러 기기에서 같은 단어를 지운 경우)
+      if (!current) return { success: true, alreadyDeleted: true };
+      return { success: false, conflict: true, error: '다른 기기에서 수정된 단어입니다.', word: mapVocabularyRow(current) };
+    }
+
     return { success: true };
   } catch (error) {
     console.error('단어 삭제 실패:', error);
     return { success: false, error: error.message };
   }
 }
+// ===================================================
+// 📝 번역 피드백(사용자 교정) 관리 함수들
+// ===================================================
+
+const FEEDBACK_FUZZY_THRESHOLD = 0.6;
+const FEEDBACK_FUZZY_SCAN_LIMIT = 200;
+
+// 비교용 텍스트 정규화 (공백/대소문자 차이 무시)
+function normalizeForMatch(text) {
+  return (text || '').toString().trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function generateFeedbackKey(sourceText, targetLang) {
+  return crypto.createHash('sha256').update(`${normalizeForMatch(sourceText)}:${targetLang}`).digest('hex');
+}
+
+// 레벤슈타인 거리 (두 행만 유지하는 O(n) 메모리 버전)
+function levenshteinDistance(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  let curr = new Array(b.length + 1);
+
+  for (let i = 1; i <= a.length; i++) {
+    curr[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+    }
+    [prev, curr] = [curr, prev];
+  }
+  return prev[b.length];
+}
+
+// 0~1 사이 유사도 (1 = 동일)
+function calculateTextSimilarity(a, b) {
+  const s1 = normalizeForMatch(a);
+  const s2 = normalizeForMatch(b);
+  const maxLen = Math.max(s1.length, s2.length);
+  if (maxLen === 0) return 1;
+  return 1 - levenshteinDistance(s1, s2) / maxLen;
+}
+
+// 피드백 저장 (같은 원문+대상 언어는 최신 교정으로 덮어씀)
+async function saveTranslationFeedback(userId, feedback) {
+  try {
+    if (!supabase) {
+      return { success: false, error: '데이터베이스 연결 실패' };
+    }
+
+    const { data, error } = await supabase
+      .from('translation_feedback')
+      .upsert([{
+        user_id: userId,
+        source_hash: generateFeedbackKey(feedback.sourceText, feedback.targetLang),
+        source_text: feedback.sourceText.trim(),
+        target_lang: feedback.targetLang,
+        original_translation: feedback.originalTranslation || '',
+        corrected_translation: feedback.correctedTranslation.trim(),
+        updated_at: new Date().toISOString()
+      }], {
+        onConflict: 'user_id,source_hash',
+        ignoreDuplicates: false
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return { success: true, feedback: data };
+  } catch (error) {
+    console.error('번역 피드백 저장 실패:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// 피드백 조회: 정확 일치 우선, 없으면 유사 피드백 상위 N개
+async function findTranslationFeedback(userId, sourceText, targetLang, maxExamples = 3) {
+  try {
+    if (!supabase) {
+      return { success: false, error: '데이터베이스 연결 실패' };
+    }
+
+    const { data: exact, error: exactError } = await supabase
+      .from('translation_feedback')
+      .select('source_text, corrected_translation')
+      .eq('user_id', userId)
+      .eq('source_hash', generateFeedbackKey(sourceText, targetLang))
+      .limit(1);
+
+    if (exactError) throw exactError;
+
+    if (exact && exact.length > 0) {
+      return {
+        success: true,
+        matchType: 'exact',
+        correctedTranslation: exact[0].corrected_translation,
+        examples: []
+      };
+    }
+
+    const { data: candidates, error: listError } = await supabase
+      .from('translation_feedback')
+      .select('source_text, corrected_translation')
+      .eq('user_id', userId)
+      .eq('target_lang', targetLang)
+      .order('updated_at', { ascending: false })
+      .limit(FEEDBACK_FUZZY_SCAN_LIMIT);
+
+    if (listError) throw listError;
+
+    const examples = (candidates || [])
+      .map(row => ({
+        sourceText: row.source_text,
+        correctedTranslation: row.corrected_translation,
+        similarity: calculateTextSimilarity(sourceText, row.source_text)
+      }))
+      .filter(row => row.similarity >= FEEDBACK_FUZZY_THRESHOLD)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, maxExamples);
+
+    return {
+      success: true,
+      matchType: examples.length > 0 ? 'fuzzy' : null,
+      correctedTranslation: null,
+      examples
+    };
+  } catch (error) {
+    console.error('번역 피드백 조회 실패:', error);
+    return { success: false, error: error.message };
+  }
+}
+// ===================================================
+// 🧠 번역 메모리(TM) - 승인된 원문/번역 쌍 (개인 + 팀 공유)
+// ===================================================
+
+const TM_FUZZY_SCAN_LIMIT = 300;
+const TM_DEFAULT_MIN_MATCH = 70;
+
+// 소유 범위 키: 개인 TM은 user:<id>, 팀 TM은 team:<id>
+function translationMemoryOwnerKey(userId, teamId = null) {
+  return teamId ? `team:${teamId}` : `user:${userId}`;
+}
+
+// 0~100 일치율 (반올림으로 100%가 되지 않도록 내림)
+function calculateMatchPercent(a, b) {
+  return Math.floor(calculateTextSimilarity(a, b) * 100);
+}
+
+// 승인된 번역 저장 (같은 범위+원문+대상 언어는 최신 승인으로 덮어씀)
+async function saveTranslationMemory(userId, entry, teamId = null) {
+  try {
+    if (!supabase) {
+      return { success: false, error: '데이터베이스 연결 실패' };
+    }
+
+    const { data, error } = await supabase
+      .from('translation_memory')
+      .upsert([{
+        owner_key: translationMemoryOwnerKey(userId, teamId),
+        user_id: userId,
+        team_id: teamId,
+        source_hash: generateFeedbackKey(entry.sourceText, entry.targetLang),
+        source_text: entry.sourceText.trim(),
+        source_lang: entry.sourceLang || null,
+        target_lang: entry.targetLang,
+        target_text: entry.targetText.trim(),
+        pronunciation: entry.pronunciation || '',
+        updated_at: new Date().toISOString()
+      }], {
+        onConflict: 'owner_key,source_hash',
+        ignoreDuplicates: false
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return { success: true, entry: data };
+  } catch (error) {
+    console.error('번역 메모리 저장 실패:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+function toMemoryMatch(row, matchPercent) {
+  return {
+    id: row.id,
+    sourceText: row.source_text,
+    targetText: row.target_text,
+    pronunciation: row.pronunciation || '',
+    scope: row.team_id ? 'team' : 'user',
+    teamId: row.team_id || null,
+    matchPercent
+  };
+}
+
+// TM 조회: 정확 일치(100%) 우선, 이어서 편집 거리 기반 유사 일치 상위 N개
+// options.teamIds: 함께 검색할 팀 TM (개인 TM은 항상 포함)
+async function findTranslationMemory(userId, sourceText, targetLang, options = {}) {
+  const { teamIds = [], minMatch = TM_DEFAULT_MIN_MATCH, maxMatches = 3 } = options;
+
+  try {
+    if (!supabase) {
+      return { success: false, error: '데이터베이스 연결 실패' };
+    }
+
+    const ownerKeys = [
+      translationMemoryOwnerKey(userId),
+      ...teamIds.map(teamId => translationMemoryOwnerKey(userId, teamId))
+    ];
+
+    const { data: exact, error: exactError } = await supabase
+      .from('translation_memory')
+      .select('id, source_text, target_text, pronunciation, team_id, updated_at')
+      .in('owner_key', ownerKeys)
+      .eq('source_hash', generateFeedbackKey(sourceText, targetLang))
+      .order('updated_at', { ascending: false })
+      .limit(1);
+
+    if (exactError) throw exactError;
+
+    if (exact && exact.length > 0) {
+      return { success: true, exact: toMemoryMatch(exact[0], 100), matches: [] };
+    }
+
+    const { data: candidates, error: listError } = await supabase
+      .from('translation_memory')
+      .select('id, source_text, target_text, pronunciation, team_id')
+      .in('owner_key', ownerKeys)
+      .eq('target_lang', targetLang)
+      .order('updated_at', { ascending: false })
+      .limit(TM_FUZZY_SCAN_LIMIT);
+
+    if (listError) throw listError;
+
+    // 길이 차이만으로 최소 일치율을 넘을 수 없는 후보는 편집 거리 계산 생략
+    const inputLength = normalizeForMatch(sourceText).length;
+    const matches = (candidates || [])
+      .filter(row => {
+        const rowLength = normalizeForMatch(row.source_text).length;
+        const maxLength = Math.max(inputLength, rowLength);
+        return maxLength > 0 && Math.min(inputLength, rowLength) / maxLength * 100 >= minMatch;
+      })
+      .map(row => toMemoryMatch(row, calculateMatchPercent(sourceText, row.source_text)))
+      .filter(match => match.matchPercent >= minMatch)
+      .sort((a, b) => b.matchPercent - a.matchPercent)
+      .slice(0, maxMatches);
+
+    return { success: true, exact: null, matches };
+  } catch (error) {
+    console.error('번역 메모리 조회 실패:', error);
+    return { success: false, error: error.message };
+  }
+}
+// ===================================================
+// 👥 팀(워크스페이스) - 역할, 초대, 팀 용어집
+// ===================================================
+// teams(id, name, owner_id), team_members(team_id, user_id, role),
+// team_invitations(id, team_id, email, role, token, invited_by, expires_at, accepted_at),
+// team_glossary(team_id, source_term, target_term, source_lang, target_lang, term_details, updated_by, updated_at)
+// term_details(jsonb): { variants, forbidden, caseSensitive, partOfSpeech, notes, domain } - 없으면 null
+// source_lang/target_lang: 레지스트리 언어 이름 ('Korean', 'Vietnamese'), unique(team_id, source_term, source_lang, target_lang)
+// - 언어 칼럼이 없던 기존 행은 기본 쌍(한국어 → 베트남어)으로 취급
+
+const TEAM_ROLES = ['owner', 'editor', 'viewer'];
+const TEAM_INVITABLE_ROLES = ['editor', 'viewer'];
+const TEAM_INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_TEAM_GLOSSARY_TERMS = 2000;
+
+// 용어집/TM 수정 권한 (viewer는 조회만)
+function canEditTeamContent(role) {
+  return role === 'owner' || role === 'editor';
+}
+
+// 팀 생성 (생성자는 owner)
+async function createTeam(userId, name) {
+  try {
+    if (!supabase) {
+      return { success: false, error: '데이터베이스 연결 실패' };
+    }
+
+    const { data: team, error } = await supabase
+      .from('teams')
+      .insert([{ name: name.trim(), owner_id: userId }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const { error: memberError } = await supabase
+      .from('team_members')
+      .insert([{ team_id: team.id, user_id: userId, role: 'owner' }]);
+
+    if (memberError) throw memberError;
+
+    return { success: true, team: { id: team.id, name: team.name, role: 'owner' } };
+  } catch (error) {
+    console.error('팀 생성 실패:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// 사용자가 속한 팀 목록
+async function getUserTeams(userId) {
+  try {
+    if (!supabase) {
+      return { success: false, error: '데이터베이스 연결 실패' };
+    }
+
+    const { data: memberships, error } = await supabase
+      .from('team_members')
+      .select('team_id, role')
+      .eq('user_id', userId);
+
+    if (error) throw error;
+    if (!memberships || memberships.length === 0) return { success: true, teams: [] };
+
+    const { data: teams, error: teamError } = await supabase
+      .from('teams')
+      .select('id, name, owner_id')
+      .in('id', memberships.map(m => m.team_id));
+
+    if (teamError) throw teamError;
+
+    const roleByTeam = new Map(memberships.map(m => [m.team_id, m.role]));
+    return {
+      success: true,
+      teams: (teams || []).map(team => ({
+        id: team.id,
+        name: team.name,
+        ownerId: team.owner_id,
+        role: roleByTeam.get(team.id)
+      }))
+    };
+  } catch (error) {
+    console.error('팀 목록 조회 실패:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// 팀 내 사용자 역할 (멤버가 아니면 role: null)
+async function getTeamMembership(userId, teamId) {
+  try {
+    if (!supabase) {
+      return { success: false, error: '데이터베이스 연결 실패' };
+    }
+
+    const { data, error } = await supabase
+      .from('team_members')
+      .select('role')
+      .eq('team_id', teamId)
+      .eq('user_id', userId)
+      .limit(1);
+
+    if (error) throw error;
+
+    return { success: true, role: data && data.length > 0 ? data[0].role : null };
+  } catch (error) {
+    console.error('팀 멤버십 조회 실패:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+async function getTeamMembers(teamId) {
+  try {
+    if (!supabase) {
+      return { success: false, error: '데이터베이스 연결 실패' };
+    }
+
+    const { data, error } = await supabase
+      .from('team_members')
+      .select('user_id, role, created_at')
+      .eq('team_id', teamId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    return {
+      success: true,
+      members: (data || []).map(row => ({ userId: row.user_id, role: row.role, joinedAt: row.created_at }))
+    };
+  } catch (error) {
+    console.error('팀 멤버 조회 실패:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// 초대 생성 - 토큰은 초대받은 이메일로 로그인한 사용자만 수락 가능
+async function createTeamInvitation(teamId, invitedBy, email, role = 'viewer') {
+  try {
+    if (!supabase) {
+      return { success: false, error: '데이터베이스 연결 실패' };
+    }
+    if (!TEAM_INVITABLE_ROLES.includes(role)) {
+      return { success: false, error: `초대할 수 없는 역할입니다: ${role}` };
+    }
+
+    const { data, error } = await supabase
+      .from('team_invitations')
+      .insert([{
+        team_id: teamId,
+        email: email.toLowerCase().trim(),
+        role,
+        token: crypto.randomBytes(24).toString('hex'),
+        invited_by: invitedBy,
+        expires_at: new Date(Date.now() + TEAM_INVITATION_TTL_MS).toISOString()
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return {
+      success: true,
+      invitation: { id: data.id, teamId, email: data.email, role: data.role, token: data.token, expiresAt: data.expires_at }
+    };
+  } catch (error) {
+    console.error('팀 초대 생성 실패:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+async function acceptTeamInvitation(userId, email, token) {
+  try {
+    if (!supabase) {
+      return { success: false, error: '데이터베이스 연결 실패' };
+    }
+
+    const { data, error } = await supabase
+      .from('team_invitations')
+      .select('*')
+      .eq('token', token)
+      .limit(1);
+
+    if (error) throw error;
+
+    const invitation = data && data[0];
+    if (!invitation || invitation.accepted_at) {
+      return { success: false, error: '유효하지 않거나 이미 사용된 초대입니다.' };
+    }
+    if (new Date(invitation.expires_at).getTime() < Date.now()) {
+      return { success: false, error: '만료된 초대입니다.' };
+    }
+    if (invitation.email !== (email || '').toLowerCase().trim()) {
+      return { success: false, error: '초대받은 이메일 계정으로 로그인해야 합니다.' };
+    }
+
+    // 이미 멤버면 역할을 바꾸지 않음 (owner 강등 방지)
+    const membership = await getTeamMembership(userId, invitation.team_id);
+    if (!membership.success) return membership;
+
+    if (!membership.role) {
+      const { error: memberError } = await supabase
+        .from('team_members')
+        .insert([{ team_id: invitation.team_id, user_id: userId, role: invitation.role }]);
+
+      if (memberError) throw memberError;
+    }
+
+    const { error: updateError } = await supabase
+      .from('team_invitations')
+      .update({ accepted_at: new Date().toISOString() })
+      .eq('id', invitation.id);
+
+    if (updateError) throw updateError;
+
+    return { success: true, teamId: invitation.team_id, role: membership.role || invitation.role };
+  } catch (error) {
+    console.error('팀 초대 수락 실패:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+async function updateTeamMemberRole(teamId, memberId, role) {
+  try {
+    if (!supabase) {
+      return { success: false, error: '데이터베이스 연결 실패' };
+    }
+    if (!TEAM_INVITABLE_ROLES.includes(role)) {
+      return { success: false, error: `지정할 수 없는 역할입니다: ${role}` };
+    }
+
+    const { data, error } = await supabase
+      .from('team_members')
+      .update({ role })
+      .eq('team_id', teamId)
+      .eq('user_id', memberId)
+      .neq('role', 'owner')
+      .select();
+
+    if (error) throw error;
+    if (!data || data.length === 0) {
+      return { success: false, error: '변경할 수 있는 팀 멤버가 없습니다.' };
+    }
+
+    return { success: true };
+  } catch (error) {
+    console.error('팀 멤버 역할 변경 실패:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// 멤버 제거 (owner는 제거 불가 - 팀 삭제로만 정리)
+async function removeTeamMember(teamId, memberId) {
+  try {
+    if (!supabase) {
+      return { success: false, error: '데이터베이스 연결 실패' };
+    }
+
+    // owner이거나 멤버가 아니면 지워진 행이 없음 - 성공으로 돌려주지 않도록 삭제된 행 확인
+    const { data, error } = await supabase
+      .from('team_members')
+      .delete()
+      .eq('team_id', teamId)
+      .eq('user_id', memberId)
+      .neq('role', 'owner')
+      .select('user_id');
+
+    if (error) throw error;
+
+    if (!data || data.length === 0) {
+      return { success: false, notFound: true, error: '제거할 멤버가 없습니다. (owner는 제거할 수 없습니다)' };
+    }
+
+    return { success: true };
+  } catch (error) {
+    console.error('팀 멤버 제거 실패:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// 팀 용어 언어 쌍 → { sourceLang, targetLang } (지원하지 않는 언어나 같은 언어 쌍이면 null)
+function teamGlossaryPair(sourceLang, targetLang) {
+  const source = LanguageRegistry.getLanguage(sourceLang || LanguageRegistry.DEFAULT_SOURCE_LANGUAGE);
+  const target = LanguageRegistry.getLanguage(targetLang || LanguageRegistry.DEFAULT_TARGET_LANGUAGE);
+  if (!source || !target || source.name === target.name) return null;
+  return { sourceLang: source.name, targetLang: target.name };
+}
+
+async function getTeamGlossary(teamIds) {
+  try {
+    if (!supabase) {
+      return { success: false, error: '데이터베이스 연결 실패' };
+    }
+
+    const ids = Array.isArray(teamIds) ? teamIds : [teamIds];
+    if (ids.length === 0) return { success: true, terms: [] };
+
+    const { data, error } = await supabase
+      .from('team_glossary')
+      .select('team_id, source_term, target_term, source_lang, target_lang, term_details, updated_at')
+      .in('team_id', ids)
+      .order('updated_at', { ascending: false })
+      .limit(MAX_TEAM_GLOSSARY_TERMS);
+
+    if (error) throw error;
+
+    return {
+      success: true,
+      terms: (data || []).map(row => ({
+        teamId: row.team_id,
+        source: row.source_term,
+        target: row.target_term,
+        sourceLang: row.source_lang || LanguageRegistry.DEFAULT_SOURCE_LANGUAGE,
+        targetLang: row.target_lang || LanguageRegistry.DEFAULT_TARGET_LANGUAGE,
+        details: row.term_details || null
+      }))
+    };
+  } catch (error) {
+    console.error('팀 용어집 조회 실패:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// 팀 용어 저장 - terms: [[원문, 번역, 상세정보?], ...], [{ source, target, variants, ... }] 또는 { 원문: 번역 }
+// sourceLang/targetLang: 이번에 저장하는 용어들의 언어 쌍 (없으면 한국어 → 베트남어)
+async function saveTeamGlossaryTerms(teamId, userId, terms, { sourceLang, targetLang } = {}) {
+  try {
+    if (!supabase) {
+      return { success: false, error: '데이터베이스 연결 실패' };
+    }
+
+    const pair = teamGlossaryPair(sourceLang, targetLang);
+    if (!pair) {
+      return { success: false, error: '지원하지 않는 언어 쌍입니다.' };
+    }
+
+    const items = Array.isArray(terms) ? terms : Object.entries(terms || {});
+    const rows = items
+      .map(item => {
+        if (Array.isArray(item)) {
+          const [source, target, details] = item;
+          return normalizeEntry({ ...(details && typeof details === 'object' ? details : {}), source, target });
+        }
+        return item && typeof item === 'object' ? normalizeEntry(item) : null;
+      })
+      .filter(entry => entry && entry.source && entry.target)
+      .map(entry => ({
+        team_id: teamId,
+        source_term: entry.source,
+        target_term: entry.target,
+        source_lang: pair.sourceLang,
+        target_lang: pair.targetLang,
+        term_details: entryDetails(entry),
+        updated_by: userId,
+        updated_at: new Date().toISOString()
+      }));
+
+    if (rows.length === 0) {
+      return { success: false, error: '저장할 용어가 없습니다.' };
+    }
+    if (rows.length > MAX_TEAM_GLOSSARY_TERMS) {
+      return { success: false, error: `한 번에 최대 ${MAX_TEAM_GLOSSARY_TERMS}개까지 저장할 수 있습니다.` };
+    }
+
+    const { error } = await supabase
+      .from('team_glossary')
+      .upsert(rows, { onConflict: 'team_id,source_term,source_lang,target_lang', ignoreDuplicates: false });
+
+    if (error) throw error;
+
+    return { success: true, savedCount: rows.length };
+  } catch (error) {
+    console.error('팀 용어집 저장 실패:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+async function deleteTeamGlossaryTerm(teamId, sourceTerm, { sourceLang, targetLang } = {}) {
+  try {
+    if (!supabase) {
+      return { success: false, error: '데이터베이스 연결 실패' };
+    }
+
+    const pair = teamGlossaryPair(sourceLang, targetLang);
+    if (!pair) {
+      return { success: false, error: '지원하지 않는 언어 쌍입니다.' };
+    }
+
+    const { error } = await supabase
+      .from('team_glossary')
+      .delete()
+      .eq('team_id', teamId)
+      .eq('source_term', sourceTerm)
+      .eq('source_lang', pair.sourceLang)
+      .eq('target_lang', pair.targetLang);
+
+    if (error) throw error;
+
+    return { success: true };
+  } catch (error) {
+    console.error('팀 용어 삭제 실패:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// 번역 요청용 팀 컨텍스트: 소속 팀 ID + 팀 용어집 (translate.js에서 개인 용어와 병합)
+async function getTeamContext(userId) {
+  const teamsResult = await getUserTeams(userId);
+  if (!teamsResult.success) return { success: false, error: teamsResult.error, teamIds: [], terminology: [] };
+
+  const teamIds = teamsResult.teams.map(team => team.id);
+  const glossaryResult = await getTeamGlossary(teamIds);
+
+  return {
+    success: true,
+    teams: teamsResult.teams,
+    teamIds,
+    terminology: glossaryResult.success ? glossaryResult.terms : []
+  };
+}
+// ===================================================
+// 🔄 오프라인 동기화 (단어장 · 설정 · AI 설정 · 번역 기록)
+// ===================================================
+// sync_records(user_id, collection, record_key, data jsonb, deleted, updated_at, device_id, synced_at, sync_seq bigint)
+// - unique(user_id, collection, record_key). 삭제는 행을 지우지 않고 deleted=true(tombstone)로 남겨서 다른 기기가 pull로 알 수 있게 함
+// - updated_at/device_id: 클라이언트가 변경한 시각과 기기 (충돌 판정용)
+// - sync_seq: pull 커서. insert/update마다 DB 트리거가 시퀀스 값을 새로 매김 (synced_at도 같은 트리거에서 now())
+//   create sequence sync_records_seq;
+//   create function bump_sync_seq() returns trigger as $$
+//   begin new.sync_seq := nextval('sync_records_seq'); new.synced_at := now(); return new; end $$ language plpgsql;
+//   create trigger sync_records_seq before insert or update on sync_records for each row execute function bump_sync_seq();
+//   함수 인스턴스의 시계(Date.now)로 커서를 만들면 동시에 쓴 레코드가 이미 지나간 커서 뒤에 끼어서 다른 기기가 못 받음
+
+function mapSyncRow(row) {
+  return {
+    collection: row.collection,
+    key: row.record_key,
+    data: row.deleted ? null : (row.data || {}),
+    deleted: Boolean(row.deleted),
+    updatedAt: SyncProtocol.toTimestamp(row.updated_at),
+    deviceId: row.device_id || '',
+    syncedAt: row.synced_at,
+    syncSeq: row.sync_seq
+  };
+}
+
+// → { syncedAt, syncSeq } (DB 트리거가 매긴 값)
+async function writeSyncRecord(userId, record) {
+  const { data, error } = await supabase
+    .from('sync_records')
+    .upsert([{
+      user_id: userId,
+      collection: record.collection,
+      record_key: record.key,
+      data: record.deleted ? null : record.data,
+      deleted: record.deleted,
+      updated_at: new Date(record.updatedAt).toISOString(),
+      device_id: record.deviceId
+    }], { onConflict: 'user_id,collection,record_key', ignoreDuplicates: false })
+    .select('synced_at, sync_seq')
+    .single();
+
+  if (error) throw error;
+  return { syncedAt: data.synced_at, syncSeq: data.sync_seq };
+}
+
+// 기존 테이블(대시보드, get-user-data, 번역 API가 읽는 곳)에도 반영
+async function mirrorSyncRecord(userId, record, isNew) {
+  switch (record.collection) {
+    case 'vocabulary':
+      if (record.deleted) return deleteUserWord(userId, record.key);
+      return saveUserVocabulary(userId, [[record.key, record.data]]);
+    case 'settings':
+      return record.deleted ? null : saveUserSettings(userId, record.data);
+    case 'aiSettings':
+      return record.deleted ? null : saveUserAISettings(userId, record.data);
+    case 'history':
+      // 번역 기록은 추가만 반영 (기존 테이블은 최근 50개만 유지)
+      return !record.deleted && isNew ? saveTranslationHistory(userId, record.data) : null;
+    default:
+      return null;
+  }
+}
+
+// 서버 API(add-word 등)로 바뀐 레코드를 동기화 로그에 기록 - 다른 기기가 pull로 받아감
+async function recordSyncChange(userId, collection, key, data, deleted = false) {
+  try {
+    if (!supabase) {
+      return { success: false, error: '데이터베이스 연결 실패' };
+    }
+
+    const record = SyncProtocol.normalizeRecord({ collection, key, data, deleted, updatedAt: Date.now(), deviceId: 'server' });
+    Object.assign(record, await writeSyncRecord(userId, record));
+    return { success: true, record };
+  } catch (error) {
+    console.error('동기화 기록 실패:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// push: 클라이언트 변경 목록을 충돌 규칙(SyncProtocol.resolveRecord)으로 병합
+// 결과마다 서버에 남은 최종 레코드를 돌려줘서 클라이언트가 같은 상태로 맞춤
+async function pushSyncChanges(userId, changes) {
+  try {
+    if (!supabase) {
+      return { success: false, error: '데이터베이스 연결 실패' };
+    }
+
+    const list = Array.isArray(changes) ? changes : [];
+    if (list.length > SyncProtocol.MAX_PUSH_CHANGES) {
+      return { success: false, error: `한 번에 최대 ${SyncProtocol.MAX_PUSH_CHANGES}개까지 보낼 수 있습니다.` };
+    }
+
+    const results = [];
+
+    for (let i = 0; i < list.length; i++) {
+      const change = list[i] || {};
+      const incoming = SyncProtocol.normalizeRecord(change);
+      const invalid = SyncProtocol.validateRecord(incoming);
+      if (invalid) {
+        results.push({ changeId: change.changeId, status: 'rejected', error: invalid });
+        continue;
+      }
+
+      const { data: currentRow, error } = await supabase
+        .from('sync_records')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('collection', incoming.collection)
+        .eq('record_key', incoming.key)
+        .maybeSingle();
+
+      if (error) throw error;
+
+      const current = currentRow ? mapSyncRow(currentRow) : null;
+      const { record, outcome } = SyncProtocol.resolveRecord(current, incoming);
+
+      if (outcome !== 'stale') {
+        Object.assign(record, await writeSyncRecord(userId, record));
+
+        const mirrored = await mirrorSyncRecord(userId, record, !current || current.deleted);
+        if (mirrored && mirrored.success === false) {
+          console.error(`[Sync] ${record.collection} 기존 테이블 반영 실패:`, mirrored.error);
+        }
+      }
+
+      results.push({ changeId: change.changeId, status: outcome, record: outcome === 'stale' ? current : record });
+    }
+
+    return { success: true, results };
+  } catch (error) {
+    console.error('동기화 push 실패:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// pull: cursor(마지막으로 받은 sync_seq) 이후 바뀐 레코드
+// sync_seq는 행마다 달라서 커서 다음 값부터(gt) 조회. 숫자가 아닌 이전 커서(synced_at 시각)는 처음부터 다시 받음
+// - 같은 레코드를 다시 받아도 병합 결과는 같음
+async function pullSyncChanges(userId, cursor = null, limit = SyncProtocol.MAX_PULL_CHANGES) {
+  try {
+    if (!supabase) {
+      return { success: false, error: '데이터베이스 연결 실패' };
+    }
+
+    const pageSize = Math.min(Math.max(Number(limit) || SyncProtocol.MAX_PULL_CHANGES, 1), SyncProtocol.MAX_PULL_CHANGES);
+    let query = supabase
+      .from('sync_records')
+      .select('*')
+      .eq('user_id', userId);
+
+    const afterSeq = /^\d+$/.test(String(cursor ?? '')) ? String(cursor) : null;
+    if (afterSeq) query = query.gt('sync_seq', afterSeq);
+
+    const { data, error } = await query
+      .order('sync_seq', { ascending: true })
+      .limit(pageSize);
+
+    if (error) throw error;
+
+    const changes = (data || []).map(mapSyncRow);
+    const nextCursor = changes.length > 0 ? String(changes[changes.length - 1].syncSeq) : afterSeq;
+
+    return {
+      success: true,
+      changes,
+      cursor: nextCursor,
+      hasMore: changes.length === pageSize
+    };
+  } catch (error) {
+    console.error('동기화 pull 실패:', error);
+    return { success: false, error: error.message };
+  }
+}
 module.exports = {
   supabase,
   createUser,
@@ -861,6 +2000,10 @@ module.exports = {
   saveUserApiKey,
   getUserApiKey,
   trackUsage,
+  recordUsageLedger,
+  getUsageLedger,
+  getApiKeyOwners,
+  getBudgetStatus,
   getPublicCache,
   setPublicCache,
   encryptApiKey,
@@ -877,5 +2020,31 @@ module.exports = {
   saveUserAISettings,
   getUserAISettings,
   saveTranslationHistory,
-  getUserTranslationHistory
+  getUserTranslationHistory,
+  // ✨ 번역 피드백 함수들
+  saveTranslationFeedback,
+  findTranslationFeedback,
+  calculateTextSimilarity,
+  // 🧠 번역 메모리 함수들
+  saveTranslationMemory,
+  findTranslationMemory,
+  // 👥 팀 함수들
+  TEAM_ROLES,
+  canEditTeamContent,
+  createTeam,
+  getUserTeams,
+  getTeamMembership,
+  getTeamMembers,
+  createTeamInvitation,
+  acceptTeamInvitation,
+  updateTeamMemberRole,
+  removeTeamMember,
+  getTeamGlossary,
+  saveTeamGlossaryTerms,
+  deleteTeamGlossaryTerm,
+  getTeamContext,
+  // 🔄 오프라인 동기화 함수들
+  recordSyncChange,
+  pushSyncChanges,
+  pullSyncChanges
 };
\ No newline at end of file
@@ -0,0 +1,351 @@
+// document-formats.js - 문서 번역용 파일 포맷 파서/생성기 (.txt, .srt, .docx)
+// 각 파서는 { units, template }를 반환하고, buildDocument가 번역 결과로 같은 포맷의 파일을 다시 만든다.
+// units: [{ id, text }] - 번역 대상 텍스트 단위 (txt: 줄, srt: 자막 큐, docx: 문단)
+const zlib = require('zlib');
+
+const DOCUMENT_MIME_TYPES = {
+  txt: 'text/plain; charset=utf-8',
+  srt: 'application/x-subrip; charset=utf-8',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+};
+
+function detectDocumentFormat(fileName = '') {
+  const ext = (fileName.split('.').pop() || '').toLowerCase();
+  return DOCUMENT_MIME_TYPES[ext] ? ext : null;
+}
+
+function decodeText(buffer) {
+  // UTF-8 BOM 제거
+  return buffer.toString('utf8').replace(/^\uFEFF/, '');
+}
+
+// ===================================================
+// 📄 TXT - 줄 단위, 들여쓰기/빈 줄/줄바꿈 형식 유지
+// ===================================================
+
+function parseTxt(buffer) {
+  const content = decodeText(buffer);
+  const newline = content.includes('\r\n') ? '\r\n' : '\n';
+  const lines = content.split(/\r?\n/);
+  const units = [];
+
+  const template = lines.map((line, index) => {
+    const match = line.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    if (!match[2]) return { raw: line };
+
+    const id = `l${index}`;
+    units.push({ id, text: match[2] });
+    return { id, leading: match[1], trailing: match[3] };
+  });
+
+  return { units, template: { lines: template, newline } };
+}
+
+function buildTxt(template, translations) {
+  const text = template.lines.map(line => {
+    if (!line.id) return line.raw;
+    return line.leading + translations.get(line.id) + line.trailing;
+  }).join(template.newline);
+
+  return Buffer.from(text, 'utf8');
+}
+
+// ===================================================
+// 🎬 SRT - 자막 번호와 타임코드는 그대로, 자막 텍스트만 번역
+// ===================================================
+
+const SRT_TIMING_REGEX = /^\d{1,2}:\d{2}:\d{2}[,.]\d{1,3}\s*-->\s*\d{1,2}:\d{2}:\d{2}[,.]\d{1,3}/;
+
+function parseSrt(buffer) {
+  const content = decodeText(buffer).replace(/\r\n/g, '\n').trim();
+  const blocks = content.split(/\n\s*\n/);
+  const units = [];
+
+  const cues = blocks.map((block, index) => {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex(line => SRT_TIMING_REGEX.test(line.trim()));
+
+    // 타임코드가 없는 블록은 손상된 큐로 보고 원문 그대로 유지
+    if (timingIndex === -1) return { raw: block };
+
+    const header = lines.slice(0, timingIndex + 1);
+    const text = lines.slice(timingIndex + 1).join('\n').trim();
+    if (!text) return { raw: block };
+
+    const id = `c${index}`;
+    units.push({ id, text });
+    return { id, header };
+  });
+
+  if (units.length === 0) {
+    throw new Error('유효한 SRT 자막을 찾을 수 없습니다.');
+  }
+
+  return { units, template: { cues } };
+}
+
+function buildSrt(template, translations) {
+  const text = template.cues.map(cue => {
+    if (!cue.id) return cue.raw;
+    return [...cue.header, translations.get(cue.id)].join('\n');
+  }).join('\n\n');
+
+  return Buffer.from(text + '\n', 'utf8');
+}
+
+// ===================================================
+// 📦 ZIP (DOCX 컨테이너) 읽기/쓰기 - 외부 의존성 없이 zlib만 사용
+// ===================================================
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC32_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function readZip(buffer) {
+  // End of Central Directory 레코드를 뒤에서부터 탐색
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw new Error('올바른 DOCX(ZIP) 파일이 아닙니다.');
+
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  const entries = [];
+
+  for (let i = 0; i < entryCount; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error('DOCX 중앙 디렉터리가 손상되었습니다.');
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    const localNameLength = buffer.readUInt16LE(localOffset + 26);
+    const localExtraLength = buffer.readUInt16LE(localOffset + 28);
+    const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+    const raw = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    let data;
+    if (method === 0) data = Buffer.from(raw);
+    else if (method === 8) data = zlib.inflateRawSync(raw);
+    else throw new Error(`지원하지 않는 ZIP 압축 방식: ${method}`);
+
+    entries.push({ name, data });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+function writeZip(entries) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const { name, data } of entries) {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const checksum = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);          // version needed
+    local.writeUInt16LE(0x0800, 6);      // UTF-8 파일명
+    local.writeUInt16LE(8, 8);           // deflate
+    local.writeUInt32LE(0, 10);          // 수정 시각/날짜
+    local.writeUInt32LE(checksum, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);        // version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(0, 12);
+    central.writeUInt32LE(checksum, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, nameBuffer, compressed);
+    centralParts.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + compressed.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+// ===================================================
+// 📝 DOCX - 문단 단위 번역, 문단 스타일(w:pPr)과 첫 번째 run 서식 유지
+// ===================================================
+
+const DOCX_BODY_PATH = 'word/document.xml';
+// 문단 여닫는 태그 - 텍스트 상자(w:txbxContent) 안의 문단은 바깥 문단 안에 중첩되므로 깊이를 따라가며 짝을 맞춤
+const DOCX_PARAGRAPH_TAG_REGEX = /<w:p(?:\s[^>]*)?>|<\/w:p>/g;
+const DOCX_TEXT_REGEX = /<w:t(?:\s[^>]*)?>([\s\S]*?)<\/w:t>/g;
+
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+}
+
+function encodeXml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+// 문단 트리 구성: { start, end, children } (짝이 맞지 않는 태그는 무시)
+function scanDocxParagraphs(xml) {
+  const roots = [];
+  const stack = [];
+  const attach = paragraph => (stack.length ? stack[stack.length - 1].children : roots).push(paragraph);
+
+  for (const match of xml.matchAll(DOCX_PARAGRAPH_TAG_REGEX)) {
+    const tag = match[0];
+    if (tag === '</w:p>') {
+      const paragraph = stack.pop();
+      if (!paragraph) continue;
+      paragraph.end = match.index + tag.length;
+      attach(paragraph);
+    } else if (tag.endsWith('/>')) {
+      attach({ start: match.index, end: match.index + tag.length, children: [] });
+    } else {
+      stack.push({ start: match.index, end: null, children: [] });
+    }
+  }
+  return roots;
+}
+
+// 문단마다 fn(자기 XML 조각들, 문단 번호)을 호출하고 돌려받은 조각으로 문서 XML 재구성
+// 중첩 문단은 바깥 문단의 조각에서 빠지고 따로 호출됨 (번호는 여는 태그 순서)
+function mapDocxParagraphs(xml, fn) {
+  let index = 0;
+  const rewrite = paragraph => {
+    const pieces = [];
+    let cursor = paragraph.start;
+    paragraph.children.forEach(child => {
+      pieces.push(xml.slice(cursor, child.start));
+      cursor = child.end;
+    });
+    pieces.push(xml.slice(cursor, paragraph.end));
+
+    return fn(pieces, index++)
+      .map((piece, i) => i < paragraph.children.length ? piece + rewrite(paragraph.children[i]) : piece)
+      .join('');
+  };
+
+  let output = '';
+  let cursor = 0;
+  scanDocxParagraphs(xml).forEach(paragraph => {
+    output += xml.slice(cursor, paragraph.start) + rewrite(paragraph);
+    cursor = paragraph.end;
+  });
+  return output + xml.slice(cursor);
+}
+
+function parseDocx(buffer) {
+  const entries = readZip(buffer);
+  const body = entries.find(entry => entry.name === DOCX_BODY_PATH);
+  if (!body) throw new Error('DOCX 본문(word/document.xml)을 찾을 수 없습니다.');
+
+  const xml = body.data.toString('utf8');
+  const units = [];
+
+  mapDocxParagraphs(xml, (pieces, index) => {
+    const text = pieces.flatMap(piece => Array.from(piece.matchAll(DOCX_TEXT_REGEX))).map(m => decodeXml(m[1])).join('');
+    if (text.trim()) units.push({ id: `p${index}`, text: text.trim() });
+    return pieces;
+  });
+
+  return { units, template: { entries, xml } };
+}
+
+function buildDocx(template, translations) {
+  const xml = mapDocxParagraphs(template.xml, (pieces, index) => {
+    const id = `p${index}`;
+    if (!translations.has(id)) return pieces;
+
+    // 번역문은 첫 번째 텍스트 run에 넣고 나머지 run의 텍스트는 비움
+    let first = true;
+    return pieces.map(piece => piece.replace(DOCX_TEXT_REGEX, () => {
+      if (!first) return '<w:t></w:t>';
+      first = false;
+      return `<w:t xml:space="preserve">${encodeXml(translations.get(id))}</w:t>`;
+    }));
+  });
+
+  return writeZip(template.entries.map(entry =>
+    entry.name === DOCX_BODY_PATH ? { name: entry.name, data: Buffer.from(xml, 'utf8') } : entry
+  ));
+}
+
+// ===================================================
+// 공통 진입점
+// ===================================================
+
+const PARSERS = { txt: parseTxt, srt: parseSrt, docx: parseDocx };
+const BUILDERS = { txt: buildTxt, srt: buildSrt, docx: buildDocx };
+
+function parseDocument(format, buffer) {
+  const parser = PARSERS[format];
+  if (!parser) throw new Error(`지원하지 않는 문서 형식: ${format}`);
+  return parser(buffer);
+}
+
+// translations: Map(id → 번역문). 누락된 단위는 호출 측에서 원문으로 채워서 전달
+function buildDocument(format, template, translations) {
+  const builder = BUILDERS[format];
+  if (!builder) throw new Error(`지원하지 않는 문서 형식: ${format}`);
+  return builder(template, translations);
+}
+
+module.exports = {
+  DOCUMENT_MIME_TYPES,
+  detectDocumentFormat,
+  parseDocument,
+  buildDocument
+};
@@ -12,16 +12,77 @@ try {
   fetchFn = globalThis.fetch || null;
 }
 
+// 🚀 응답 스트리밍 래퍼 (Netlify Lambda 스트리밍 런타임에서만 사용 가능)
+let streamifyHandler = null;
+try {
+  streamifyHandler = require('@netlify/functions').stream;
+} catch (e) {
+  streamifyHandler = null;
+}
+const { Readable } = require('stream');
+
 // 🔧 추가: 데이터베이스 연결
 const { 
   verifyToken, 
   getUserApiKey, 
   trackUsage, 
+  recordUsageLedger,
   getPublicCache, 
-  setPublicCache 
+  setPublicCache,
+  saveTranslationFeedback,
+  findTranslationFeedback,
+  saveTranslationMemory,
+  findTranslationMemory,
+  canEditTeamContent,
+  getTeamMembership,
+  getTeamContext,
+  getBudgetStatus
 } = require('./database');
+const { DOCUMENT_MIME_TYPES, detectDocumentFormat, parseDocument, buildDocument } = require('./document-formats');
+// 🔍 클라이언트(autoDetectBadge)와 같은 언어 감지 로직 공유
+const { detectLanguage, describeSourceLanguage } = require('../../js/language-detector');
+// 🌐 지원 언어별 TTS 코드/음성, 발음 표기 규칙 (클라이언트 언어 선택 목록과 같은 레지스트리)
+const {
+  getLanguage,
+  getLanguageByTTSCode,
+  ttsLanguageCode,
+  defaultTTSVoice,
+  voiceGender,
+  speechLocale,
+  pronunciationInstruction
+} = require('../../js/language-registry');
+// 📚 용어 항목 정규화/원문 매칭/금지 번역어 검사 (클라이언트 용어집 가져오기와 같은 모듈)
+const {
+  normalizeEntry,
+  findTermIndex,
+  termSources,
+  matchTermEntry,
+  findForbiddenRenderings,
+  resolveDomainCategories,
+  entriesFromTerminologyData
+} = require('../../js/glossary-formats');
+// 🎤 발음 평가 (음절 정렬 + 성조 판정) - 브라우저 로컬 대체 채점기와 같은 모듈
+const { splitSyllables, isTonalLanguage, scorePronunciation, scoreAcousticPronunciation } = require('../../js/pronunciation-scorer');
+// 🎵 녹음 음높이로 성조 판정 (브라우저 로컬 채점과 같은 분석)
+const ToneAnalyzer = require('../../js/tone-analyzer');
+// 🔤 규칙 기반 한글 음역 (클라이언트 단어장 발음 표기와 같은 모듈)
+const HangulTransliterator = require('../../js/hangul-transliterator');
+// 🔗 원문 ↔ 번역문 단어 정렬 위치 계산 (클라이언트 번역 결과 단어 탭과 같은 모듈)
+const { normalizeAlignment } = require('../../js/word-alignment');
+// 💵 모델별 요금표 (클라이언트 사용량 대시보드와 같은 요금)
+const {
+  DEFAULT_OPENAI_TTS_MODEL,
+  normalizeTokenUsage,
+  chatCost,
+  ttsCost,
+  transcriptionCost,
+  estimateTokens,
+  estimateChatCost
+} = require('../../js/model-pricing');
+const { AsyncLocalStorage } = require('async_hooks');
 
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY || '';
+const GEMINI_API_KEY = process.env.GEMINI_API_KEY || '';
 const GOOGLE_TTS_API_KEY = process.env.GOOGLE_TTS_API_KEY || '';
 const MAX_INPUT_CHARS = 6000;
 const TRANSLATION_CACHE_TTL_MS = 1000 * 60 * 60;
@@ -42,12 +103,37 @@ function getCache(key) {
   return entry.value;
 }
 
+// 프롬프트용 원문 언어 (혼용 입력이면 "Korean (code-mixed with English)" 형태)
 function detectSourceLanguage(text) {
-  const koreanRegex = /[가-힣]/;
-  const vietnameseRegex = /[àáạảãâầấậẩẫăằắặẳẵèéẹẻẽêềếệểễìíịỉĩòóọỏõôồốộổỗơờớợởỡùúụủũưừứựửữỳýỵỷỹđĐ]/i;
-  if (koreanRegex.test(text)) return "Korean";
-  if (vietnameseRegex.test(text)) return "Vietnamese";
-  return "English";
+  return describeSourceLanguage(detectLanguage(text));
+}
+
+// 🔤 규칙만으로 정확한 언어(베트남어)는 모델에 발음을 요청하지 않고 직접 생성 (출력 토큰 절약)
+// PRONUNCIATION_TRANSLITERATION=off 이면 기존처럼 모델 발음 그대로 사용
+function transliterationEnabled() {
+  return process.env.PRONUNCIATION_TRANSLITERATION !== 'off';
+}
+
+function usesLocalPronunciation(targetLang) {
+  return transliterationEnabled() && HangulTransliterator.isReliable(targetLang);
+}
+
+// 모델 발음 → 최종 발음: 로컬 생성 언어(베트남어)는 규칙 결과
+// 그 밖의 지원 언어(영어)는 규칙이 아직 불완전해서 대체하지 않고, 규칙 결과와 크게 다를 때 경고만 남김
+function resolvePronunciation(translation, targetLang, modelPronunciation = '') {
+  if (!transliterationEnabled() || !translation || !HangulTransliterator.supports(targetLang)) return modelPronunciation;
+  if (usesLocalPronunciation(targetLang)) return HangulTransliterator.transliterate(translation, targetLang);
+
+  const check = HangulTransliterator.validatePronunciation(translation, targetLang, modelPronunciation);
+  if (!check.valid) {
+    console.warn('[Pronunciation] 모델 발음 표기가 규칙 결과와 다름 (유지):', modelPronunciation || '(없음)', 'vs', check.expected, `(유사도 ${check.similarity})`);
+  }
+  return modelPronunciation;
+}
+
+// 공용 캐시 발음 - 발음 없이 저장된 문장도 로컬 생성 언어면 규칙 기반 표기로 채움
+function cachedPronunciation(cached, targetLang) {
+  return resolvePronunciation(cached.translation, targetLang, cached.pronunciation || '');
 }
 
 async function retryWithBackoff(fn, attempts = 3, baseDelay = 300) {
@@ -57,6 +143,8 @@ async function retryWithBackoff(fn, attempts = 3, baseDelay = 300) {
       return await fn();
     } catch (err) {
       lastErr = err;
+      // 시간 한도로 끊긴 호출은 재시도해도 같은 결과라 바로 넘김
+      if (isDeadlineError(err)) throw err;
       const jitter = Math.random() * 200;
       const delay = baseDelay * Math.pow(2, i) + jitter;
       await new Promise(res => setTimeout(res, delay));
@@ -65,45 +153,774 @@ async function retryWithBackoff(fn, attempts = 3, baseDelay = 300) {
   throw lastErr;
 }
 
+// ⏱️ 서버리스 실행 시간 한도 - Netlify 동기 함수는 기본 10초이고 netlify.toml로는 바꿀 수 없음
+// 사이트 설정에서 한도를 늘렸다면 FUNCTION_TIMEOUT_SECONDS에 같은 값을 지정 (Lambda context가 남은 시간을 주면 그 값 우선)
+const FUNCTION_TIMEOUT_MS = (Number(process.env.FUNCTION_TIMEOUT_SECONDS) || 10) * 1000;
+// 한도 전에 진행 중인 호출을 끊고 부분 결과를 만들어 보낼 여유
+const RESPONSE_RESERVE_MS = 1500;
+
+// 요청 시작 시점 기준으로 작업을 멈춰야 하는 시각
+function requestDeadline(context, startedAt = Date.now()) {
+  const remaining = typeof context?.getRemainingTimeInMillis === 'function'
+    ? context.getRemainingTimeInMillis()
+    : FUNCTION_TIMEOUT_MS;
+  return startedAt + remaining - RESPONSE_RESERVE_MS;
+}
+
+// 마감 시각에 진행 중인 모델 호출을 끊는 신호
+function deadlineSignal(deadline) {
+  return AbortSignal.timeout(Math.max(1, deadline - Date.now()));
+}
+
+function isDeadlineError(err) {
+  return err?.name === 'TimeoutError' || err?.name === 'AbortError';
+}
+
+// ===================================================
+// 🤖 AI 모델 프로바이더 계층 (OpenAI / Gemini)
+// ===================================================
+
+// 클라이언트가 요청할 수 있는 모델 → 프로바이더 매핑
+const MODEL_CATALOG = {
+  'gpt-4o': { provider: 'openai' },
+  'gpt-4o-mini': { provider: 'openai' },
+  'gpt-4.1': { provider: 'openai' },
+  'gpt-4.1-mini': { provider: 'openai' },
+  'gemini-2.0-flash': { provider: 'google' },
+  'gemini-1.5-flash': { provider: 'google' }
+};
+
+// 요청 모델을 실제 사용할 프로바이더/모델로 결정
+// - 알 수 없는 모델 또는 'auto' → 기본 모델 (OpenAI)
+// - Gemini 요청인데 Google 키가 없으면 기본 모델로 폴백
+function resolveModelRoute(requestedModel, defaultModel, apiKeys = {}) {
+  const entry = requestedModel ? MODEL_CATALOG[requestedModel] : null;
+
+  if (!entry) {
+    return { provider: 'openai', model: defaultModel, apiKey: apiKeys.openai || OPENAI_API_KEY };
+  }
+
+  if (entry.provider === 'google') {
+    const googleKey = apiKeys.google || GEMINI_API_KEY;
+    if (!googleKey) {
+      console.log(`[Provider] Google API 키 없음 - ${requestedModel} → ${defaultModel} 폴백`);
+      return { provider: 'openai', model: defaultModel, apiKey: apiKeys.openai || OPENAI_API_KEY, fallbackFrom: requestedModel };
+    }
+    return { provider: 'google', model: requestedModel, apiKey: googleKey };
+  }
+
+  return { provider: 'openai', model: requestedModel, apiKey: apiKeys.openai || OPENAI_API_KEY };
+}
+
+function buildOpenAIPayload(route, { systemMessage, userPrompt, temperature, maxTokens }) {
+  return {
+    model: route.model,
+    messages: [
+      { role: "system", content: systemMessage },
+      { role: "user", content: userPrompt }
+    ],
+    temperature,
+    max_tokens: maxTokens
+  };
+}
+
+function buildGeminiPayload({ systemMessage, userPrompt, temperature, maxTokens, jsonMode = true }) {
+  return {
+    systemInstruction: { parts: [{ text: systemMessage }] },
+    contents: [{ role: "user", parts: [{ text: userPrompt }] }],
+    generationConfig: {
+      temperature,
+      maxOutputTokens: maxTokens,
+      ...(jsonMode && { responseMimeType: "application/json" })
+    }
+  };
+}
+
+function geminiEndpoint(model, method, apiKey) {
+  return `https://generativelanguage.googleapis.com/v1beta/models/${model}:${method}?key=${encodeURIComponent(apiKey)}`;
+}
+
+// ===================================================
+// 🧾 요청별 사용량 원장 - 유료 API 호출마다 토큰/글자/초 단위 실제 비용을 모아 두고
+// commitUsage 시점에 usage_ledger(건별)와 usage_logs(일별 합계)에 기록
+// 용어 재요청, 장문 청크, TTS 폴백처럼 깊은 호출까지 인자 전달 없이 모으기 위해 AsyncLocalStorage 사용
+// ===================================================
+const usageLedger = new AsyncLocalStorage();
+
+// action → 원장 feature (대시보드/정산에서 기능별 구분)
+const ACTION_FEATURES = {
+  'translate': 'translation',
+  'translate-stream': 'translation',
+  'translate-batch': 'batch',
+  'translate-document': 'document',
+  'align': 'alignment',
+  'define': 'definition',
+  'speak': 'tts',
+  'speak-chunk': 'tts',
+  'assess-pronunciation': 'pronunciation'
+};
+
+function createUsageLedger() {
+  return { userId: null, teamId: null, action: null, pending: [], totalCost: 0 };
+}
+
+// 현재 요청 원장에 한 건 추가 (원장 밖에서 호출되면 무시)
+function recordUsage(entry) {
+  const ledger = usageLedger.getStore();
+  if (!ledger) return;
+
+  const record = {
+    createdAt: new Date().toISOString(),
+    action: ledger.action,
+    feature: ACTION_FEATURES[ledger.action] || 'other',
+    ...entry
+  };
+  ledger.pending.push(record);
+  ledger.totalCost += record.cost;
+}
+
+// 현재 요청에서 지금까지 쓴 비용 (스트리밍 done 이벤트용)
+function currentUsageCost() {
+  const ledger = usageLedger.getStore();
+  return ledger ? roundCost(ledger.totalCost) : 0;
+}
+
+function hasPendingUsage() {
+  const ledger = usageLedger.getStore();
+  return !!ledger && ledger.pending.length > 0;
+}
+
+// 캐시/번역 메모리/피드백으로 유료 호출 없이 끝난 번역 - 같은 요청을 모델로 처리했을 때 예상 비용을 절약액으로 기록
+// body: 예산 추정과 같은 형식 ({ inputText | segments, getPronunciation, model, ... })
+function recordCacheSavings(action, body) {
+  recordUsage({
+    provider: 'cache',
+    model: estimateModel(action, body),
+    cost: 0,
+    savedCost: estimateRequestCost(action, body),
+    cacheHit: true,
+    userKey: false
+  });
+}
+
+function usesUserApiKey(route) {
+  return route.apiKey !== (route.provider === 'google' ? GEMINI_API_KEY : OPENAI_API_KEY);
+}
+
+// 응답 usage 토큰으로 비용 계산 - usage가 없는 응답(일부 프록시/모의 서버)은 글자 수로 추정
+function recordChatUsage(route, request, content, usage) {
+  let { promptTokens, completionTokens } = normalizeTokenUsage(usage);
+  if (!usage) {
+    console.warn(`[Usage] ${route.model} 응답에 usage 없음 - 글자 수로 토큰 추정`);
+    promptTokens = estimateTokens(`${request.systemMessage || ''}${request.userPrompt || ''}`);
+    completionTokens = estimateTokens(content);
+  }
+
+  recordUsage({
+    provider: route.provider,
+    model: route.model,
+    promptTokens,
+    completionTokens,
+    cost: chatCost(route.model, promptTokens, completionTokens),
+    userKey: usesUserApiKey(route)
+  });
+}
+
+// 지금까지 모인 원장 항목 기록 - usage_logs 일별 합계(type별 count, cost_usd)도 실제 비용으로 갱신
+// 게스트 요청은 DB에 기록하지 않고 비용만 계산 → 이번에 기록한 비용 합계 반환
+async function commitUsage(type, count = 0, ledger = usageLedger.getStore()) {
+  if (!ledger) return 0;
+
+  const entries = ledger.pending.splice(0);
+  const cost = entries.reduce((sum, entry) => sum + entry.cost, 0);
+
+  if (ledger.userId && (entries.length > 0 || count > 0)) {
+    const provider = entries.length > 0 ? entries[entries.length - 1].provider : 'openai';
+    const ledgerResult = await recordUsageLedger(ledger.userId, entries, ledger.teamId);
+    if (!ledgerResult.success) console.error('[Usage] 원장 기록 실패:', ledgerResult.error);
+    await trackUsage(ledger.userId, type, count, cost, provider);
+  }
+  return cost;
+}
+
+// 이벤트 스트림이 끝난 뒤 원장 기록 (스트리밍 번역은 응답을 다 보낸 뒤에야 토큰 수를 알 수 있음)
+// 클라이언트가 중간에 연결을 끊어도 그때까지 쓴 토큰은 기록되도록 finally에서 기록
+async function* commitUsageAfter(events, type, count) {
+  try {
+    yield* events;
+  } finally {
+    await commitUsage(type, count);
+  }
+}
+
+// 실시간 스트리밍은 핸들러가 끝난 뒤 런타임이 읽어 가므로 이벤트마다 요청 원장 컨텍스트를 다시 연결
+// 중간에 끊기면(return) 안쪽 제너레이터도 같은 컨텍스트에서 정리해서 commitUsageAfter의 finally가 실행되게 함
+async function* withUsageLedger(ledger, events) {
+  const iterator = events[Symbol.asyncIterator]();
+  let finished = false;
+  try {
+    while (true) {
+      const { value, done } = await usageLedger.run(ledger, () => iterator.next());
+      if (done) {
+        finished = true;
+        return;
+      }
+      yield value;
+    }
+  } finally {
+    if (!finished && typeof iterator.return === 'function') {
+      await usageLedger.run(ledger, () => iterator.return());
+    }
+  }
+}
+
+// 단일 응답 호출 - { content, usage } 반환 (사용량은 현재 요청 원장에 기록)
+async function callChatModel(route, request) {
+  if (route.provider === 'google') {
+    const resp = await fetchFn(geminiEndpoint(route.model, 'generateContent', route.apiKey), {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(buildGeminiPayload(request)),
+      signal: request.signal
+    });
+
+    if (!resp.ok) {
+      const txt = await resp.text();
+      throw new Error(`Gemini API 오류 ${resp.status}: ${txt}`);
+    }
+    const data = await resp.json();
+    const content = (data?.candidates?.[0]?.content?.parts || []).map(p => p.text || '').join('');
+    recordChatUsage(route, request, content, data?.usageMetadata || null);
+    return { content, usage: data?.usageMetadata || null };
+  }
+
+  const resp = await fetchFn("https://api.openai.com/v1/chat/completions", {
+    method: "POST",
+    headers: {
+      "Authorization": `Bearer ${route.apiKey}`,
+      "Content-Type": "application/json"
+    },
+    body: JSON.stringify(buildOpenAIPayload(route, request)),
+    signal: request.signal
+  });
+
+  if (!resp.ok) {
+    const txt = await resp.text();
+    throw new Error(`OpenAI API 오류 ${resp.status}: ${txt}`);
+  }
+  const data = await resp.json();
+  const content = data?.choices?.[0]?.message?.content;
+  recordChatUsage(route, request, content, data?.usage || null);
+  return { content, usage: data?.usage || null };
+}
+
+// 모델 응답에서 JSON 추출 (앞뒤 잡음 제거 시도)
+function parseModelJSON(content, errorMessage) {
+  try {
+    return JSON.parse(content);
+  } catch (e) {
+    const s = content.indexOf('{'), eidx = content.lastIndexOf('}');
+    if (s !== -1 && eidx !== -1) {
+      const maybe = content.substring(s, eidx + 1);
+      return JSON.parse(maybe);
+    }
+    throw new Error(errorMessage);
+  }
+}
+
+// ===================================================
+// 🔗 단어 정렬 / 뜻풀이 (번역 결과에서 단어장에 추가)
+// ===================================================
+
+const ALIGNMENT_EXTRA_TOKENS = 800; // 정렬 쌍 출력용 추가 토큰
+const MAX_DEFINE_TERM_CHARS = 100;
+const MAX_DEFINE_CONTEXT_CHARS = 500;
+
+// 번역 응답 JSON에 "alignment" 키를 추가하도록 요청 - 위치 계산은 normalizeAlignment가 담당
+function buildAlignmentPrompt() {
+  return `
+- Also provide "alignment": an array of {"source": string, "target": string} pairs linking each content word or fixed phrase of the source text to its counterpart in the translation
+- Copy "source" exactly as it appears in the source text and "target" exactly as it appears in your translation; list pairs in source order and skip punctuation and words with no counterpart`;
+}
+
+function describeJSONKeys(alignment) {
+  return alignment
+    ? 'three keys: "translation" (string), "pronunciation_hangul" (string), "alignment" (array)'
+    : 'two keys: "translation" (string), "pronunciation_hangul" (string)';
+}
+
+// 이미 번역된 문장의 단어 정렬만 요청 (캐시/번역 메모리/스트리밍 결과처럼 정렬이 없는 번역용)
+async function alignTranslation(sourceText, translation, targetLang, options = {}) {
+  const { apiKey = null, requestedModel = null, googleApiKey = null } = options;
+  if (!sourceText || !translation) throw new Error("원문과 번역문이 필요합니다.");
+  if (sourceText.length > MAX_INPUT_CHARS || translation.length > MAX_INPUT_CHARS) {
+    throw new Error(`입력 길이 초과 (최대 ${MAX_INPUT_CHARS}자)`);
+  }
+
+  const route = resolveModelRoute(requestedModel, "gpt-4o-mini", { openai: apiKey, google: googleApiKey });
+  const cacheKey = `align:${route.model}:${targetLang}:${sourceText}:${translation}`;
+  const cached = getCache(cacheKey);
+  if (cached) return cached;
+
+  const sourceLanguage = detectSourceLanguage(sourceText);
+  const systemMessage = `
+You align words between a ${sourceLanguage} text and its ${targetLang} translation. ALWAYS return only valid JSON.
+The JSON MUST contain one key: "alignment" (array).
+- "alignment": an array of {"source": string, "target": string} pairs linking each content word or fixed phrase of the source text to its counterpart in the translation
+- Copy "source" exactly as it appears in the source text and "target" exactly as it appears in the translation; list pairs in source order and skip punctuation and words with no counterpart
+- Return only JSON (no markdown, no explanation).`;
+
+  const parsed = await retryWithBackoff(async () => {
+    const { content } = await callChatModel(route, {
+      systemMessage,
+      userPrompt: `Source: """${sourceText}"""\nTranslation: """${translation}"""`,
+      temperature: 0.0,
+      maxTokens: 1500
+    });
+    if (!content) throw new Error("정렬 응답 없음");
+    return parseModelJSON(content, "정렬 응답을 JSON으로 파싱하지 못했습니다.");
+  }, 3, 300);
+
+  const result = {
+    alignment: normalizeAlignment(parsed.alignment, sourceText, translation),
+    model: route.model,
+    provider: route.provider
+  };
+  setCache(cacheKey, result);
+  return result;
+}
+
+// 단어/구의 짧은 한국어 뜻풀이 - context는 단어가 쓰인 문장 (문맥에 맞는 뜻 선택)
+async function defineTerm(term, options = {}) {
+  const { context = '', language = null, apiKey = null, requestedModel = null, googleApiKey = null } = options;
+  const word = String(term || '').trim();
+  if (!word) throw new Error("뜻을 찾을 단어가 필요합니다.");
+  if (word.length > MAX_DEFINE_TERM_CHARS) throw new Error(`단어 길이 초과 (최대 ${MAX_DEFINE_TERM_CHARS}자)`);
+  const sentence = String(context || '').slice(0, MAX_DEFINE_CONTEXT_CHARS);
+
+  const route = resolveModelRoute(requestedModel, "gpt-4o-mini", { openai: apiKey, google: googleApiKey });
+  const cacheKey = `define:${route.model}:${language || ''}:${word}:${sentence}`;
+  const cached = getCache(cacheKey);
+  if (cached) return cached;
+
+  const lang = language ? getLanguage(language) : null;
+  const wordLanguage = lang ? lang.name : detectSourceLanguage(word);
+  const systemMessage = `
+You are a concise bilingual dictionary for Korean learners. ALWAYS return only valid JSON.
+The JSON MUST contain three keys: "lemma" (string), "partOfSpeech" (string), "definition" (string).
+- "lemma": the dictionary form of the ${wordLanguage} word or phrase
+- "partOfSpeech": the part of speech in Korean (e.g. 명사, 동사, 형용사, 표현)
+- "definition": a short Korean definition (one sentence, at most 60 characters) of the meaning used in the given sentence
+- Return only JSON (no markdown, no explanation).`;
+
+  const parsed = await retryWithBackoff(async () => {
+    const { content } = await callChatModel(route, {
+      systemMessage,
+      userPrompt: sentence ? `Word: """${word}"""\nSentence: """${sentence}"""` : `Word: """${word}"""`,
+      temperature: 0.0,
+      maxTokens: 200
+    });
+    if (!content) throw new Error("뜻풀이 응답 없음");
+    return parseModelJSON(content, "뜻풀이 응답을 JSON으로 파싱하지 못했습니다.");
+  }, 3, 300);
+
+  const result = {
+    term: word,
+    lemma: String(parsed.lemma || word).trim(),
+    partOfSpeech: String(parsed.partOfSpeech || parsed.part_of_speech || '').trim(),
+    definition: String(parsed.definition || '').trim(),
+    model: route.model,
+    provider: route.provider
+  };
+  setCache(cacheKey, result);
+  return result;
+}
+
+// ===================================================
+// 📚 도메인 용어집 (data/ko-vi-terminology.json)
+// ===================================================
+
+let TERMINOLOGY_DATA = {};
+try {
+  TERMINOLOGY_DATA = require('../../data/ko-vi-terminology.json');
+} catch (e) {
+  console.error('[Glossary] 용어집 로드 실패:', e.message);
+}
+
+const MAX_CUSTOM_TERMS = 200;
+
+// 묶음 분야('manufacturing' → 제조 관련 분야 전체)는 클라이언트와 같은 표(GlossaryFormats.DOMAIN_ALIASES)로 펼침
+function resolveGlossaryCategories(domain) {
+  return resolveDomainCategories(domain, TERMINOLOGY_DATA);
+}
+
+// 입력에 등장하는 용어집 항목 찾기 (긴 용어 우선, 겹치는 짧은 용어는 제외)
+// 용어집은 한국어 → 베트남어 쌍이므로 베트남어→한국어 번역은 역방향으로 매칭
+// (역방향은 이표기/금지어가 한국어 기준이라 원문-번역 쌍만 사용)
+function findGlossaryMatches(inputText, domain, targetLang) {
+  const categories = resolveGlossaryCategories(domain);
+  if (categories.length === 0 || !inputText) return [];
+
+  const reverse = targetLang === 'Korean';
+  if (!reverse && targetLang !== 'Vietnamese') return [];
+
+  const entries = entriesFromTerminologyData(TERMINOLOGY_DATA, categories).map(entry => (reverse
+    ? normalizeEntry({ source: entry.target, target: entry.source, domain: entry.domain })
+    : entry));
+
+  // 원문과 이표기를 모두 후보로 펼쳐서 긴 표기부터 매칭
+  const candidates = [];
+  entries.forEach(entry => termSources(entry).forEach(term => candidates.push({ entry, term })));
+  candidates.sort((a, b) => b.term.length - a.term.length);
+
+  let masked = inputText;
+  const matches = [];
+  const seen = new Set();
+
+  for (const { entry, term } of candidates) {
+    const key = entry.source.toLowerCase();
+    if (seen.has(key)) continue;
+
+    let idx = findTermIndex(masked, term, entry.caseSensitive);
+    if (idx === -1) continue;
+
+    seen.add(key);
+    matches.push({ ...entry, matched: term });
+
+    // 매칭된 구간은 가려서 더 짧은 하위 용어가 중복 매칭되지 않게 함
+    while (idx !== -1) {
+      masked = masked.slice(0, idx) + '\u0000'.repeat(term.length) + masked.slice(idx + term.length);
+      idx = findTermIndex(masked, term, entry.caseSensitive);
+    }
+  }
+
+  return matches;
+}
+
+// 클라이언트 용어 형식: [원문, 번역], [원문, 번역, 상세정보] 또는 { source, target, ... }
+function normalizeCustomTerm(term) {
+  if (Array.isArray(term)) {
+    const [source, target, details] = term;
+    return normalizeEntry({ ...(details && typeof details === 'object' ? details : {}), source, target });
+  }
+  return term && typeof term === 'object' ? normalizeEntry(term) : null;
+}
+
+// 팀 용어를 이번 번역 방향에 맞는 것만 남김 (findGlossaryMatches와 같이 역방향 쌍은 원문-번역을 뒤집어 사용)
+// 원문 언어를 감지하지 못하면 번역 언어만 맞으면 사용
+function teamTermsForPair(teamTerms, inputText, targetLang) {
+  const sourceLang = detectLanguage(inputText).language;
+  const sourceMatches = lang => !sourceLang || lang === sourceLang;
+
+  return (Array.isArray(teamTerms) ? teamTerms : []).map(term => {
+    if (term.targetLang === targetLang && sourceMatches(term.sourceLang)) {
+      return normalizeEntry({ ...(term.details || {}), source: term.source, target: term.target });
+    }
+    // 역방향은 이표기/금지어가 원래 원문 언어 기준이라 원문-번역 쌍만 사용
+    if (term.sourceLang === targetLang && sourceMatches(term.targetLang)) {
+      return normalizeEntry({ source: term.target, target: term.source });
+    }
+    return null;
+  });
+}
+
+// 📚 사용자 전문용어 사전(terminologyDict 항목) + 팀 용어집 + 도메인 용어집 병합
+// 동일 원문(이표기 포함)은 개인 용어 → 팀 용어 → 도메인 용어 순으로 우선
+// teamTerms: getTeamContext()의 terminology ([{ source, target, sourceLang, targetLang, teamId, details }])
+// - 서버 데이터라 개수 제한 없음
+function collectGlossaryTerms(inputText, domain, targetLang, customTerms = [], teamTerms = []) {
+  const usedSources = new Set();
+  const claim = entry => termSources(entry).forEach(term => usedSources.add(term.toLowerCase()));
+  const isClaimed = entry => termSources(entry).some(term => usedSources.has(term.toLowerCase()));
+
+  const pick = (entry, origin) => {
+    if (!entry || !entry.source || !entry.target || isClaimed(entry)) return null;
+    const matched = matchTermEntry(inputText || '', entry);
+    if (!matched) return null;
+    claim(entry);
+    return { ...entry, domain: origin, matched };
+  };
+
+  const custom = (Array.isArray(customTerms) ? customTerms : [])
+    .slice(0, MAX_CUSTOM_TERMS)
+    .map(term => pick(normalizeCustomTerm(term), 'custom'))
+    .filter(Boolean);
+
+  const team = teamTermsForPair(teamTerms, inputText, targetLang)
+    .map(entry => pick(entry, 'team'))
+    .filter(Boolean);
+
+  const domainTerms = findGlossaryMatches(inputText, domain, targetLang)
+    .filter(term => !isClaimed(term));
+
+  return [...custom, ...team, ...domainTerms];
+}
+
+// 캐시 키용 용어 요약 (지정 번역/금지어가 바뀌면 다른 프롬프트이므로 키도 달라져야 함)
+function glossaryCacheKey(matches) {
+  return matches.map(m => `${m.source}=${m.target}${m.forbidden && m.forbidden.length ? `!${m.forbidden.join(',')}` : ''}`).join('|');
+}
+
+// 일반 번역 메모리 캐시 키 - translate와 translate-stream이 같은 키로 읽고 써서 서로의 결과를 재사용
+// feedbackUserId: 개인 피드백 예시가 프롬프트에 들어간 경우만 사용자별로 분리, memoryKey: 참고한 번역 메모리 id 목록
+function translationCacheKey({ model, glossaryKey, targetLang, inputText, getPronunciation, alignment = false, feedbackUserId = '', memoryKey = '' }) {
+  return `tr:${model}:${glossaryKey}:${targetLang}:${inputText}:${getPronunciation}:${alignment}:${feedbackUserId}:${memoryKey}`;
+}
+
+function describeGlossaryTerm(term) {
+  let line = `"${term.source}"`;
+  if (term.variants && term.variants.length > 0) {
+    line += ` (also written ${term.variants.map(v => `"${v}"`).join(', ')})`;
+  }
+  line += ` → "${term.target}"`;
+  if (term.partOfSpeech) line += ` [${term.partOfSpeech}]`;
+  if (term.forbidden && term.forbidden.length > 0) {
+    line += `; NEVER use ${term.forbidden.map(f => `"${f}"`).join(', ')}`;
+  }
+  if (term.caseSensitive) line += '; applies only to this exact capitalization';
+  if (term.notes) line += `; note: ${term.notes}`;
+  return line;
+}
+
+function buildGlossaryPrompt(matches) {
+  if (!matches || matches.length === 0) return '';
+  let prompt = `
+- MANDATORY glossary: translate the following terms exactly as specified:`;
+  matches.forEach(m => {
+    prompt += `
+  * ${describeGlossaryTerm(m)}`;
+  });
+  return prompt;
+}
+
+// ✅ 용어집 사후 검증: 지정된 대상 용어가 번역문에 그대로 들어갔는지, 금지 번역어를 쓰지 않았는지 확인
+// 괄호 보충 설명이 붙은 용어(예: "... (PLC)")는 괄호 앞 본문만 있어도 통과
+function normalizeGlossaryText(text) {
+  return (text || '').normalize('NFC').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function findGlossaryViolations(translation, terms) {
+  if (!terms || terms.length === 0) return [];
+  const output = normalizeGlossaryText(translation);
+
+  return terms.map(term => {
+    const target = normalizeGlossaryText(term.target);
+    const withoutNote = target.replace(/\s*\([^)]*\)\s*$/, '');
+    const missing = !output.includes(target) && !(withoutNote && output.includes(withoutNote));
+    const forbiddenUsed = findForbiddenRenderings(translation, term);
+    if (!missing && forbiddenUsed.length === 0) return null;
+    return { ...term, missing, forbiddenUsed };
+  }).filter(Boolean);
+}
+
+function buildGlossaryRetryPrompt(violations) {
+  let prompt = `
+- STRICT GLOSSARY ENFORCEMENT: A previous attempt ignored required terms. Each of the following source terms MUST appear in the translation using EXACTLY this target wording (verbatim, no synonyms):`;
+  violations.forEach(v => {
+    prompt += `
+  * "${v.source}" → "${v.target}"`;
+    if (v.forbiddenUsed && v.forbiddenUsed.length > 0) {
+      prompt += ` (the previous attempt used the forbidden rendering ${v.forbiddenUsed.map(f => `"${f}"`).join(', ')} - do NOT use it)`;
+    }
+  });
+  return prompt;
+}
+
+// 🔁 위반 시 더 엄격한 지시로 한 번만 재요청 - 여전히 위반이면 위반 목록을 함께 반환
+async function enforceGlossaryTerms(route, request, parsed, terms, errorMessage) {
+  const violations = findGlossaryViolations(parsed.translation || parsed.translated_text, terms);
+  if (violations.length === 0) return { parsed, violations, retried: false };
+
+  console.log(`[Glossary] 용어 위반 ${violations.length}건 - 엄격 모드로 재요청`);
+
+  try {
+    const { content } = await callChatModel(route, {
+      ...request,
+      systemMessage: request.systemMessage + buildGlossaryRetryPrompt(violations),
+      temperature: 0
+    });
+    if (!content) throw new Error("재요청 응답 없음");
+
+    const retriedParsed = parseModelJSON(content, errorMessage);
+    const retriedViolations = findGlossaryViolations(retriedParsed.translation || retriedParsed.translated_text, terms);
+    if (retriedViolations.length <= violations.length) {
+      return { parsed: retriedParsed, violations: retriedViolations, retried: true };
+    }
+  } catch (e) {
+    console.error('[Glossary] 재요청 실패:', e.message);
+  }
+
+  return { parsed, violations, retried: true };
+}
+
+// 📝 사용자 피드백 조회 (정확 일치 → 교정본, 유사 일치 → few-shot 예시)
+async function lookupUserFeedback(userId, inputText, targetLang) {
+  if (!userId) return { matchType: null, correctedTranslation: null, examples: [] };
+
+  const result = await findTranslationFeedback(userId, inputText, targetLang);
+  if (!result.success) return { matchType: null, correctedTranslation: null, examples: [] };
+  return result;
+}
+
+function buildFeedbackExamplesPrompt(examples) {
+  if (!examples || examples.length === 0) return '';
+  let prompt = `
+- The user has corrected similar translations before. Follow their preferred wording and terminology:`;
+  examples.forEach(ex => {
+    prompt += `
+  * "${ex.sourceText}" → "${ex.correctedTranslation}"`;
+  });
+  return prompt;
+}
+
+// 교정본은 번역 모델을 거치지 않으므로 발음은 따로 생성 - 로컬 규칙 언어는 음역, 그 밖의 언어는 모델에 발음만 요청
+const FEEDBACK_PRONUNCIATION_MODEL = 'gpt-4o-mini';
+
+async function pronounceTranslation(route, translation, targetLang) {
+  if (usesLocalPronunciation(targetLang)) return resolvePronunciation(translation, targetLang);
+
+  try {
+    const { content } = await callChatModel(route, {
+      systemMessage: `
+You write Korean-readable transcriptions (한글 표기) of ${targetLang} text. ALWAYS return only valid JSON: {"pronunciation_hangul": string}.
+- ${pronunciationInstruction(targetLang)}`,
+      userPrompt: `Text: """${translation}"""`,
+      temperature: 0.0,
+      maxTokens: 500
+    });
+    const parsed = parseModelJSON(content || '', "발음 응답을 JSON으로 파싱하지 못했습니다.");
+    return resolvePronunciation(translation, targetLang, String(parsed.pronunciation_hangul || ''));
+  } catch (err) {
+    console.warn('[Feedback] 교정본 발음 생성 실패:', err.message);
+    return resolvePronunciation(translation, targetLang, '');
+  }
+}
+
+// options: { getPronunciation, route(발음 생성용 모델 경로) }
+async function feedbackExactResult(feedback, targetLang, { getPronunciation = true, route } = {}) {
+  const translation = feedback.correctedTranslation;
+  return {
+    translation,
+    pronunciation_hangul: getPronunciation ? await pronounceTranslation(route, translation, targetLang) : '',
+    feedbackApplied: true,
+    feedbackMatchType: 'exact'
+  };
+}
+
+// 🧠 번역 메모리(TM) 조회 (100% 일치 → 승인 번역 그대로, 유사 일치 → 참고 번역)
+const TM_REFERENCE_MIN_MATCH = 75;
+
+// 👥 팀 용어집/TM을 함께 쓰는 번역 액션
+const TEAM_CONTEXT_ACTIONS = new Set(['translate', 'translate-stream', 'translate-batch', 'translate-document']);
+
+// 요청 비용을 청구할 팀 - 요청에 teamId가 있으면 그 팀(멤버일 때만), 없으면 소속 팀이 하나일 때 그 팀
+// 여러 팀 소속인데 teamId가 없으면 어느 팀 업무인지 알 수 없으므로 개인 사용량으로 남김
+async function resolveUsageTeam(userId, requestedTeamId, contextTeamIds = []) {
+  if (requestedTeamId) {
+    if (contextTeamIds.includes(requestedTeamId)) return requestedTeamId;
+    const membership = await getTeamMembership(userId, requestedTeamId);
+    return membership.success && membership.role ? requestedTeamId : null;
+  }
+  return contextTeamIds.length === 1 ? contextTeamIds[0] : null;
+}
+
+async function lookupTranslationMemory(userId, inputText, targetLang, teamIds = []) {
+  if (!userId) return { exact: null, matches: [] };
+
+  const result = await findTranslationMemory(userId, inputText, targetLang, { teamIds, minMatch: TM_REFERENCE_MIN_MATCH });
+  if (!result.success) return { exact: null, matches: [] };
+  return result;
+}
+
+function buildTranslationMemoryPrompt(matches) {
+  if (!matches || matches.length === 0) return '';
+  let prompt = `
+- Translation memory references (previously approved translations of similar sentences). Reuse their wording where the source text is the same, and translate only the differing parts:`;
+  matches.forEach(match => {
+    prompt += `
+  * [${match.matchPercent}% match] "${match.sourceText}" → "${match.targetText}"`;
+  });
+  return prompt;
+}
+
+function describeTranslationMemoryMatch(match) {
+  return { matchPercent: match.matchPercent, sourceText: match.sourceText, targetText: match.targetText, scope: match.scope };
+}
+
+function translationMemoryExactResult(match) {
+  return {
+    translation: match.targetText,
+    pronunciation_hangul: match.pronunciation || '',
+    tmMatch: describeTranslationMemoryMatch(match)
+  };
+}
+
+// 품질 레벨별 기본 모델 및 설정
+const QUALITY_CONFIG = {
+  1: { model: "gpt-4o-mini", temperature: 0.3, maxTokens: 1000 },
+  2: { model: "gpt-4o-mini", temperature: 0.1, maxTokens: 1200 },
+  3: { model: "gpt-4o", temperature: 0.0, maxTokens: 1500 },
+  4: { model: "gpt-4o", temperature: 0.0, maxTokens: 2000 },
+  5: { model: "gpt-4o", temperature: 0.0, maxTokens: 2500 }
+};
+
 // 🧠 새로운 AI 문맥 번역 함수
-async function translateWithAIContext(inputText, targetLang, contextualPrompt, qualityLevel = 3, getPronunciation = true, userApiKey = null) {
+async function translateWithAIContext(inputText, targetLang, contextualPrompt, qualityLevel = 3, getPronunciation = true, userApiKey = null, userId = null, options = {}) {
   const apiKey = userApiKey || OPENAI_API_KEY;
   if (!apiKey) throw new Error("서버 오류: API 키가 설정되어 있지 않습니다.");
+  const { requestedModel = null, googleApiKey = null, domain = 'general', terminology = [], teamTerminology = [], teamIds = [], alignment = false } = options;
   if (!inputText || inputText.trim().length === 0) throw new Error("입력 텍스트가 비어있습니다.");
   if (inputText.length > MAX_INPUT_CHARS) throw new Error(`입력 길이 초과 (최대 ${MAX_INPUT_CHARS}자)`);
 
-  // 🔧 공용 캐시 확인 (AI 모드가 아닌 경우만)
-  if (!contextualPrompt || contextualPrompt.trim() === '') {
+  // 📝 사용자 피드백 확인 (정확 일치 시 교정본 그대로 반환)
+  const feedback = await lookupUserFeedback(userId, inputText, targetLang);
+  if (feedback.matchType === 'exact') {
+    console.log('[Feedback] 정확 일치 피드백 적용');
+    return feedbackExactResult(feedback, targetLang, {
+      getPronunciation,
+      route: resolveModelRoute(requestedModel, FEEDBACK_PRONUNCIATION_MODEL, { openai: apiKey, google: googleApiKey })
+    });
+  }
+  const hasFeedbackExamples = feedback.examples.length > 0;
+
+  // 🧠 번역 메모리 확인 (100% 일치 시 승인된 번역 그대로 반환)
+  const memory = await lookupTranslationMemory(userId, inputText, targetLang, teamIds);
+  if (memory.exact) {
+    console.log('[TM] 100% 일치 번역 메모리 적용');
+    return translationMemoryExactResult(memory.exact);
+  }
+  const memoryKey = memory.matches.map(match => match.id).join(',');
+
+  // 📚 도메인 용어집 + 사용자 전문용어 매칭
+  const glossaryMatches = collectGlossaryTerms(inputText, domain, targetLang, terminology, teamTerminology);
+  const glossaryKey = glossaryCacheKey(glossaryMatches);
+
+  // 🔧 공용 캐시는 AI 모드가 아니고 개인 피드백/TM/용어집이 반영되지 않는 경우만 사용
+  const usePublicCache = (!contextualPrompt || contextualPrompt.trim() === '') && !hasFeedbackExamples && !memoryKey && glossaryMatches.length === 0;
+  if (usePublicCache) {
     const publicCache = await getPublicCache(inputText, targetLang);
     if (publicCache.success) {
       return {
         translation: publicCache.data.translation,
-        pronunciation_hangul: publicCache.data.pronunciation || ''
+        pronunciation_hangul: cachedPronunciation(publicCache.data, targetLang)
       };
     }
   }
 
-  const cacheKey = `ai_tr:${targetLang}:${inputText}:${qualityLevel}:${getPronunciation}:${contextualPrompt.substring(0, 100)}`;
+  // 품질 레벨에 따른 모델 및 설정 선택 (요청 모델이 있으면 모델만 교체)
+  const config = QUALITY_CONFIG[qualityLevel] || QUALITY_CONFIG[3];
+  const route = resolveModelRoute(requestedModel, config.model, { openai: apiKey, google: googleApiKey });
+
+  const cacheKey = `ai_tr:${route.model}:${glossaryKey}:${targetLang}:${inputText}:${qualityLevel}:${getPronunciation}:${alignment}:${contextualPrompt.substring(0, 100)}:${hasFeedbackExamples ? userId : ''}:${memoryKey}`;
   const cached = getCache(cacheKey);
   if (cached) return cached;
 
   const sourceLanguage = detectSourceLanguage(inputText);
 
-  // 품질 레벨에 따른 모델 및 설정 선택
-  const qualityConfig = {
-    1: { model: "gpt-4o-mini", temperature: 0.3, maxTokens: 1000 },
-    2: { model: "gpt-4o-mini", temperature: 0.1, maxTokens: 1200 },
-    3: { model: "gpt-4o", temperature: 0.0, maxTokens: 1500 },
-    4: { model: "gpt-4o", temperature: 0.0, maxTokens: 2000 },
-    5: { model: "gpt-4o", temperature: 0.0, maxTokens: 2500 }
-  };
-
-  const config = qualityConfig[qualityLevel] || qualityConfig[3];
-
   let systemMessage = `
 You are an elite professional translator with deep cultural understanding and linguistic expertise.
 ALWAYS return only valid JSON (no extra commentary, no markdown).
-The JSON MUST contain exactly two keys: "translation" (string), "pronunciation_hangul" (string).
+The JSON MUST contain exactly ${describeJSONKeys(alignment)}.
 
 Core Translation Rules:
 - Source language: ${sourceLanguage} → Target language: ${targetLang}
@@ -123,74 +940,77 @@ Core Translation Rules:
 - Consider context and maintain consistency`;
   }
 
-  if (getPronunciation) {
+  if (getPronunciation && !usesLocalPronunciation(targetLang)) {
     systemMessage += `
 - Provide "pronunciation_hangul" as accurate Korean phonetic transcription of the translated ${targetLang} text
-- For Vietnamese: use Korean characters to represent Vietnamese pronunciation (한글 표기)
-- For English: use Korean characters to represent English pronunciation`;
+- ${pronunciationInstruction(targetLang)}`;
   } else {
     systemMessage += `
 - Set "pronunciation_hangul" to an empty string`;
   }
 
+  if (alignment) systemMessage += buildAlignmentPrompt();
+  systemMessage += buildGlossaryPrompt(glossaryMatches);
+  systemMessage += buildFeedbackExamplesPrompt(feedback.examples);
+  systemMessage += buildTranslationMemoryPrompt(memory.matches);
+
   systemMessage += `
 - Output format: Return ONLY valid JSON, no other text`;
 
   // contextualPrompt를 사용자 메시지로 활용
   const userPrompt = contextualPrompt || `Translate this ${sourceLanguage} text to ${targetLang}: """${inputText}"""`;
 
-  const payload = {
-    model: config.model,
-    messages: [
-      { role: "system", content: systemMessage },
-      { role: "user", content: userPrompt }
-    ],
+  console.log('[AI Translation] 사용 모델:', route.model, `(${route.provider})`, '품질 레벨:', qualityLevel);
+
+  const chatRequest = {
+    systemMessage,
+    userPrompt,
     temperature: config.temperature,
-    max_tokens: config.maxTokens
+    maxTokens: config.maxTokens + (alignment ? ALIGNMENT_EXTRA_TOKENS : 0)
   };
 
-  console.log('[AI Translation] 사용 모델:', config.model, '품질 레벨:', qualityLevel);
+  const firstParsed = await retryWithBackoff(async () => {
+    const { content } = await callChatModel(route, chatRequest);
+    if (!content) throw new Error("AI 번역 응답 없음");
 
-  const parsed = await retryWithBackoff(async () => {
-   const resp = await fetchFn("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        "Authorization": `Bearer ${apiKey}`,
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify(payload)
-    });
-
-    if (!resp.ok) {
-      const txt = await resp.text();
-      throw new Error(`AI 번역 API 오류 ${resp.status}: ${txt}`);
-    }
-    const data = await resp.json();
-    const content = data?.choices?.[0]?.message?.content;
-    if (!content) throw new Error("AI 번역 응답 없음");
-
-    try {
-      return JSON.parse(content);
-    } catch (e) {
-      // JSON 파싱 실패 시 정리 시도
-      const s = content.indexOf('{'), eidx = content.lastIndexOf('}');
-      if (s !== -1 && eidx !== -1) {
-        const maybe = content.substring(s, eidx + 1);
-        return JSON.parse(maybe);
-      }
-      throw new Error("AI 응답을 JSON으로 파싱하지 못했습니다.");
-    }
+    return parseModelJSON(content, "AI 응답을 JSON으로 파싱하지 못했습니다.");
   }, 3, 300);
 
+  // ✅ 용어집 사후 검증 (위반 시 1회 재요청)
+  const { parsed, violations, retried } = await enforceGlossaryTerms(
+    route, chatRequest, firstParsed, glossaryMatches, "AI 응답을 JSON으로 파싱하지 못했습니다."
+  );
+
+  const translation = (parsed.translation || parsed.translated_text || "").toString();
+  const modelPronunciation = (parsed.pronunciation_hangul || parsed.pronunciation || parsed.pron || "").toString();
   const safe = {
-    translation: (parsed.translation || parsed.translated_text || "").toString(),
-    pronunciation_hangul: (parsed.pronunciation_hangul || parsed.pronunciation || parsed.pron || "").toString()
+    translation,
+    pronunciation_hangul: getPronunciation ? resolvePronunciation(translation, targetLang, modelPronunciation) : modelPronunciation,
+    model: route.model,
+    provider: route.provider,
+    glossaryApplied: glossaryMatches,
+    glossaryViolations: violations,
+    glossaryRetried: retried
   };
 
+  if (alignment) {
+    safe.alignment = normalizeAlignment(parsed.alignment, inputText, translation);
+  }
+
+  if (hasFeedbackExamples) {
+    safe.feedbackApplied = true;
+    safe.feedbackMatchType = 'fuzzy';
+  }
+
+  if (memory.matches.length > 0) {
+    safe.tmMatch = describeTranslationMemoryMatch(memory.matches[0]);
+    safe.tmReferences = memory.matches.length;
+  }
+
   setCache(cacheKey, safe);
   
-  // 🔧 공용 캐시에도 저장 (일반 번역인 경우만)
-  if (!contextualPrompt || contextualPrompt.trim() === '') {
+  // 🔧 공용 캐시에도 저장 (일반 번역이고 개인 피드백/용어집이 반영되지 않은 경우만)
+  if (usePublicCache) {
     await setPublicCache(inputText, targetLang, safe.translation, safe.pronunciation_hangul);
   }
   
@@ -198,22 +1018,59 @@ Core Translation Rules:
 }
 
 // 기존 일반 번역 함수 (호환성 유지)
-async function translateAndPronounceSingleCall(inputText, targetLang, getPronunciation = true, userApiKey = null) {
+async function translateAndPronounceSingleCall(inputText, targetLang, getPronunciation = true, userApiKey = null, userId = null, options = {}) {
   const apiKey = userApiKey || OPENAI_API_KEY;
   if (!apiKey) throw new Error("서버 오류: API 키가 설정되어 있지 않습니다.");
+  const { requestedModel = null, googleApiKey = null, domain = 'general', terminology = [], teamTerminology = [], teamIds = [], alignment = false } = options;
+
+  // 📝 사용자 피드백 확인 (정확 일치 시 교정본 그대로 반환)
+  const feedback = await lookupUserFeedback(userId, inputText, targetLang);
+  if (feedback.matchType === 'exact') {
+    console.log('[Feedback] 정확 일치 피드백 적용');
+    return feedbackExactResult(feedback, targetLang, {
+      getPronunciation,
+      route: resolveModelRoute(requestedModel, FEEDBACK_PRONUNCIATION_MODEL, { openai: apiKey, google: googleApiKey })
+    });
+  }
+  const hasFeedbackExamples = feedback.examples.length > 0;
+
+  // 🧠 번역 메모리 확인 (100% 일치 시 승인된 번역 그대로 반환)
+  const memory = await lookupTranslationMemory(userId, inputText, targetLang, teamIds);
+  if (memory.exact) {
+    console.log('[TM] 100% 일치 번역 메모리 적용');
+    return translationMemoryExactResult(memory.exact);
+  }
+  const memoryKey = memory.matches.map(match => match.id).join(',');
+
+  // 📚 도메인 용어집 + 사용자 전문용어 매칭
+  const glossaryMatches = collectGlossaryTerms(inputText, domain, targetLang, terminology, teamTerminology);
+  const glossaryKey = glossaryCacheKey(glossaryMatches);
   
-  // 🔧 공용 캐시 확인
-  const publicCache = await getPublicCache(inputText, targetLang);
-  if (publicCache.success) {
-    return {
-      translation: publicCache.data.translation,
-      pronunciation_hangul: publicCache.data.pronunciation || ''
-    };
+  // 🔧 공용 캐시 확인 (개인 피드백 예시, TM 참고 번역, 용어집 매칭이 있으면 건너뜀)
+  const usePublicCache = !hasFeedbackExamples && !memoryKey && glossaryMatches.length === 0;
+  if (usePublicCache) {
+    const publicCache = await getPublicCache(inputText, targetLang);
+    if (publicCache.success) {
+      return {
+        translation: publicCache.data.translation,
+        pronunciation_hangul: cachedPronunciation(publicCache.data, targetLang)
+      };
+    }
   }
   if (!inputText || inputText.trim().length === 0) throw new Error("입력 텍스트가 비어있습니다.");
   if (inputText.length > MAX_INPUT_CHARS) throw new Error(`입력 길이 초과 (최대 ${MAX_INPUT_CHARS}자)`);
 
-  const cacheKey = `tr:${targetLang}:${inputText}:${getPronunciation}`;
+  const route = resolveModelRoute(requestedModel, "gpt-4o", { openai: apiKey, google: googleApiKey });
+  const cacheKey = translationCacheKey({
+    model: route.model,
+    glossaryKey,
+    targetLang,
+    inputText,
+    getPronunciation,
+    alignment,
+    feedbackUserId: hasFeedbackExamples ? userId : '',
+    memoryKey
+  });
   const cached = getCache(cacheKey);
   if (cached) return cached;
 
@@ -221,111 +1078,1044 @@ async function translateAndPronounceSingleCall(inputText, targetLang, getPronunc
 
   let systemMessage = `
 You are a professional, consistent translator. ALWAYS return only valid JSON (no extra commentary).
-The JSON MUST contain two keys: "translation" (string), "pronunciation_hangul" (string).
+The JSON MUST contain ${describeJSONKeys(alignment)}.
 Rules:
 - Translate the given ${sourceLanguage} text to ${targetLang}.
 - Preserve named entities, product codes, and email/URLs as-is.
 - Maintain formality: if the input is formal, use formal polite tone; otherwise neutral.
 - Keep translation concise and natural.`;
 
-  if (getPronunciation) {
+  if (getPronunciation && !usesLocalPronunciation(targetLang)) {
     systemMessage += `
-- Provide "pronunciation_hangul" as a Korean-readable transcription of the translated ${targetLang} text (for Vietnamese: 한글 표기).`;
+- Provide "pronunciation_hangul" as a Korean-readable transcription of the translated ${targetLang} text. ${pronunciationInstruction(targetLang)}`;
   } else {
     systemMessage += `
 - Set "pronunciation_hangul" to an empty string.`;
   }
 
+  if (alignment) systemMessage += buildAlignmentPrompt();
+  systemMessage += buildGlossaryPrompt(glossaryMatches);
+  systemMessage += buildFeedbackExamplesPrompt(feedback.examples);
+  systemMessage += buildTranslationMemoryPrompt(memory.matches);
+
   systemMessage += `
 - Return only JSON (no markdown, no explanation).`;
 
   const userPrompt = `Text: """${inputText}"""`;
 
-  const payload = {
-    model: "gpt-4o",
-    messages: [
-      { role: "system", content: systemMessage },
-      { role: "user", content: userPrompt }
-    ],
+  console.log('[Translation] 사용 모델:', route.model, `(${route.provider})`);
+
+  const chatRequest = {
+    systemMessage,
+    userPrompt,
     temperature: 0.0,
-    max_tokens: 1500
+    maxTokens: 1500 + (alignment ? ALIGNMENT_EXTRA_TOKENS : 0)
   };
 
+  const firstParsed = await retryWithBackoff(async () => {
+    const { content } = await callChatModel(route, chatRequest);
+    if (!content) throw new Error("번역 응답 없음");
+
+    return parseModelJSON(content, "응답을 JSON으로 파싱하지 못했습니다.");
+  }, 3, 300);
+
+  // ✅ 용어집 사후 검증 (위반 시 1회 재요청)
+  const { parsed, violations, retried } = await enforceGlossaryTerms(
+    route, chatRequest, firstParsed, glossaryMatches, "응답을 JSON으로 파싱하지 못했습니다."
+  );
+
+  const translation = (parsed.translation || parsed.translated_text || "").toString();
+  const modelPronunciation = (parsed.pronunciation_hangul || parsed.pronunciation || parsed.pron || "").toString();
+  const safe = {
+    translation,
+    pronunciation_hangul: getPronunciation ? resolvePronunciation(translation, targetLang, modelPronunciation) : modelPronunciation,
+    model: route.model,
+    provider: route.provider,
+    glossaryApplied: glossaryMatches,
+    glossaryViolations: violations,
+    glossaryRetried: retried
+  };
+
+  if (alignment) {
+    safe.alignment = normalizeAlignment(parsed.alignment, inputText, translation);
+  }
+
+  if (hasFeedbackExamples) {
+    safe.feedbackApplied = true;
+    safe.feedbackMatchType = 'fuzzy';
+  }
+
+  if (memory.matches.length > 0) {
+    safe.tmMatch = describeTranslationMemoryMatch(memory.matches[0]);
+    safe.tmReferences = memory.matches.length;
+  }
+
+  setCache(cacheKey, safe);
+  
+  // 🔧 공용 캐시에도 저장 (개인 피드백/용어집이 반영되지 않은 경우만)
+  if (usePublicCache) {
+    await setPublicCache(inputText, targetLang, safe.translation, safe.pronunciation_hangul);
+  }
+  
+  return safe;
+}
+
+// ===================================================
+// 📦 배치 번역 (체크리스트/SOP 여러 줄을 한 요청으로)
+// ===================================================
+
+const MAX_BATCH_SEGMENTS = 100;
+const MAX_BATCH_TOTAL_CHARS = 20000;
+const BATCH_CALL_MAX_SEGMENTS = 25;   // 모델 호출 1회당 최대 세그먼트 수
+const BATCH_CALL_MAX_CHARS = 4000;    // 모델 호출 1회당 최대 글자 수
+
+// 입력 세그먼트 정규화: 문자열 또는 { id, text } 허용, id가 없으면 순번 사용
+function normalizeBatchSegments(segments) {
+  return segments.map((segment, index) => {
+    if (typeof segment === 'string') return { id: String(index), text: segment };
+    const id = segment && segment.id !== undefined && segment.id !== null ? String(segment.id) : String(index);
+    return { id, text: typeof segment?.text === 'string' ? segment.text : '' };
+  });
+}
+
+// 모델 호출 단위로 세그먼트 묶기
+function groupSegmentsForModel(segments) {
+  const groups = [];
+  let current = [];
+  let currentChars = 0;
+
+  for (const segment of segments) {
+    if (current.length > 0 &&
+        (current.length >= BATCH_CALL_MAX_SEGMENTS || currentChars + segment.text.length > BATCH_CALL_MAX_CHARS)) {
+      groups.push(current);
+      current = [];
+      currentChars = 0;
+    }
+    current.push(segment);
+    currentChars += segment.text.length;
+  }
+  if (current.length > 0) groups.push(current);
+
+  return groups;
+}
+
+// 세그먼트 묶음을 한 번의 모델 호출로 번역 - { id → {translation, pronunciation_hangul} } 반환
+async function translateSegmentGroup(route, group, targetLang, { getPronunciation, qualityLevel, glossaryTerms, signal = null }) {
+  const config = QUALITY_CONFIG[qualityLevel] || QUALITY_CONFIG[3];
+
+  let systemMessage = `
+You are a professional, consistent translator. ALWAYS return only valid JSON (no extra commentary).
+You will receive a JSON array of segments, each with an "id" and "text".
+Return JSON of the form {"segments": [{"id": string, "translation": string, "pronunciation_hangul": string}]}.
+Rules:
+- Translate every segment's text to ${targetLang} independently, keeping the same "id" values.
+- Return exactly one entry per input segment; never merge, split, or drop segments.
+- Preserve named entities, product codes, numbering, and email/URLs as-is.
+- Keep terminology consistent across segments.`;
+
+  if (getPronunciation && !usesLocalPronunciation(targetLang)) {
+    systemMessage += `
+- Provide "pronunciation_hangul" as a Korean-readable transcription of each translated ${targetLang} text. ${pronunciationInstruction(targetLang)}`;
+  } else {
+    systemMessage += `
+- Set "pronunciation_hangul" to an empty string.`;
+  }
+
+  systemMessage += buildGlossaryPrompt(glossaryTerms);
+
+  const userPrompt = JSON.stringify(group.map(({ id, text }) => ({ id, text })));
+  const totalChars = group.reduce((sum, s) => sum + s.text.length, 0);
+
   const parsed = await retryWithBackoff(async () => {
-    const resp = await fetchFn("https://api.openai.com/v1/chat/completions", {
+    const { content } = await callChatModel(route, {
+      systemMessage,
+      userPrompt,
+      temperature: config.temperature,
+      // 번역문 + 발음 + JSON 오버헤드를 고려해 글자 수에 비례해 확보
+      maxTokens: Math.min(8000, Math.max(config.maxTokens, totalChars * 4)),
+      signal
+    });
+    if (!content) throw new Error("배치 번역 응답 없음");
+
+    return parseModelJSON(content, "배치 응답을 JSON으로 파싱하지 못했습니다.");
+  }, 3, 300);
+
+  const translated = new Map();
+  (Array.isArray(parsed.segments) ? parsed.segments : []).forEach(item => {
+    if (!item || item.id === undefined || item.id === null) return;
+    const translation = (item.translation || '').toString();
+    const modelPronunciation = (item.pronunciation_hangul || '').toString();
+    translated.set(String(item.id), {
+      translation,
+      pronunciation_hangul: getPronunciation ? resolvePronunciation(translation, targetLang, modelPronunciation) : modelPronunciation
+    });
+  });
+
+  return translated;
+}
+
+// 배치 번역: 세그먼트별 공용 캐시 확인 → 남은 세그먼트만 묶어서 모델 호출
+// 응답 누락 세그먼트는 단건 번역으로 보충하고, 실패는 세그먼트 단위 에러로 반환
+// signal로 끊긴 세그먼트는 timedOut으로 표시 (문서 번역에서 대기 세그먼트로 돌림)
+async function translateBatch(rawSegments, targetLang, options = {}) {
+  const {
+    getPronunciation = true,
+    qualityLevel = 3,
+    apiKey = null,
+    requestedModel = null,
+    googleApiKey = null,
+    domain = 'general',
+    terminology = [],
+    teamTerminology = [],
+    teamIds = [],
+    userId = null,
+    signal = null
+  } = options;
+
+  const openaiKey = apiKey || OPENAI_API_KEY;
+  if (!openaiKey) throw new Error("서버 오류: API 키가 설정되어 있지 않습니다.");
+
+  const segments = normalizeBatchSegments(rawSegments);
+  const results = new Map();
+  const pending = [];
+  const seenIds = new Set();
+
+  for (const segment of segments) {
+    // 중복 ID는 첫 세그먼트만 번역 (결과 정렬 시 에러로 표시)
+    if (seenIds.has(segment.id)) continue;
+    seenIds.add(segment.id);
+
+    if (!segment.text.trim()) {
+      results.set(segment.id, { id: segment.id, success: false, error: '입력 텍스트가 비어있습니다.' });
+      continue;
+    }
+    if (segment.text.length > MAX_INPUT_CHARS) {
+      results.set(segment.id, { id: segment.id, success: false, error: `입력 길이 초과 (최대 ${MAX_INPUT_CHARS}자)` });
+      continue;
+    }
+
+    const glossaryTerms = collectGlossaryTerms(segment.text, domain, targetLang, terminology, teamTerminology);
+
+    // 🔧 세그먼트별 공용 캐시 확인 (용어집이 적용되는 세그먼트는 제외)
+    if (glossaryTerms.length === 0) {
+      const publicCache = await getPublicCache(segment.text, targetLang);
+      if (publicCache.success) {
+        recordCacheSavings('translate-batch', { segments: [segment.text], getPronunciation, model: requestedModel });
+        results.set(segment.id, {
+          id: segment.id,
+          success: true,
+          translation: publicCache.data.translation,
+          pronunciation_hangul: getPronunciation ? cachedPronunciation(publicCache.data, targetLang) : '',
+          fromCache: true
+        });
+        continue;
+      }
+    }
+
+    pending.push({ ...segment, glossaryTerms });
+  }
+
+  const route = resolveModelRoute(requestedModel, (QUALITY_CONFIG[qualityLevel] || QUALITY_CONFIG[3]).model, { openai: openaiKey, google: googleApiKey });
+  const groups = groupSegmentsForModel(pending);
+  let modelCalls = 0;
+
+  console.log(`[Batch] 세그먼트 ${segments.length}개 중 ${pending.length}개 번역, 모델 호출 ${groups.length}회 (${route.model})`);
+
+  for (const group of groups) {
+    // 묶음 안 세그먼트들의 용어를 합쳐서 한 번에 지시
+    const groupTerms = [];
+    const termKeys = new Set();
+    group.forEach(segment => segment.glossaryTerms.forEach(term => {
+      const key = term.source.toLowerCase();
+      if (termKeys.has(key)) return;
+      termKeys.add(key);
+      groupTerms.push(term);
+    }));
+
+    let translated = new Map();
+    try {
+      modelCalls++;
+      translated = await translateSegmentGroup(route, group, targetLang, { getPronunciation, qualityLevel, glossaryTerms: groupTerms, signal });
+    } catch (err) {
+      const timedOut = isDeadlineError(err);
+      console.error(`[Batch] 묶음 번역 ${timedOut ? '시간 한도로 중단' : '실패'}:`, err.message);
+      group.forEach(segment => {
+        results.set(segment.id, { id: segment.id, success: false, error: err.message, ...(timedOut && { timedOut }) });
+      });
+      continue;
+    }
+
+    for (const segment of group) {
+      let output = translated.get(segment.id);
+
+      // 응답에서 빠진 세그먼트는 단건 번역으로 보충 (시간 한도가 지났으면 보충하지 않음)
+      if ((!output || !output.translation) && signal?.aborted) {
+        results.set(segment.id, { id: segment.id, success: false, error: '시간 한도 초과', timedOut: true });
+        continue;
+      }
+      if (!output || !output.translation) {
+        console.log(`[Batch] 세그먼트 ${segment.id} 응답 누락 - 단건 번역으로 보충`);
+        try {
+          modelCalls++;
+          output = await translateAndPronounceSingleCall(segment.text, targetLang, getPronunciation, openaiKey, userId, {
+            requestedModel,
+            googleApiKey,
+            domain,
+            terminology,
+            teamTerminology,
+            teamIds
+          });
+        } catch (err) {
+          results.set(segment.id, { id: segment.id, success: false, error: err.message });
+          continue;
+        }
+      }
+
+      results.set(segment.id, {
+        id: segment.id,
+        success: true,
+        translation: output.translation,
+        pronunciation_hangul: getPronunciation ? (output.pronunciation_hangul || '') : '',
+        glossaryApplied: segment.glossaryTerms,
+        glossaryViolations: findGlossaryViolations(output.translation, segment.glossaryTerms)
+      });
+
+      // 🔧 용어집이 반영되지 않은 세그먼트만 공용 캐시에 저장
+      if (segment.glossaryTerms.length === 0) {
+        await setPublicCache(segment.text, targetLang, output.translation, output.pronunciation_hangul || '');
+      }
+    }
+  }
+
+  // 요청 순서대로 결과 정렬
+  const ordered = [];
+  const emitted = new Set();
+  segments.forEach(segment => {
+    if (emitted.has(segment.id)) {
+      ordered.push({ id: segment.id, success: false, error: '중복된 세그먼트 ID' });
+      return;
+    }
+    emitted.add(segment.id);
+    ordered.push(results.get(segment.id));
+  });
+
+  const translatedChars = pending
+    .filter(segment => results.get(segment.id)?.success)
+    .reduce((sum, segment) => sum + segment.text.length, 0);
+
+  return {
+    results: ordered,
+    model: route.model,
+    provider: route.provider,
+    stats: {
+      total: ordered.length,
+      succeeded: ordered.filter(r => r.success).length,
+      failed: ordered.filter(r => !r.success).length,
+      fromCache: ordered.filter(r => r.fromCache).length,
+      modelCalls,
+      translatedChars
+    }
+  };
+}
+
+// ===================================================
+// 📜 장문 번역 (MAX_INPUT_CHARS 초과 입력을 청크로 나눠 순차 번역)
+// ===================================================
+
+const MAX_LONG_TEXT_CHARS = 60000;
+const LONG_TEXT_CHUNK_CHARS = 2500;
+
+// 문단 경계 우선, 긴 문단은 문장 경계로 분할해서 청크 구성
+// 각 청크는 뒤에 붙는 구분자(separator)를 기억해서 번역 결과를 원래 문단 구조로 다시 이어 붙임
+function chunkLongText(text, maxChars = LONG_TEXT_CHUNK_CHARS) {
+  const pieces = [];
+  const paragraphs = text.split(/(\n\s*\n)/);
+
+  for (let i = 0; i < paragraphs.length; i += 2) {
+    const paragraph = paragraphs[i];
+    const paragraphSeparator = paragraphs[i + 1] || '';
+    if (!paragraph.trim()) continue;
+
+    const sentences = paragraph.length > maxChars ? splitIntoSentences(paragraph, maxChars) : [paragraph.trim()];
+    sentences.forEach((sentence, idx) => {
+      pieces.push({ text: sentence, separator: idx === sentences.length - 1 ? paragraphSeparator : ' ' });
+    });
+  }
+
+  const chunks = [];
+  let current = null;
+  for (const piece of pieces) {
+    if (current && current.text.length + current.separator.length + piece.text.length <= maxChars) {
+      current.text += current.separator + piece.text;
+      current.separator = piece.separator;
+    } else {
+      if (current) chunks.push(current);
+      current = { ...piece };
+    }
+  }
+  if (current) chunks.push(current);
+
+  return chunks.map((chunk, index) => ({ index, sourceText: chunk.text, separator: chunk.separator }));
+}
+
+async function translateLongTextChunk(route, chunk, totalChunks, targetLang, context, { config, glossaryTerms, signal = null }) {
+  const sourceLanguage = detectSourceLanguage(chunk.sourceText);
+
+  let systemMessage = `
+You are a professional translator translating a long document chunk by chunk.
+ALWAYS return only valid JSON with exactly two keys: "translation" (string) and "summary" (string).
+Rules:
+- Translate ONLY the current chunk from ${sourceLanguage} to ${targetLang}; do not repeat the previous chunk.
+- Keep terminology, names, formality, and tone consistent with the previous context.
+- Preserve line breaks, numbering, named entities, product codes, and URLs.
+- "summary": a concise running summary (max 5 sentences, English) of the document so far including this chunk, listing key terms with the translations you chose.`;
+
+  systemMessage += buildGlossaryPrompt(glossaryTerms);
+
+  let userPrompt = '';
+  if (context.summary) {
+    userPrompt += `Document summary so far:\n${context.summary}\n\n`;
+  }
+  if (context.previousTranslation) {
+    userPrompt += `Previous chunk translation (for continuity only):\n"""${context.previousTranslation.slice(-1500)}"""\n\n`;
+  }
+  userPrompt += `Current chunk (${chunk.index + 1}/${totalChunks}):\n"""${chunk.sourceText}"""`;
+
+  const parsed = await retryWithBackoff(async () => {
+    const { content } = await callChatModel(route, {
+      systemMessage,
+      userPrompt,
+      temperature: config.temperature,
+      maxTokens: Math.min(8000, Math.max(config.maxTokens, chunk.sourceText.length * 3)),
+      signal
+    });
+    if (!content) throw new Error("장문 번역 응답 없음");
+
+    return parseModelJSON(content, "장문 번역 응답을 JSON으로 파싱하지 못했습니다.");
+  }, 2, 300);
+
+  return {
+    translation: (parsed.translation || '').toString(),
+    summary: (parsed.summary || '').toString()
+  };
+}
+
+// 장문 번역: 이전 요약 + 직전 청크 번역을 문맥으로 순차 번역 후 이어 붙이기
+// previousChunks(이전 응답의 longTextChunks)를 넘기면 완료된 청크는 재사용하고 실패/대기 청크만 번역
+// deadline(함수 실행 한도 - 응답 여유)이 지나면 진행 중인 청크 호출을 끊고 남은 청크는 'pending'으로 돌려줘서 클라이언트가 이어서 요청
+async function translateLongText(inputText, targetLang, options = {}) {
+  const {
+    qualityLevel = 3,
+    apiKey = null,
+    requestedModel = null,
+    googleApiKey = null,
+    domain = 'general',
+    terminology = [],
+    teamTerminology = [],
+    previousChunks = null,
+    deadline = requestDeadline(null)
+  } = options;
+
+  const openaiKey = apiKey || OPENAI_API_KEY;
+  if (!openaiKey) throw new Error("서버 오류: API 키가 설정되어 있지 않습니다.");
+  if (inputText.length > MAX_LONG_TEXT_CHARS) throw new Error(`입력 길이 초과 (최대 ${MAX_LONG_TEXT_CHARS}자)`);
+
+  const config = QUALITY_CONFIG[qualityLevel] || QUALITY_CONFIG[3];
+  const route = resolveModelRoute(requestedModel, config.model, { openai: openaiKey, google: googleApiKey });
+  const chunks = chunkLongText(inputText);
+
+  // 클라이언트가 보낸 이전 결과는 같은 원문 청크일 때만 재사용
+  const previousByIndex = new Map();
+  (Array.isArray(previousChunks) ? previousChunks : []).forEach(prev => {
+    const chunk = chunks[prev?.index];
+    if (chunk && prev.status === 'done' && prev.sourceText === chunk.sourceText && typeof prev.translation === 'string') {
+      previousByIndex.set(chunk.index, prev);
+    }
+  });
+
+  const context = { summary: '', previousTranslation: '' };
+  const results = [];
+  let translatedChars = 0;
+
+  console.log(`[LongText] ${inputText.length}자 → 청크 ${chunks.length}개 (재사용 ${previousByIndex.size}개, ${route.model})`);
+
+  for (const chunk of chunks) {
+    const reused = previousByIndex.get(chunk.index);
+    if (reused) {
+      results.push({ ...chunk, status: 'done', translation: reused.translation, summary: reused.summary || '' });
+      context.summary = reused.summary || context.summary;
+      context.previousTranslation = reused.translation;
+      continue;
+    }
+
+    if (Date.now() >= deadline) {
+      results.push({ ...chunk, status: 'pending', translation: '' });
+      continue;
+    }
+
+    try {
+      const glossaryTerms = collectGlossaryTerms(chunk.sourceText, domain, targetLang, terminology, teamTerminology);
+      const output = await translateLongTextChunk(route, chunk, chunks.length, targetLang, context, {
+        config,
+        glossaryTerms,
+        signal: deadlineSignal(deadline)
+      });
+
+      results.push({
+        ...chunk,
+        status: 'done',
+        translation: output.translation,
+        summary: output.summary,
+        glossaryViolations: findGlossaryViolations(output.translation, glossaryTerms)
+      });
+      translatedChars += chunk.sourceText.length;
+      context.summary = output.summary || context.summary;
+      context.previousTranslation = output.translation;
+    } catch (err) {
+      // 시간 한도로 끊긴 청크는 실패가 아니라 대기 - 이어하기 요청에서 다시 번역
+      if (isDeadlineError(err)) {
+        console.warn(`[LongText] 청크 ${chunk.index + 1} 시간 한도로 중단`);
+        results.push({ ...chunk, status: 'pending', translation: '' });
+        continue;
+      }
+      console.error(`[LongText] 청크 ${chunk.index + 1} 번역 실패:`, err.message);
+      results.push({ ...chunk, status: 'failed', translation: '', error: err.message });
+    }
+  }
+
+  // 완료된 청크만 원래 구분자로 이어 붙임 (실패/대기 청크는 비워 둠)
+  const translation = results
+    .map(chunk => chunk.status === 'done' ? chunk.translation + chunk.separator : '')
+    .join('')
+    .trim();
+
+  const failedChunks = results.filter(chunk => chunk.status === 'failed').length;
+  const pendingChunks = results.filter(chunk => chunk.status === 'pending').length;
+
+  return {
+    translation,
+    pronunciation_hangul: '',
+    model: route.model,
+    provider: route.provider,
+    longText: true,
+    longTextChunks: results,
+    completedChunks: results.length - failedChunks - pendingChunks,
+    failedChunks,
+    pendingChunks,
+    translatedChars
+  };
+}
+
+// 문장 종결 부호 (중국어/일본어 전각 부호 포함) - 마침표 없이 끝나는 마지막 문장도 포함
+const SENTENCE_PATTERN = /[^.!?。！？]+[.!?。！？]+|[^.!?。！？]+$/g;
+
+// 종결 부호 없이 maxLength를 넘는 문장(목록, 표, 띄어쓰기 없는 긴 문장 등)은 마지막 공백에서,
+// 공백도 없으면 글자 수에서 강제로 나눔 (서로게이트 쌍은 자르지 않음)
+function hardSplitText(text, maxLength) {
+  const pieces = [];
+  let rest = text;
+
+  while (rest.length > maxLength) {
+    const head = rest.slice(0, maxLength + 1);
+    let cut = Math.max(head.lastIndexOf(' '), head.lastIndexOf('\n'), head.lastIndexOf('\t'));
+    if (cut <= 0) {
+      cut = maxLength;
+      if (/[\uDC00-\uDFFF]/.test(rest[cut])) cut--;
+    }
+    pieces.push(rest.slice(0, cut));
+    rest = rest.slice(cut);
+  }
+  if (rest) pieces.push(rest);
+
+  return pieces;
+}
+
+// 문장 분할 헬퍼 - 모든 조각이 maxLength 이하가 되도록 분할
+function splitIntoSentences(text, maxLength = 200) {
+  const sentences = (text.match(SENTENCE_PATTERN) || [text])
+    .flatMap(sentence => (sentence.length > maxLength ? hardSplitText(sentence, maxLength) : [sentence]));
+  const chunks = [];
+  
+  let currentChunk = '';
+  for (const sentence of sentences) {
+    if ((currentChunk + sentence).length <= maxLength) {
+      currentChunk += sentence;
+    } else {
+      if (currentChunk) chunks.push(currentChunk.trim());
+      currentChunk = sentence;
+    }
+  }
+  if (currentChunk) chunks.push(currentChunk.trim());
+  
+  return chunks.filter(Boolean);
+}
+
+// ===================================================
+// 🚀 스트리밍 번역 (translate-stream)
+// ===================================================
+
+// 번역문과 발음을 한 번의 스트림으로 받기 위한 구분자
+const PRONUNCIATION_MARKER = '[[PRONUNCIATION]]';
+const supportsResponseStreaming = typeof awslambda !== 'undefined' && typeof streamifyHandler === 'function';
+
+// SSE 응답 본문을 data 라인 단위로 읽기
+async function* readSSEData(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  // node-fetch(Node 스트림)와 전역 fetch(Web 스트림) 모두 async iterable
+  for await (const part of body) {
+    buffer += typeof part === 'string' ? part : decoder.decode(part, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      const trimmed = line.trim();
+      if (trimmed.startsWith('data:')) yield trimmed.slice(5).trim();
+    }
+  }
+  if (buffer.trim().startsWith('data:')) yield buffer.trim().slice(5).trim();
+}
+
+// 프로바이더별 스트리밍 호출에서 텍스트 delta만 추출
+// 토큰 사용량은 OpenAI 마지막 청크(include_usage) / Gemini usageMetadata로 받아 스트림이 끝날 때 원장에 기록
+async function* streamChatModel(route, request) {
+  const isGoogle = route.provider === 'google';
+  const resp = isGoogle
+    ? await fetchFn(`${geminiEndpoint(route.model, 'streamGenerateContent', route.apiKey)}&alt=sse`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(buildGeminiPayload({ ...request, jsonMode: false }))
+    })
+    : await fetchFn("https://api.openai.com/v1/chat/completions", {
       method: "POST",
       headers: {
-        "Authorization": `Bearer ${apiKey}`,
+        "Authorization": `Bearer ${route.apiKey}`,
         "Content-Type": "application/json"
       },
-      body: JSON.stringify(payload)
+      body: JSON.stringify({ ...buildOpenAIPayload(route, request), stream: true, stream_options: { include_usage: true } })
     });
 
-    if (!resp.ok) {
-      const txt = await resp.text();
-      throw new Error(`번역 API 오류 ${resp.status}: ${txt}`);
+  if (!resp.ok) {
+    const txt = await resp.text();
+    throw new Error(`스트리밍 번역 API 오류 ${resp.status}: ${txt}`);
+  }
+
+  let content = '';
+  let usage = null;
+  try {
+    for await (const data of readSSEData(resp.body)) {
+      if (data === '[DONE]') return;
+
+      try {
+        const json = JSON.parse(data);
+        const delta = isGoogle
+          ? (json?.candidates?.[0]?.content?.parts || []).map(p => p.text || '').join('')
+          : json?.choices?.[0]?.delta?.content;
+        usage = (isGoogle ? json?.usageMetadata : json?.usage) || usage;
+        if (delta) {
+          content += delta;
+          yield delta;
+        }
+      } catch (e) {
+        // 불완전한 이벤트 라인은 무시
+      }
     }
-    const data = await resp.json();
-    const content = data?.choices?.[0]?.message?.content;
-    if (!content) throw new Error("번역 응답 없음");
+  } finally {
+    recordChatUsage(route, request, content, usage);
+  }
+}
 
-    try {
-      return JSON.parse(content);
-    } catch (e) {
-      const s = content.indexOf('{'), eidx = content.lastIndexOf('}');
-      if (s !== -1 && eidx !== -1) {
-        const maybe = content.substring(s, eidx + 1);
-        return JSON.parse(maybe);
+// 스트리밍 번역 이벤트 생성기: delta → done (또는 error)
+async function* streamTranslationEvents(inputText, targetLang, options = {}) {
+  const {
+    getPronunciation = true,
+    useAIContext = false,
+    contextualPrompt = null,
+    qualityLevel = 3,
+    apiKey = OPENAI_API_KEY,
+    requestedModel = null,
+    googleApiKey = null,
+    domain = 'general',
+    terminology = [],
+    teamTerminology = [],
+    teamIds = [],
+    userId = null
+  } = options;
+  const isAIMode = !!(useAIContext && contextualPrompt);
+  const glossaryMatches = collectGlossaryTerms(inputText, domain, targetLang, terminology, teamTerminology);
+
+  // 피드백/TM 100% 일치 결과는 스트리밍 없이 바로 완료
+  const completeWith = function* (result) {
+    yield { type: 'delta', text: result.translation };
+    yield {
+      type: 'done',
+      ...result,
+      chunks: splitIntoSentences(result.translation),
+      glossaryApplied: [],
+      glossaryViolations: [],
+      streamingUsed: false
+    };
+  };
+
+  try {
+    // 📝 사용자 피드백 확인 (정확 일치 시 교정본 그대로)
+    const feedback = await lookupUserFeedback(userId, inputText, targetLang);
+    if (feedback.matchType === 'exact') {
+      console.log('[Feedback] 정확 일치 피드백 적용 (스트리밍)');
+      yield* completeWith(await feedbackExactResult(feedback, targetLang, {
+        getPronunciation,
+        route: resolveModelRoute(requestedModel, FEEDBACK_PRONUNCIATION_MODEL, { openai: apiKey, google: googleApiKey })
+      }));
+      return;
+    }
+    const hasFeedbackExamples = feedback.examples.length > 0;
+
+    // 🧠 번역 메모리 확인 (100% 일치 시 승인된 번역 그대로)
+    const memory = await lookupTranslationMemory(userId, inputText, targetLang, teamIds);
+    if (memory.exact) {
+      console.log('[TM] 100% 일치 번역 메모리 적용 (스트리밍)');
+      yield* completeWith(translationMemoryExactResult(memory.exact));
+      return;
+    }
+    const memoryKey = memory.matches.map(match => match.id).join(',');
+
+    // 🔧 공용 캐시 확인 (일반 번역, 피드백/TM/용어집 미적용) - 히트 시 스트리밍 없이 즉시 완료
+    const usePublicCache = !isAIMode && !hasFeedbackExamples && !memoryKey && glossaryMatches.length === 0;
+    if (usePublicCache) {
+      const publicCache = await getPublicCache(inputText, targetLang);
+      if (publicCache.success) {
+        recordCacheSavings('translate-stream', { inputText, getPronunciation, model: requestedModel });
+        const translation = publicCache.data.translation;
+        yield { type: 'delta', text: translation };
+        yield {
+          type: 'done',
+          translation,
+          pronunciation_hangul: getPronunciation ? cachedPronunciation(publicCache.data, targetLang) : '',
+          chunks: splitIntoSentences(translation),
+          glossaryApplied: [],
+          glossaryViolations: [],
+          fromCache: true,
+          streamingUsed: false
+        };
+        return;
+      }
+    }
+
+    const sourceLanguage = detectSourceLanguage(inputText);
+    const config = isAIMode
+      ? (QUALITY_CONFIG[qualityLevel] || QUALITY_CONFIG[3])
+      : { model: "gpt-4o", temperature: 0.0, maxTokens: 1500 };
+    const route = resolveModelRoute(requestedModel, config.model, { openai: apiKey, google: googleApiKey });
+
+    // 일반 번역은 translate와 같은 메모리 캐시 사용 (AI 문맥 번역은 프롬프트가 달라 제외)
+    const cacheKey = isAIMode ? null : translationCacheKey({
+      model: route.model,
+      glossaryKey: glossaryCacheKey(glossaryMatches),
+      targetLang,
+      inputText,
+      getPronunciation,
+      feedbackUserId: hasFeedbackExamples ? userId : '',
+      memoryKey
+    });
+    const cached = cacheKey ? getCache(cacheKey) : null;
+    if (cached) {
+      yield { type: 'delta', text: cached.translation };
+      yield {
+        type: 'done',
+        ...cached,
+        chunks: splitIntoSentences(cached.translation),
+        fromCache: true,
+        streamingUsed: false
+      };
+      return;
+    }
+
+    let systemMessage = `
+You are a professional, consistent translator.
+Rules:
+- Translate the given ${sourceLanguage} text to ${targetLang}.
+- Preserve named entities, product codes, and email/URLs as-is.
+- Keep translation natural and fluent.
+- Output the translation as plain text first (no JSON, no markdown, no quotes).`;
+
+    if (getPronunciation && !usesLocalPronunciation(targetLang)) {
+      systemMessage += `
+- After the translation, output a new line containing exactly ${PRONUNCIATION_MARKER}
+- Then output a Korean-readable transcription (한글 표기) of the translated ${targetLang} text. ${pronunciationInstruction(targetLang)}`;
+    } else {
+      systemMessage += `
+- Output ONLY the translation text.`;
+    }
+
+    systemMessage += buildGlossaryPrompt(glossaryMatches);
+    systemMessage += buildFeedbackExamplesPrompt(feedback.examples);
+    systemMessage += buildTranslationMemoryPrompt(memory.matches);
+
+    const userPrompt = isAIMode ? contextualPrompt : `Text: """${inputText}"""`;
+    const request = {
+      systemMessage,
+      userPrompt,
+      temperature: config.temperature,
+      maxTokens: config.maxTokens
+    };
+
+    console.log('[Streaming] 사용 모델:', route.model, `(${route.provider})`, '모드:', isAIMode ? 'AI' : '일반');
+
+    let full = '';
+    let emitted = 0;
+
+    for await (const delta of streamChatModel(route, request)) {
+      full += delta;
+      // 구분자가 잘려서 들어올 수 있으므로 구분자 길이만큼은 보류
+      const markerIdx = full.indexOf(PRONUNCIATION_MARKER);
+      const visibleEnd = markerIdx !== -1
+        ? markerIdx
+        : Math.max(emitted, full.length - PRONUNCIATION_MARKER.length);
+
+      if (visibleEnd > emitted) {
+        yield { type: 'delta', text: full.slice(emitted, visibleEnd) };
+        emitted = visibleEnd;
+      }
+    }
+
+    const markerIdx = full.indexOf(PRONUNCIATION_MARKER);
+    const rawTranslation = markerIdx !== -1 ? full.slice(0, markerIdx) : full;
+    if (rawTranslation.length > emitted) {
+      yield { type: 'delta', text: rawTranslation.slice(emitted) };
+    }
+
+    const translation = rawTranslation.trim();
+    if (!translation) throw new Error("스트리밍 번역 응답 없음");
+
+    const modelPronunciation = getPronunciation && markerIdx !== -1
+      ? full.slice(markerIdx + PRONUNCIATION_MARKER.length).trim()
+      : '';
+    const pronunciation = getPronunciation ? resolvePronunciation(translation, targetLang, modelPronunciation) : '';
+
+    const safe = {
+      translation,
+      pronunciation_hangul: pronunciation,
+      model: route.model,
+      provider: route.provider,
+      glossaryApplied: glossaryMatches,
+      // 스트리밍은 이미 출력된 결과라 재요청 없이 위반 목록만 보고
+      glossaryViolations: findGlossaryViolations(translation, glossaryMatches)
+    };
+    if (hasFeedbackExamples) {
+      safe.feedbackApplied = true;
+      safe.feedbackMatchType = 'fuzzy';
+    }
+    if (memory.matches.length > 0) {
+      safe.tmMatch = describeTranslationMemoryMatch(memory.matches[0]);
+      safe.tmReferences = memory.matches.length;
+    }
+    if (cacheKey) setCache(cacheKey, safe);
+    if (usePublicCache) {
+      await setPublicCache(inputText, targetLang, safe.translation, safe.pronunciation_hangul);
+    }
+
+    yield {
+      type: 'done',
+      ...safe,
+      chunks: splitIntoSentences(translation),
+      streamingUsed: true,
+      usageCost: currentUsageCost()
+    };
+  } catch (err) {
+    console.error('[Streaming] 스트리밍 번역 오류:', err.message);
+    yield { type: 'error', error: err.message, fallbackToNormal: true };
+  }
+}
+
+// 이벤트 생성기를 NDJSON 문자열 스트림으로 변환
+async function* toNDJSON(events) {
+  for await (const evt of events) {
+    yield JSON.stringify(evt) + '\n';
+  }
+}
+
+// ===================================================
+// 📄 문서 번역 (translate-document: .txt / .srt / .docx)
+// ===================================================
+
+const MAX_DOCUMENT_BYTES = 4 * 1024 * 1024;
+const MAX_DOCUMENT_CHARS = 30000;
+const DOCUMENT_SEGMENT_MAX_CHARS = 800;   // 긴 문단은 문장 단위로 나눠서 번역
+const DOCUMENT_BATCH_SEGMENTS = 20;       // 진행률 보고 단위 (배치 1회)
+
+// 문서 단위(줄/자막/문단)를 번역 세그먼트로 분할 - 긴 단위는 splitIntoSentences로 나눔
+function segmentDocumentUnits(units) {
+  const segments = [];
+  units.forEach(unit => {
+    const parts = unit.text.length > DOCUMENT_SEGMENT_MAX_CHARS
+      ? splitIntoSentences(unit.text, DOCUMENT_SEGMENT_MAX_CHARS)
+      : [unit.text];
+    parts.forEach((text, part) => segments.push({ id: `${unit.id}#${part}`, unitId: unit.id, text }));
+  });
+  return segments;
+}
+
+function translatedFileName(fileName, targetLang, format) {
+  const base = fileName.replace(/\.[^.]+$/, '') || 'document';
+  const language = getLanguage(targetLang);
+  const langCode = language ? language.code : targetLang.toLowerCase();
+  return `${base}.${langCode}.${format}`;
+}
+
+// 세그먼트 배치 번역 진행 상황을 이벤트로 내보내고 마지막에 같은 형식의 파일 생성
+// 번역에 실패한 세그먼트는 원문을 유지하고 failures로 보고
+// previousSegments(이전 응답의 documentSegments)를 넘기면 완료된 세그먼트는 재사용하고 실패/대기 세그먼트만 번역
+// deadline(함수 실행 한도 - 응답 여유)이 지나면 진행 중인 호출을 끊고 남은 세그먼트는 'pending'으로 둔 채 부분 결과 파일을 먼저 돌려줌
+// (버퍼링 런타임은 함수가 끝나야 응답이 나가므로 한도를 넘기면 타임아웃으로 결과를 모두 잃음)
+async function* streamDocumentTranslationEvents(document, targetLang, options = {}) {
+  const { fileName, format, units, template } = document;
+  const { userId = null, previousSegments = null, deadline = requestDeadline(null), ...batchOptions } = options;
+  const segments = segmentDocumentUnits(units);
+  const translations = new Map();
+  const failures = [];
+  const failedIds = new Set();
+  let translatedChars = 0;
+  let provider = 'openai';
+
+  // 클라이언트가 보낸 이전 결과는 같은 원문 세그먼트일 때만 재사용
+  const segmentsById = new Map(segments.map(segment => [segment.id, segment]));
+  (Array.isArray(previousSegments) ? previousSegments : []).forEach(prev => {
+    const segment = segmentsById.get(prev?.id);
+    if (segment && prev.status === 'done' && prev.sourceText === segment.text && typeof prev.translation === 'string') {
+      translations.set(segment.id, prev.translation);
+    }
+  });
+  const remaining = segments.filter(segment => !translations.has(segment.id));
+  let completed = segments.length - remaining.length;
+
+  yield { type: 'start', fileName, format, totalSegments: segments.length, completed };
+
+  const pendingIds = new Set();
+
+  try {
+    for (let i = 0; i < remaining.length; i += DOCUMENT_BATCH_SEGMENTS) {
+      if (Date.now() >= deadline) {
+        remaining.slice(i).forEach(segment => pendingIds.add(segment.id));
+        break;
+      }
+
+      const chunk = remaining.slice(i, i + DOCUMENT_BATCH_SEGMENTS);
+      const batch = await translateBatch(chunk.map(({ id, text }) => ({ id, text })), targetLang, {
+        ...batchOptions,
+        getPronunciation: false,
+        userId,
+        signal: deadlineSignal(deadline)
+      });
+      translatedChars += batch.stats.translatedChars;
+      provider = batch.provider;
+
+      for (const result of batch.results) {
+        const segment = chunk.find(seg => seg.id === result.id);
+        // 시간 한도로 끊긴 세그먼트는 실패가 아니라 대기 - 이어하기 요청에서 다시 번역
+        if (result.timedOut) {
+          pendingIds.add(segment.id);
+          continue;
+        }
+        completed++;
+        if (result.success) {
+          translations.set(segment.id, result.translation);
+        } else {
+          failedIds.add(segment.id);
+          failures.push({ id: segment.unitId, error: result.error });
+        }
+        yield {
+          type: 'progress',
+          segmentId: segment.unitId,
+          completed,
+          total: segments.length,
+          success: result.success,
+          ...(result.error && { error: result.error })
+        };
       }
-      throw new Error("응답을 JSON으로 파싱하지 못했습니다.");
     }
-  }, 3, 300);
 
-  const safe = {
-    translation: (parsed.translation || parsed.translated_text || "").toString(),
-    pronunciation_hangul: (parsed.pronunciation_hangul || parsed.pronunciation || parsed.pron || "").toString()
-  };
+    // 분할했던 세그먼트를 원래 단위로 다시 합치기 (실패/대기 세그먼트는 원문 유지)
+    const unitTranslations = new Map();
+    segments.forEach(segment => {
+      const previous = unitTranslations.get(segment.unitId);
+      const text = translations.has(segment.id) ? translations.get(segment.id) : segment.text;
+      unitTranslations.set(segment.unitId, previous ? `${previous} ${text}` : text);
+    });
 
-  setCache(cacheKey, safe);
-  
-  // 🔧 공용 캐시에도 저장
-  await setPublicCache(inputText, targetLang, safe.translation, safe.pronunciation_hangul);
-  
-  return safe;
+    if (pendingIds.size > 0) {
+      console.log(`[Document] 시간 한도 도달 - ${segments.length - pendingIds.size}/${segments.length} 세그먼트 완료, ${pendingIds.size}개 대기`);
+    }
+
+    const output = buildDocument(format, template, unitTranslations);
+
+    const usageCost = await commitUsage('translation', translatedChars);
+    if (userId) console.log(`[Usage] 문서 번역 ${translatedChars}자, 비용: $${usageCost.toFixed(6)} (${provider})`);
+
+    yield {
+      type: 'done',
+      fileName: translatedFileName(fileName, targetLang, format),
+      mimeType: DOCUMENT_MIME_TYPES[format],
+      fileContent: output.toString('base64'),
+      usageCost: currentUsageCost(),
+      totalSegments: segments.length,
+      failures,
+      pendingSegments: pendingIds.size,
+      // 이어하기용 세그먼트 상태 - 대기 세그먼트가 있으면 클라이언트가 같은 파일과 함께 다시 보냄
+      documentSegments: segments.map(segment => ({
+        id: segment.id,
+        sourceText: segment.text,
+        status: pendingIds.has(segment.id) ? 'pending' : (failedIds.has(segment.id) ? 'failed' : 'done'),
+        translation: translations.get(segment.id) || ''
+      }))
+    };
+  } catch (err) {
+    console.error('[Document] 문서 번역 오류:', err.message);
+    yield { type: 'error', error: err.message };
+  }
 }
 
-// 문장 분할 헬퍼
-function splitIntoSentences(text, maxLength = 200) {
-  const sentences = text.match(/[^.!?]+[.!?]+/g) || [text];
-  const chunks = [];
-  
-  let currentChunk = '';
-  for (const sentence of sentences) {
-    if ((currentChunk + sentence).length <= maxLength) {
-      currentChunk += sentence;
-    } else {
-      if (currentChunk) chunks.push(currentChunk.trim());
-      currentChunk = sentence;
-    }
+// NDJSON 이벤트 응답 생성 (스트리밍 미지원 런타임에서는 한 번에 버퍼링)
+async function buildNDJSONResponse(events, headers) {
+  let body;
+  if (supportsResponseStreaming) {
+    const ledger = usageLedger.getStore();
+    body = Readable.from(toNDJSON(ledger ? withUsageLedger(ledger, events) : events));
+  } else {
+    body = '';
+    for await (const line of toNDJSON(events)) body += line;
   }
-  if (currentChunk) chunks.push(currentChunk.trim());
-  
-  return chunks;
+
+  return {
+    statusCode: 200,
+    headers: {
+      ...headers,
+      'Content-Type': 'application/x-ndjson; charset=utf-8',
+      'Cache-Control': 'no-cache'
+    },
+    body
+  };
 }
 
 // Google Cloud TTS (기존 그대로)
-async function getGoogleTTS(text, languageCode = 'vi-VN', voiceName = null, speakingRate = 1.0) {
+// allowOpenAIFallback: false면 실패 시 유료 OpenAI TTS로 대체하지 않음 (예산 초과로 Google TTS로 전환된 요청)
+async function getGoogleTTS(text, languageCode = 'vi-VN', voiceName = null, speakingRate = 1.0, { allowOpenAIFallback = true } = {}) {
   console.log('[Google TTS] 시작:', { 
     text: text.substring(0, 50), 
     languageCode, 
     voiceName,
     speakingRate 
   });
+
+  const fallbackToOpenAI = () => {
+    if (!allowOpenAIFallback) throw new Error('Google TTS를 사용할 수 없습니다 (예산 초과로 OpenAI TTS 대체 안 함)');
+    return getOpenAITTS(text, 'nova');
+  };
   
   try {
     if (!process.env.GOOGLE_SERVICE_ACCOUNT_JSON) {
       console.error('GOOGLE_SERVICE_ACCOUNT_JSON 환경변수 없음');
-      return await getOpenAITTS(text, 'nova');
+      return await fallbackToOpenAI();
     }
     
     const { GoogleAuth } = require('google-auth-library');
@@ -341,32 +2131,16 @@ async function getGoogleTTS(text, languageCode = 'vi-VN', voiceName = null, spea
     
     if (!accessToken || !accessToken.token) {
       console.error('Google 액세스 토큰 없음');
-      return await getOpenAITTS(text, 'nova');
+      return await fallbackToOpenAI();
     }
 
-    let selectedVoice = voiceName;
-    
-    if (!selectedVoice) {
-      if (languageCode.startsWith('vi')) {
-        selectedVoice = 'vi-VN-Standard-A';
-      } else if (languageCode.startsWith('ko')) {
-        selectedVoice = 'ko-KR-Standard-A';
-      } else {
-        selectedVoice = 'en-US-Standard-C';
-      }
-    }
+    let selectedVoice = voiceName || defaultTTSVoice(languageCode);
     
-    const voiceLangCode = selectedVoice.substring(0, 5);
-    const requestLangCode = languageCode.substring(0, 5);
-    
-    if (voiceLangCode !== requestLangCode) {
-      console.log(`[Google TTS] 언어 코드 불일치 감지: voice=${voiceLangCode}, request=${requestLangCode}`);
-      
-      if (requestLangCode === 'vi-VN') {
-        selectedVoice = voiceName?.includes('-B') || voiceName?.includes('-D') ? 'vi-VN-Standard-B' : 'vi-VN-Standard-A';
-      } else if (requestLangCode === 'ko-KR') {
-        selectedVoice = voiceName?.includes('-C') || voiceName?.includes('-D') ? 'ko-KR-Standard-C' : 'ko-KR-Standard-A';
-      }
+    // 다른 언어용 음성이 선택된 경우 요청 언어의 같은 성별 기본 음성으로 교체
+    const requestLanguage = getLanguageByTTSCode(languageCode);
+    if (requestLanguage && !selectedVoice.startsWith(`${requestLanguage.ttsLanguageCode}-`)) {
+      console.log(`[Google TTS] 언어 코드 불일치 감지: voice=${selectedVoice}, request=${languageCode}`);
+      selectedVoice = defaultTTSVoice(languageCode, voiceGender(selectedVoice));
     }
     
     console.log('[Google TTS] 최종 선택된 음성:', selectedVoice);
@@ -402,17 +2176,25 @@ async function getGoogleTTS(text, languageCode = 'vi-VN', voiceName = null, spea
     if (!response.ok) {
       const errorText = await response.text();
       console.error(`Google TTS API 오류 ${response.status}:`, errorText);
-      return await getOpenAITTS(text, 'nova');
+      return await fallbackToOpenAI();
     }
 
     const data = await response.json();
     
     if (!data.audioContent) {
       console.error('audioContent 없음:', data);
-      return await getOpenAITTS(text, 'nova');
+      return await fallbackToOpenAI();
     }
     
     const audioBuffer = Buffer.from(data.audioContent, 'base64');
+    recordUsage({
+      feature: 'tts',
+      provider: 'google',
+      model: selectedVoice,
+      characters: text.length,
+      cost: ttsCost('google', selectedVoice, text.length),
+      userKey: false
+    });
     
     console.log('[Google TTS] 성공:', {
       voice: selectedVoice,
@@ -426,7 +2208,7 @@ async function getGoogleTTS(text, languageCode = 'vi-VN', voiceName = null, spea
     console.error('[Google TTS] 실패:', err.message);
     try {
       console.log('[Google TTS] OpenAI로 폴백 시도');
-      return await getOpenAITTS(text, 'nova');
+      return await fallbackToOpenAI();
     } catch (fallbackErr) {
       console.error('[Google TTS] 폴백도 실패:', fallbackErr.message);
       throw fallbackErr;
@@ -449,7 +2231,7 @@ async function getOpenAITTS(text, voice = 'alloy', apiKey = null) {
   console.log(`[OpenAI TTS] 요청: ${trimmed.length}자, 음성: ${voice}, 키타입: ${isUserKey ? '사용자' : '시스템'}`);
 
   const body = {
-    model: 'tts-1-hd',
+    model: DEFAULT_OPENAI_TTS_MODEL,
     input: trimmed,
     voice: voice
   };
@@ -482,13 +2264,281 @@ async function getOpenAITTS(text, voice = 'alloy', apiKey = null) {
   }, 3, 400);
   
   const buffer = Buffer.from(arrBuff);
+  recordUsage({
+    feature: 'tts',
+    provider: 'openai',
+    model: body.model,
+    characters: trimmed.length,
+    cost: ttsCost('openai', body.model, trimmed.length),
+    userKey: ttsApiKey !== OPENAI_API_KEY
+  });
   console.log(`[OpenAI TTS] 성공: ${buffer.length}바이트 생성`);
   
   return buffer;
 }
 
+// ===================================================
+// 🎤 발음 평가 - 녹음(16kHz 모노 WAV)을 Azure 발음 평가(Pronunciation Assessment)로 보내 음절별 정확도를 받고
+// 베트남어 성조는 같은 녹음의 음높이 궤적으로 판정 (js/tone-analyzer.js)
+// PRONUNCIATION_SCORER=local 이거나 요청에 scorer: 'local'이면 로컬 대체 채점기 (브라우저 transcript + 녹음 음높이, 테스트/오프라인용)
+// ===================================================
+const MAX_PRONUNCIATION_AUDIO_BYTES = 2 * 1024 * 1024;
+const AZURE_SPEECH_KEY = process.env.AZURE_SPEECH_KEY;
+const AZURE_SPEECH_REGION = process.env.AZURE_SPEECH_REGION;
+const PRONUNCIATION_ASSESSMENT_MODEL = 'azure-pronunciation';
+const AZURE_TICKS_PER_SECOND = 10000000; // Offset/Duration은 100ns 단위
+
+// → { transcript, words: [{ text, accuracy, errorType, start, end }], duration, confidence }
+// 기준 문장을 함께 보내 서비스가 단어를 기준 문장에 맞춰 정렬 (EnableMiscue: 빠뜨린/덧붙인 단어 표시)
+async function assessWithAzure(wavBuffer, referenceText, locale) {
+  const assessmentConfig = Buffer.from(JSON.stringify({
+    ReferenceText: referenceText,
+    GradingSystem: 'HundredMark',
+    Granularity: 'Phoneme',
+    Dimension: 'Comprehensive',
+    EnableMiscue: true
+  })).toString('base64');
+  const url = `https://${AZURE_SPEECH_REGION}.stt.speech.microsoft.com/speech/recognition/conversation/cognitiveservices/v1`
+    + `?language=${encodeURIComponent(locale)}&format=detailed`;
+
+  const result = await retryWithBackoff(async () => {
+    const resp = await fetchFn(url, {
+      method: 'POST',
+      headers: {
+        'Ocp-Apim-Subscription-Key': AZURE_SPEECH_KEY,
+        'Content-Type': `audio/wav; codecs=audio/pcm; samplerate=${ToneAnalyzer.TARGET_SAMPLE_RATE}`,
+        'Accept': 'application/json',
+        'Pronunciation-Assessment': assessmentConfig
+      },
+      body: wavBuffer
+    });
+    if (!resp.ok) {
+      const txt = await resp.text();
+      throw new Error(`발음 평가 오류 ${resp.status}: ${txt}`);
+    }
+    return await resp.json();
+  }, 2, 400);
+
+  const duration = (result.Duration || 0) / AZURE_TICKS_PER_SECOND;
+  recordUsage({
+    feature: 'pronunciation',
+    provider: 'azure',
+    model: PRONUNCIATION_ASSESSMENT_MODEL,
+    audioSeconds: duration,
+    cost: transcriptionCost(PRONUNCIATION_ASSESSMENT_MODEL, duration),
+    userKey: false
+  });
+
+  // NoMatch/InitialSilenceTimeout - 알아들은 소리가 없음
+  const best = result.RecognitionStatus === 'Success' ? (result.NBest || [])[0] : null;
+  if (!best) return { transcript: '', words: [], duration, confidence: null };
+
+  // REST 응답은 점수가 단어에 바로, SDK 형식은 PronunciationAssessment 안에 있음
+  const words = (best.Words || []).map(word => {
+    const scores = word.PronunciationAssessment || word;
+    const start = (word.Offset || 0) / AZURE_TICKS_PER_SECOND;
+    return {
+      text: word.Word,
+      accuracy: scores.AccuracyScore ?? 0,
+      errorType: scores.ErrorType || 'None',
+      start,
+      end: start + (word.Duration || 0) / AZURE_TICKS_PER_SECOND
+    };
+  });
+
+  return { transcript: best.Display || result.DisplayText || '', words, duration, confidence: best.Confidence ?? null };
+}
+
+// 녹음 음높이로 성조 판정 - spans가 없으면(로컬 채점) 에너지로 기준 음절 수만큼 구간을 나눔
+function measureRecordingTones(audio, referenceText, language, spans = null) {
+  const pitch = ToneAnalyzer.analyzePitch(audio.samples, audio.sampleRate);
+  const syllableSpans = spans || ToneAnalyzer.segmentSyllables(pitch, splitSyllables(referenceText, language).length);
+  return ToneAnalyzer.measureTones(pitch, syllableSpans);
+}
+
 // 🚀 메인 핸들러 - AI 문맥 번역 기능 통합
-exports.handler = async function (event, context) {
+// ===================================================
+// 💰 예산 확인 - 유료 모델 호출 전에 user_settings 예산과 이번 달 사용액 비교
+// limit_action 정책: switch(저렴한 모델 / Google TTS / 로컬 발음 채점으로 전환), warn(경고만), block(유료 호출 거절)
+// 판정 결과는 JSON 응답의 budget 필드와 X-Budget-* 헤더(오디오/스트리밍 응답 포함)로 전달
+// ===================================================
+
+const BUDGET_FALLBACK_MODEL = 'gpt-4o-mini';
+const BUDGET_FALLBACK_QUALITY = 1;
+const BUDGET_TRANSLATION_ACTIONS = new Set(['translate', 'translate-stream', 'translate-document', 'translate-batch', 'align', 'define']);
+const BUDGET_TTS_ACTIONS = new Set(['speak', 'speak-chunk']);
+
+function roundCost(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+// 이번 요청이 유료 엔진을 쓰는지 - TTS는 OpenAI 엔진일 때만, 발음 평가는 발음 평가 서비스(Azure)일 때만
+function usesPaidEngine(action, body) {
+  if (BUDGET_TRANSLATION_ACTIONS.has(action)) return true;
+  if (action === 'speak') {
+    if (body.useGoogleTTS === true) return false;
+    return body.useGoogleTTS === false || String(body.inputText || '').length >= 50;
+  }
+  if (action === 'speak-chunk') return body.useGoogleTTS !== true;
+  if (action === 'assess-pronunciation') {
+    return body.scorer !== 'local' && process.env.PRONUNCIATION_SCORER !== 'local';
+  }
+  return false;
+}
+
+// 예상 비용 계산용 모델 - 요청 모델이 없으면 각 기능의 기본 모델 (품질 1~2는 gpt-4o-mini)
+function estimateModel(action, body) {
+  if (MODEL_CATALOG[body.model]) return body.model;
+  if (action === 'align' || action === 'define') return 'gpt-4o-mini';
+  return body.useAIContext && Number(body.qualityLevel) < 3 ? 'gpt-4o-mini' : 'gpt-4o';
+}
+
+// 문서 번역 예상 글자 수 - 파싱한 세그먼트 중 이어하기로 재사용되지 않는 것만 합산
+// (읽을 수 없거나 너무 큰 문서는 핸들러가 400으로 거절하므로 0)
+function estimateDocumentChars(body) {
+  const format = detectDocumentFormat(body.fileName);
+  if (!format || typeof body.fileContent !== 'string') return 0;
+
+  const fileBuffer = Buffer.from(body.fileContent, 'base64');
+  if (fileBuffer.length > MAX_DOCUMENT_BYTES) return 0;
+
+  let segments;
+  try {
+    segments = segmentDocumentUnits(parseDocument(format, fileBuffer).units);
+  } catch (e) {
+    return 0;
+  }
+
+  const reused = new Set((Array.isArray(body.documentSegments) ? body.documentSegments : [])
+    .filter(prev => prev && prev.status === 'done')
+    .map(prev => `${prev.id}\u0000${prev.sourceText}`));
+  return segments
+    .filter(segment => !reused.has(`${segment.id}\u0000${segment.text}`))
+    .reduce((sum, segment) => sum + segment.text.length, 0);
+}
+
+// 이번 요청 예상 비용 (모델 요금표 기준 추정)
+// 발음 평가는 WAV(16kHz 16bit 모노 = 초당 32000바이트) 크기로 녹음 길이 추정
+function estimateRequestCost(action, body) {
+  const length = value => String(value || '').length;
+  const model = estimateModel(action, body);
+  // 발음 표기까지 받으면 출력이 원문의 약 2배
+  const outputFactor = body.getPronunciation === false ? 1 : 2;
+  switch (action) {
+    case 'translate':
+    case 'translate-stream': {
+      // AI 문맥 번역은 contextualPrompt가 통째로 프롬프트에 들어감
+      const promptChars = length(body.inputText) + (body.useAIContext ? length(body.contextualPrompt) : 0);
+      return estimateChatCost(model, promptChars, length(body.inputText) * outputFactor);
+    }
+    case 'translate-batch': {
+      const chars = (Array.isArray(body.segments) ? body.segments : [])
+        .reduce((sum, segment) => sum + length(typeof segment === 'string' ? segment : segment && segment.text), 0);
+      return estimateChatCost(model, chars, chars * outputFactor);
+    }
+    case 'translate-document': {
+      // 문서 번역은 발음 표기 없이 세그먼트 배치로 번역
+      const chars = estimateDocumentChars(body);
+      return estimateChatCost(model, chars, chars);
+    }
+    case 'align':
+      return estimateChatCost(model, length(body.inputText) + length(body.translatedText));
+    case 'define':
+      return estimateChatCost(model, length(body.term) + length(body.sentence), 200);
+    case 'speak':
+      return ttsCost('openai', DEFAULT_OPENAI_TTS_MODEL, length(body.inputText));
+    case 'assess-pronunciation':
+      return transcriptionCost(PRONUNCIATION_ASSESSMENT_MODEL, length(body.audioContent) * 3 / 4 / (ToneAnalyzer.TARGET_SAMPLE_RATE * 2));
+    default:
+      return 0;
+  }
+}
+
+// → null(확인 불필요/실패) 또는 { status, reason, limitAction, fallback, estimatedCost, daily, monthly }
+// status: ok | warned | downgraded | blocked, reason: daily_budget_exceeded | monthly_budget_exceeded | null
+async function checkBudget(userId, action, body) {
+  if (!userId || !usesPaidEngine(action, body)) return null;
+
+  const status = await getBudgetStatus(userId);
+  if (!status.success) {
+    console.error('[Budget] 예산 조회 실패 - 확인 없이 진행:', status.error);
+    return null;
+  }
+
+  const estimatedCost = estimateRequestCost(action, body);
+  let reason = null;
+  if (status.dailySpent + estimatedCost > status.dailyBudget) reason = 'daily_budget_exceeded';
+  else if (status.monthlySpent + estimatedCost > status.monthlyBudget) reason = 'monthly_budget_exceeded';
+
+  let decision = 'ok';
+  let fallback = null;
+  if (reason) {
+    if (status.limitAction === 'warn') {
+      decision = 'warned';
+    } else if (status.limitAction === 'switch') {
+      if (BUDGET_TRANSLATION_ACTIONS.has(action)) fallback = BUDGET_FALLBACK_MODEL;
+      else if (BUDGET_TTS_ACTIONS.has(action)) fallback = 'google-tts';
+      else if (action === 'assess-pronunciation' && body.transcript) fallback = 'local-scorer';
+      decision = fallback ? 'downgraded' : 'blocked';
+    } else {
+      decision = 'blocked';
+    }
+  }
+
+  return {
+    status: decision,
+    reason,
+    limitAction: status.limitAction,
+    fallback,
+    estimatedCost: roundCost(estimatedCost),
+    daily: {
+      budget: status.dailyBudget,
+      spent: roundCost(status.dailySpent),
+      remaining: roundCost(Math.max(0, status.dailyBudget - status.dailySpent))
+    },
+    monthly: {
+      budget: status.monthlyBudget,
+      spent: roundCost(status.monthlySpent),
+      remaining: roundCost(Math.max(0, status.monthlyBudget - status.monthlySpent))
+    }
+  };
+}
+
+function budgetHeaders(budget) {
+  return {
+    'X-Budget-Status': budget.status,
+    'X-Budget-Reason': budget.reason || 'none',
+    'X-Budget-Fallback': budget.fallback || 'none',
+    'X-Budget-Remaining-Daily': String(budget.daily.remaining),
+    'X-Budget-Remaining-Monthly': String(budget.monthly.remaining),
+    'Access-Control-Expose-Headers': 'X-Budget-Status, X-Budget-Reason, X-Budget-Fallback, X-Budget-Remaining-Daily, X-Budget-Remaining-Monthly'
+  };
+}
+
+// 🧾 요청마다 사용량 원장을 열고, 처리 후 남은 항목 기록 + 이번 요청 비용을 X-Usage-Cost 헤더로 전달
+// (실시간 스트리밍 응답은 헤더를 먼저 보내므로 done 이벤트의 usageCost 사용)
+async function handleRequest(event, context) {
+  const ledger = createUsageLedger();
+  const response = await usageLedger.run(ledger, () => processRequest(event, context));
+
+  // 실패한 요청이나 별도 기록 지점이 없는 호출(Google TTS 자동 선택 등)도 비용은 남김
+  const leftover = await commitUsage(ledger.action === 'speak' || ledger.action === 'speak-chunk' ? 'tts' : 'translation', 0, ledger);
+  if (leftover > 0) console.log(`[Usage] 요청 종료 시 남은 사용량 기록: $${leftover.toFixed(6)}`);
+
+  if (typeof response.body === 'string') {
+    const exposed = response.headers?.['Access-Control-Expose-Headers'];
+    response.headers = {
+      ...response.headers,
+      'X-Usage-Cost': String(roundCost(ledger.totalCost)),
+      'Access-Control-Expose-Headers': exposed ? `${exposed}, X-Usage-Cost` : 'X-Usage-Cost'
+    };
+  }
+  return response;
+}
+
+async function processRequest(event, context) {
+  // ⏱️ 장문/문서 번역이 부분 결과를 돌려줄 시각 (함수 시작 기준)
+  const deadline = requestDeadline(context);
   const commonHeaders = {
     'Access-Control-Allow-Origin': '*',
     'Access-Control-Allow-Headers': 'Content-Type, Authorization',
@@ -535,6 +2585,7 @@ if (authHeader && authHeader.startsWith('Bearer ')) {
   console.log('[Auth] 인증 헤더 없음 - 게스트 모드');
 }
     
+    const body = JSON.parse(event.body || '{}');
     const { 
       action, 
       inputText, 
@@ -542,19 +2593,98 @@ if (authHeader && authHeader.startsWith('Bearer ')) {
       voice, 
       language, 
       chunkIndex, 
-      useGoogleTTS, 
+      useGoogleTTS: requestedGoogleTTS, 
       voiceName,
       getPronunciation = true,
       // 🧠 새로운 AI 문맥 번역 파라미터들
       useAIContext = false,
       contextualPrompt = null,
-      qualityLevel = 3
-    } = JSON.parse(event.body || '{}');
+      qualityLevel: requestedQualityLevel = 3,
+      // 🤖 요청 모델 (OpenAI / Gemini)
+      model: clientModel = null,
+      // 🏭 전문 분야 (용어집 카테고리)
+      domain = 'general',
+      // 📚 사용자 전문용어 사전 ([원문, 번역] 쌍 배열)
+      terminology = [],
+      // 📝 번역 피드백 파라미터들
+      originalText,
+      originalTranslation,
+      correctedTranslation,
+      feedbackTargetLang,
+      // 🧠 번역 메모리 승인 (originalText + approvedTranslation, 대상 언어는 targetLang)
+      approvedTranslation,
+      pronunciation,
+      // 👥 팀 TM에 저장할 때의 팀 ID (없으면 개인 TM)
+      teamId = null,
+      // 📦 배치 번역 세그먼트 ([{ id, text }] 또는 문자열 배열)
+      segments,
+      // 📄 문서 번역 (파일명, base64 내용, 이어하기용 이전 세그먼트 결과)
+      fileName,
+      fileContent,
+      documentSegments = null,
+      // 📜 장문 번역 이어하기/재시도용 이전 청크 결과
+      longTextChunks = null,
+      // 🎤 발음 평가 (기준 문장, base64 16kHz WAV 녹음, 브라우저 음성 인식 결과, 채점기)
+      referenceText,
+      audioContent,
+      transcript,
+      scorer: requestedScorer,
+      // 🔗 단어 정렬 요청 여부 / 정렬·뜻풀이 대상 (번역문, 단어, 단어가 쓰인 문장)
+      alignment = false,
+      translatedText,
+      term,
+      sentence
+    } = body;
 
     if (!OPENAI_API_KEY) {
       throw new Error("서버 설정 오류: OPENAI_API_KEY가 없습니다.");
     }
 
+    // 🧾 이번 요청 원장에 사용자/기능 기록
+    Object.assign(usageLedger.getStore() || {}, { userId, action });
+
+    // 👥 소속 팀의 용어집/TM (요청 시점에 개인 용어와 병합)
+    let teamContext = { teamIds: [], terminology: [] };
+    if (userId && TEAM_CONTEXT_ACTIONS.has(action)) {
+      const loadedContext = await getTeamContext(userId);
+      if (loadedContext.success) {
+        teamContext = loadedContext;
+        if (teamContext.teamIds.length > 0) {
+          console.log(`[Team] 팀 ${teamContext.teamIds.length}개, 팀 용어 ${teamContext.terminology.length}개 적용`);
+        }
+      }
+    }
+
+    // 🧾 원장에 남길 팀 (팀 사용량 내보내기는 이 팀 ID로 집계)
+    if (userId) {
+      Object.assign(usageLedger.getStore() || {}, { teamId: await resolveUsageTeam(userId, teamId, teamContext.teamIds) });
+    }
+
+    // 💰 예산 확인 - block이면 유료 호출 전에 거절, switch면 저렴한 엔진으로 교체
+    const budget = await checkBudget(userId, action, body);
+    if (budget) {
+      Object.assign(commonHeaders, budgetHeaders(budget));
+      if (budget.status !== 'ok') {
+        console.log(`[Budget] ${budget.reason} - 정책: ${budget.limitAction}, 판정: ${budget.status}${budget.fallback ? ` (${budget.fallback})` : ''}`);
+      }
+      if (budget.status === 'blocked') {
+        return {
+          statusCode: 402,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            error: `${budget.reason === 'daily_budget_exceeded' ? '일일' : '월간'} 예산을 초과해서 유료 기능이 차단되었습니다.`,
+            reason: budget.reason,
+            budget
+          })
+        };
+      }
+    }
+    const downgraded = !!budget && budget.status === 'downgraded';
+    const requestedModel = downgraded && BUDGET_TRANSLATION_ACTIONS.has(action) ? BUDGET_FALLBACK_MODEL : clientModel;
+    const qualityLevel = downgraded && BUDGET_TRANSLATION_ACTIONS.has(action) ? BUDGET_FALLBACK_QUALITY : requestedQualityLevel;
+    const useGoogleTTS = downgraded && BUDGET_TTS_ACTIONS.has(action) ? true : requestedGoogleTTS;
+    const scorer = downgraded && action === 'assess-pronunciation' ? 'local' : requestedScorer;
+
     if (action === 'translate') {
   if (!inputText || !targetLang) {
     return { 
@@ -581,8 +2711,21 @@ if (authHeader && authHeader.startsWith('Bearer ')) {
   let result;
   
   try {
-    // 🧠 AI 문맥 번역 vs 일반 번역 분기
-    if (useAIContext && contextualPrompt) {
+    // 📜 장문 → 청크 순차 번역, 🧠 AI 문맥 번역 vs 일반 번역 분기
+    if (inputText.length > MAX_INPUT_CHARS || Array.isArray(longTextChunks)) {
+      console.log('[Translation] 장문 번역 모드');
+      result = await translateLongText(inputText, targetLang, {
+        qualityLevel,
+        apiKey: apiKeyToUse,
+        requestedModel,
+        googleApiKey: userApiKeys?.google,
+        domain,
+        terminology,
+        teamTerminology: teamContext.terminology,
+        previousChunks: longTextChunks,
+        deadline
+      });
+    } else if (useAIContext && contextualPrompt) {
       console.log('[Translation] AI 문맥 번역 모드, 품질 레벨:', qualityLevel);
       result = await translateWithAIContext(
         inputText, 
@@ -590,18 +2733,37 @@ if (authHeader && authHeader.startsWith('Bearer ')) {
         contextualPrompt, 
         qualityLevel, 
         getPronunciation,
-        apiKeyToUse
+        apiKeyToUse,
+        userId,
+        {
+          requestedModel,
+          googleApiKey: userApiKeys?.google,
+          domain,
+          terminology,
+          teamTerminology: teamContext.terminology,
+          teamIds: teamContext.teamIds,
+          alignment
+        }
       );
     } else {
       console.log('[Translation] 일반 번역 모드');
-      result = await translateAndPronounceSingleCall(inputText, targetLang, getPronunciation, apiKeyToUse);
+      result = await translateAndPronounceSingleCall(inputText, targetLang, getPronunciation, apiKeyToUse, userId, {
+        requestedModel,
+        googleApiKey: userApiKeys?.google,
+        domain,
+        terminology,
+        teamTerminology: teamContext.terminology,
+        teamIds: teamContext.teamIds,
+        alignment
+      });
     }
     
-    // 🔧 개선: 사용량 추적 강화
+    // 🔧 개선: 사용량 추적 강화 (장문은 이번 요청에서 실제 번역한 청크 기준)
+    const billedChars = result.longText ? result.translatedChars : inputText.length;
+    if (!result.longText && !hasPendingUsage()) recordCacheSavings(action, body);
+    const usageCost = await commitUsage('translation', billedChars);
     if (userId) {
-      const cost = inputText.length * 0.000015; // OpenAI 요금 계산
-      await trackUsage(userId, 'translation', inputText.length, cost, 'openai');
-      console.log(`[Usage] 사용량 추적: ${inputText.length}자, 비용: $${cost.toFixed(6)}`);
+      console.log(`[Usage] 사용량 추적: ${billedChars}자, 비용: $${usageCost.toFixed(6)} (${result.model || result.provider || 'openai'})`);
     }
     
     // 문장 분할 추가
@@ -614,8 +2776,19 @@ if (authHeader && authHeader.startsWith('Bearer ')) {
       result.qualityLevel = qualityLevel;
     }
     
-    // 🔧 추가: 응답에 사용된 API 키 정보 포함
+    // 🔧 추가: 응답에 사용된 API 키 및 모델 정보 포함 (캐시/피드백 응답은 model 없음)
     result.usedUserKey = isUserKey;
+    result.model = result.model || null;
+    result.provider = result.provider || null;
+    result.requestedModel = clientModel;
+    result.sourceDetection = detectLanguage(inputText);
+    result.glossaryApplied = result.glossaryApplied || [];
+    result.glossaryViolations = result.glossaryViolations || [];
+    result.tmMatch = result.tmMatch || null;
+    result.budget = budget;
+    if (result.glossaryViolations.length > 0) {
+      console.log('[Glossary] 재요청 후에도 남은 용어 위반:', result.glossaryViolations.map(v => v.source).join(', '));
+    }
     
     return {
       statusCode: 200,
@@ -638,6 +2811,285 @@ if (authHeader && authHeader.startsWith('Bearer ')) {
         body: JSON.stringify(result),
       };
 
+    } else if (action === 'save-feedback') {
+      if (!userId) {
+        return {
+          statusCode: 401,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ success: false, error: '로그인이 필요합니다.' })
+        };
+      }
+      if (!originalText || !correctedTranslation || !feedbackTargetLang) {
+        return {
+          statusCode: 400,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ success: false, error: 'originalText, correctedTranslation, feedbackTargetLang이 필요합니다.' })
+        };
+      }
+
+      const feedbackResult = await saveTranslationFeedback(userId, {
+        sourceText: originalText,
+        targetLang: feedbackTargetLang,
+        originalTranslation,
+        correctedTranslation
+      });
+
+      console.log(`[Feedback] 피드백 저장 ${feedbackResult.success ? '성공' : '실패'} - 사용자: ${userId}`);
+
+      return {
+        statusCode: feedbackResult.success ? 200 : 500,
+        headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+        body: JSON.stringify(feedbackResult.success
+          ? { success: true, message: '피드백이 저장되었습니다.' }
+          : { success: false, error: feedbackResult.error })
+      };
+
+    } else if (action === 'save-translation-memory') {
+      if (!userId) {
+        return {
+          statusCode: 401,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ success: false, error: '로그인이 필요합니다.' })
+        };
+      }
+      if (!originalText || !approvedTranslation || !targetLang) {
+        return {
+          statusCode: 400,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ success: false, error: 'originalText, approvedTranslation, targetLang이 필요합니다.' })
+        };
+      }
+
+      // 👥 팀 TM은 owner/editor만 저장 가능
+      if (teamId) {
+        const membership = await getTeamMembership(userId, teamId);
+        if (!membership.success || !canEditTeamContent(membership.role)) {
+          return {
+            statusCode: 403,
+            headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ success: false, error: '팀 번역 메모리를 수정할 권한이 없습니다.' })
+          };
+        }
+      }
+
+      const memoryResult = await saveTranslationMemory(userId, {
+        sourceText: originalText,
+        sourceLang: detectLanguage(originalText).language,
+        targetLang,
+        targetText: approvedTranslation,
+        pronunciation
+      }, teamId);
+
+      console.log(`[TM] 번역 메모리 저장 ${memoryResult.success ? '성공' : '실패'} - 사용자: ${userId}`);
+
+      return {
+        statusCode: memoryResult.success ? 200 : 500,
+        headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+        body: JSON.stringify(memoryResult.success
+          ? { success: true, message: '번역 메모리에 저장되었습니다.' }
+          : { success: false, error: memoryResult.error })
+      };
+
+    } else if (action === 'translate-stream') {
+      if (!inputText || !targetLang) {
+        return { 
+          statusCode: 400, 
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' }, 
+          body: JSON.stringify({ error: "inputText와 targetLang이 필요합니다.", fallbackToNormal: true }) 
+        };
+      }
+      if (inputText.length > MAX_INPUT_CHARS) {
+        return {
+          statusCode: 400,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error: `입력 길이 초과 (최대 ${MAX_INPUT_CHARS}자)`, fallbackToNormal: true })
+        };
+      }
+
+      const apiKeyToUse = userApiKeys?.openai || OPENAI_API_KEY;
+      console.log(`[Streaming] 요청 - 실시간 스트리밍: ${supportsResponseStreaming ? '지원' : '미지원(버퍼링)'}`);
+
+      // 🔧 사용량 추적 (번역과 동일 기준, 토큰 수는 스트림이 끝나야 알 수 있어서 마지막에 기록)
+      return buildNDJSONResponse(commitUsageAfter(streamTranslationEvents(inputText, targetLang, {
+        getPronunciation,
+        useAIContext,
+        contextualPrompt,
+        qualityLevel,
+        apiKey: apiKeyToUse,
+        requestedModel,
+        googleApiKey: userApiKeys?.google,
+        domain,
+        terminology,
+        teamTerminology: teamContext.terminology,
+        teamIds: teamContext.teamIds,
+        userId
+      }), 'translation', inputText.length), commonHeaders);
+
+    } else if (action === 'translate-document') {
+      const format = detectDocumentFormat(fileName);
+      if (!format || !fileContent || !targetLang) {
+        return {
+          statusCode: 400,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error: "fileName(.txt/.srt/.docx), fileContent(base64), targetLang이 필요합니다." })
+        };
+      }
+
+      const fileBuffer = Buffer.from(fileContent, 'base64');
+      if (fileBuffer.length > MAX_DOCUMENT_BYTES) {
+        return {
+          statusCode: 400,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error: `파일 크기 초과 (최대 ${MAX_DOCUMENT_BYTES / 1024 / 1024}MB)` })
+        };
+      }
+
+      let parsedDocument;
+      try {
+        parsedDocument = parseDocument(format, fileBuffer);
+      } catch (parseError) {
+        return {
+          statusCode: 400,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error: `문서를 읽을 수 없습니다: ${parseError.message}` })
+        };
+      }
+
+      const documentChars = parsedDocument.units.reduce((sum, unit) => sum + unit.text.length, 0);
+      if (parsedDocument.units.length === 0 || documentChars > MAX_DOCUMENT_CHARS) {
+        return {
+          statusCode: 400,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error: parsedDocument.units.length === 0
+            ? '번역할 텍스트가 없습니다.'
+            : `문서 길이 초과 (최대 ${MAX_DOCUMENT_CHARS}자, 현재 ${documentChars}자)` })
+        };
+      }
+
+      console.log(`[Document] ${fileName} (${format}) - 단위 ${parsedDocument.units.length}개, ${documentChars}자`);
+
+      return buildNDJSONResponse(streamDocumentTranslationEvents(
+        { fileName, format, ...parsedDocument },
+        targetLang,
+        {
+          qualityLevel,
+          apiKey: userApiKeys?.openai || OPENAI_API_KEY,
+          requestedModel,
+          googleApiKey: userApiKeys?.google,
+          domain,
+          terminology,
+          teamTerminology: teamContext.terminology,
+          teamIds: teamContext.teamIds,
+          userId,
+          previousSegments: documentSegments,
+          deadline
+        }
+      ), commonHeaders);
+
+    } else if (action === 'translate-batch') {
+      if (!Array.isArray(segments) || segments.length === 0 || !targetLang) {
+        return {
+          statusCode: 400,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error: "segments 배열과 targetLang이 필요합니다." })
+        };
+      }
+      if (segments.length > MAX_BATCH_SEGMENTS) {
+        return {
+          statusCode: 400,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error: `세그먼트 수 초과 (최대 ${MAX_BATCH_SEGMENTS}개)` })
+        };
+      }
+      const totalChars = segments.reduce((sum, seg) => sum + ((typeof seg === 'string' ? seg : seg?.text) || '').length, 0);
+      if (totalChars > MAX_BATCH_TOTAL_CHARS) {
+        return {
+          statusCode: 400,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error: `배치 전체 길이 초과 (최대 ${MAX_BATCH_TOTAL_CHARS}자)` })
+        };
+      }
+
+      const batchResult = await translateBatch(segments, targetLang, {
+        getPronunciation,
+        qualityLevel,
+        apiKey: userApiKeys?.openai || OPENAI_API_KEY,
+        requestedModel,
+        googleApiKey: userApiKeys?.google,
+        domain,
+        terminology,
+        teamTerminology: teamContext.terminology,
+        teamIds: teamContext.teamIds,
+        userId
+      });
+
+      // 🔧 사용량 추적 (캐시 히트 제외, 실제 번역된 글자 수 기준)
+      await commitUsage('translation', batchResult.stats.translatedChars);
+
+      console.log(`[Batch] 완료 - 성공 ${batchResult.stats.succeeded}, 실패 ${batchResult.stats.failed}, 캐시 ${batchResult.stats.fromCache}`);
+
+      return {
+        statusCode: 200,
+        headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ...batchResult,
+          requestedModel,
+          usedUserKey: !!userApiKeys?.openai
+        })
+      };
+
+    } else if (action === 'align') {
+      if (!inputText || !translatedText || !targetLang) {
+        return {
+          statusCode: 400,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error: "inputText, translatedText, targetLang이 필요합니다." })
+        };
+      }
+
+      const result = await alignTranslation(inputText, translatedText, targetLang, {
+        apiKey: userApiKeys?.openai,
+        requestedModel,
+        googleApiKey: userApiKeys?.google
+      });
+      await commitUsage('translation', inputText.length + translatedText.length);
+      console.log(`[Alignment] 정렬 ${result.alignment.length}쌍`);
+
+      return {
+        statusCode: 200,
+        headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ success: true, ...result })
+      };
+
+    } else if (action === 'define') {
+      const defineError = typeof term !== 'string' || !term.trim() ? "term(문자열)이 필요합니다."
+        : term.trim().length > MAX_DEFINE_TERM_CHARS ? `단어 길이 초과 (최대 ${MAX_DEFINE_TERM_CHARS}자)`
+        : sentence != null && typeof sentence !== 'string' ? "sentence는 문자열이어야 합니다."
+        : null;
+      if (defineError) {
+        return {
+          statusCode: 400,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error: defineError })
+        };
+      }
+
+      const result = await defineTerm(term, {
+        context: sentence,
+        language,
+        apiKey: userApiKeys?.openai,
+        requestedModel,
+        googleApiKey: userApiKeys?.google
+      });
+      await commitUsage('translation', term.length + String(sentence || '').length);
+      console.log(`[Define] "${result.term}" → ${result.definition}`);
+
+      return {
+        statusCode: 200,
+        headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ success: true, ...result })
+      };
+
     } else if (action === 'speak') {
   if (!inputText) {
     return { 
@@ -667,24 +3119,20 @@ if (authHeader && authHeader.startsWith('Bearer ')) {
     if (useGoogleTTS === true) {
       console.log('[Speak] Google TTS 선택 (명시적)');
       
-      let languageCode = 'vi-VN';
-      if (language === 'Korean') {
-        languageCode = 'ko-KR';
-      } else if (language === 'English') {
-        languageCode = 'en-US';
-      } else if (language === 'Vietnamese') {
-        languageCode = 'vi-VN';
-      }
+      const languageCode = ttsLanguageCode(language);
       
       try {
         audioBuffer = await getGoogleTTS(
           inputText, 
           languageCode,
           voiceName || null,
-          1.0
+          1.0,
+          { allowOpenAIFallback: !downgraded }
         );
         console.log('[Speak] Google TTS 성공');
       } catch (e) {
+        // 예산 초과로 Google TTS로 전환된 요청은 유료 OpenAI TTS로 되돌아가지 않음
+        if (downgraded) throw e;
         console.error('[Speak] Google TTS 실패, OpenAI로 전환:', e.message);
         audioBuffer = await getOpenAITTS(inputText, voice || 'nova', ttsApiKey);
       }
@@ -695,19 +3143,10 @@ if (authHeader && authHeader.startsWith('Bearer ')) {
       try {
         audioBuffer = await getOpenAITTS(inputText, voice || 'nova', ttsApiKey);
         console.log('[Speak] OpenAI TTS 성공');
-        
-        // 🔧 추가: 사용량 추적 (OpenAI TTS 사용 시)
-        if (userId) {
-          const cost = inputText.length * 0.000015;
-          await trackUsage(userId, 'tts', inputText.length, cost, 'openai');
-          console.log(`[Usage] TTS 사용량 추적: ${inputText.length}자, 비용: $${cost.toFixed(6)}`);
-        }
       } catch (e) {
         console.error('[Speak] OpenAI TTS 실패:', e.message);
         
-        let languageCode = 'vi-VN';
-        if (language === 'Korean') languageCode = 'ko-KR';
-        else if (language === 'English') languageCode = 'en-US';
+        const languageCode = ttsLanguageCode(language);
         
         try {
           audioBuffer = await getGoogleTTS(inputText, languageCode, voiceName, 1.0);
@@ -721,20 +3160,11 @@ if (authHeader && authHeader.startsWith('Bearer ')) {
       console.log('[Speak] TTS 자동 선택 모드');
       
       if (inputText.length < 50) {
-        let languageCode = 'vi-VN';
-        if (language === 'Korean') languageCode = 'ko-KR';
-        else if (language === 'English') languageCode = 'en-US';
+        const languageCode = ttsLanguageCode(language);
         
         audioBuffer = await getGoogleTTS(inputText, languageCode, voiceName, 1.0);
       } else {
         audioBuffer = await getOpenAITTS(inputText, voice || 'nova', ttsApiKey);
-        
-        // 🔧 추가: 자동 모드에서 OpenAI 사용 시 사용량 추적
-        if (userId) {
-          const cost = inputText.length * 0.000015;
-          await trackUsage(userId, 'tts', inputText.length, cost, 'openai');
-          console.log(`[Usage] 자동모드 TTS 사용량 추적: ${inputText.length}자, 비용: $${cost.toFixed(6)}`);
-        }
       }
     }
     
@@ -748,6 +3178,10 @@ if (authHeader && authHeader.startsWith('Bearer ')) {
     }
     
     console.log('[Speak] 최종 버퍼 크기:', audioBuffer.length);
+
+    // 🔧 사용량 추적 (Google/OpenAI 모두 엔진별 글자 단가로 계산)
+    const usageCost = await commitUsage('tts', inputText.length);
+    if (userId) console.log(`[Usage] TTS 사용량 추적: ${inputText.length}자, 비용: $${usageCost.toFixed(6)}`);
     
     return {
       statusCode: 200,
@@ -789,16 +3223,15 @@ if (authHeader && authHeader.startsWith('Bearer ')) {
       let audioBuffer;
       
       if (useGoogleTTS === true) {
-        let languageCode = 'vi-VN';
-        if (language === 'Korean') languageCode = 'ko-KR';
-        else if (language === 'English') languageCode = 'en-US';
+        const languageCode = ttsLanguageCode(language);
         
         try {
           audioBuffer = await getGoogleTTS(
             chunkText, 
             languageCode,
             voiceName || null,
-            1.0
+            1.0,
+            { allowOpenAIFallback: !downgraded }
           );
         } catch (e) {
           return {
@@ -813,6 +3246,7 @@ if (authHeader && authHeader.startsWith('Bearer ')) {
       } else {
         audioBuffer = await getOpenAITTS(chunkText, voice || 'alloy');
       }
+      await commitUsage('tts', chunkText.length);
       
       return {
         statusCode: 200,
@@ -826,6 +3260,86 @@ if (authHeader && authHeader.startsWith('Bearer ')) {
         }),
       };
       
+    } else if (action === 'assess-pronunciation') {
+      if (!referenceText || !language) {
+        return {
+          statusCode: 400,
+          headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error: "referenceText와 language가 필요합니다." })
+        };
+      }
+
+      const useLocalScorer = scorer === 'local' || process.env.PRONUNCIATION_SCORER === 'local';
+      const tonal = isTonalLanguage(language);
+
+      let audio = null;
+      if (audioContent) {
+        const audioBuffer = Buffer.from(audioContent, 'base64');
+        if (audioBuffer.length > MAX_PRONUNCIATION_AUDIO_BYTES) {
+          return {
+            statusCode: 400,
+            headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ error: `녹음 크기 초과 (최대 ${MAX_PRONUNCIATION_AUDIO_BYTES / 1024 / 1024}MB)` })
+          };
+        }
+        audio = { buffer: audioBuffer, ...ToneAnalyzer.decodeWav(audioBuffer) };
+      }
+      const validRecording = !!audio && audio.sampleRate === ToneAnalyzer.TARGET_SAMPLE_RATE;
+
+      let assessment;
+      if (useLocalScorer) {
+        if (!transcript) {
+          return {
+            statusCode: 400,
+            headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ error: "로컬 채점에는 transcript가 필요합니다." })
+          };
+        }
+        assessment = scorePronunciation({
+          referenceText,
+          recognizedText: transcript,
+          language,
+          tones: tonal && validRecording ? measureRecordingTones(audio, referenceText, language) : null
+        });
+      } else {
+        if (!validRecording) {
+          return {
+            statusCode: 400,
+            headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ error: `audioContent(base64 ${ToneAnalyzer.TARGET_SAMPLE_RATE / 1000}kHz 모노 WAV 녹음)가 필요합니다.` })
+          };
+        }
+        if (!AZURE_SPEECH_KEY || !AZURE_SPEECH_REGION) {
+          return {
+            statusCode: 503,
+            headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ error: "발음 평가 서비스(AZURE_SPEECH_KEY/AZURE_SPEECH_REGION)가 설정되지 않았습니다.", fallbackToLocal: true })
+          };
+        }
+
+        const result = await assessWithAzure(audio.buffer, referenceText, speechLocale(language));
+        await commitUsage('pronunciation', 1);
+
+        // 빠뜨린 단어는 녹음 구간이 없어 성조 판정 제외
+        const tones = tonal
+          ? measureRecordingTones(audio, referenceText, language, result.words.map(word => (word.end > word.start ? word : null)))
+          : [];
+        assessment = scoreAcousticPronunciation({
+          referenceText,
+          language,
+          words: result.words.map((word, index) => ({ ...word, tone: tones[index] || null })),
+          transcript: result.transcript,
+          confidence: result.confidence
+        });
+      }
+      console.log(`[Pronunciation] ${useLocalScorer ? '로컬' : 'azure'} 채점 - "${referenceText}" → "${assessment.transcript}" (${assessment.overall}점)`);
+
+      return {
+        statusCode: 200,
+        headers: { ...commonHeaders, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ success: true, engine: useLocalScorer ? 'local' : 'azure', ...assessment })
+      };
+
     } else {
       return { 
         statusCode: 400, 
@@ -844,4 +3358,18 @@ if (authHeader && authHeader.startsWith('Bearer ')) {
       }),
     };
   }
-};
\ No newline at end of file
+}
+
+// 🚀 스트리밍 런타임용 어댑터: 기존 base64 오디오 응답을 바이너리 스트림으로 변환
+async function handleStreamingRequest(event, context) {
+  const response = await handleRequest(event, context);
+  if (response.isBase64Encoded && typeof response.body === 'string') {
+    const { isBase64Encoded, body, ...rest } = response;
+    return { ...rest, body: Readable.from([Buffer.from(body, 'base64')]) };
+  }
+  return response;
+}
+
+exports.handler = supportsResponseStreaming
+  ? streamifyHandler(handleStreamingRequest)
+  : handleRequest;
@@ -0,0 +1,215 @@
+// usage-export.js - 사용량 원장(usage_ledger) 내보내기/월별 정산서 생성 (auth.js export-usage)
+// entries: getUsageLedger 결과 [{ userId, teamId, createdAt, date, feature, provider, model, promptTokens, completionTokens,
+//           characters, audioSeconds, cost, savedCost, cacheHit, userKey }]
+// - 항목(items): 월 + groupBy 차원(user/team/feature/model)별 합계
+// - 정산서(statements): 월별 합계, 캐시 절약액, 사용자 본인 API 키로 쓴 비용(환급 대상)
+const { escapeDelimitedField } = require('../../js/glossary-formats');
+
+const USAGE_GROUP_DIMENSIONS = ['user', 'team', 'feature', 'model'];
+const USAGE_EXPORT_FORMATS = ['json', 'csv'];
+
+function roundUSD(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+function emptyTotals() {
+  return {
+    requests: 0,
+    cacheHits: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    characters: 0,
+    audioSeconds: 0,
+    cost: 0,
+    savedCost: 0,
+    userKeyCost: 0
+  };
+}
+
+function addEntry(totals, entry) {
+  if (entry.cacheHit) totals.cacheHits++;
+  else totals.requests++;
+  totals.promptTokens += entry.promptTokens || 0;
+  totals.completionTokens += entry.completionTokens || 0;
+  totals.characters += entry.characters || 0;
+  totals.audioSeconds += entry.audioSeconds || 0;
+  totals.cost += entry.cost || 0;
+  totals.savedCost += entry.savedCost || 0;
+  if (entry.userKey) totals.userKeyCost += entry.cost || 0;
+  return totals;
+}
+
+function finishTotals(totals) {
+  return {
+    ...totals,
+    audioSeconds: Math.round(totals.audioSeconds * 10) / 10,
+    cost: roundUSD(totals.cost),
+    savedCost: roundUSD(totals.savedCost),
+    userKeyCost: roundUSD(totals.userKeyCost),
+    systemKeyCost: roundUSD(totals.cost - totals.userKeyCost)
+  };
+}
+
+function normalizeGroupBy(groupBy) {
+  const requested = Array.isArray(groupBy) ? groupBy : String(groupBy || '').split(',');
+  const dimensions = USAGE_GROUP_DIMENSIONS.filter(dimension => requested.map(d => String(d).trim()).includes(dimension));
+  return dimensions.length > 0 ? dimensions : USAGE_GROUP_DIMENSIONS;
+}
+
+// 항목의 그룹 키 값 - 모델은 프로바이더와 함께 구분 (캐시 절약 항목은 provider: cache)
+// 팀은 원장 항목의 team_id 기준 (개인 사용량은 teamId: null)
+function dimensionValues(entry, dimensions, teamNames) {
+  return {
+    month: entry.date.slice(0, 7),
+    ...(dimensions.includes('user') && { userId: entry.userId }),
+    ...(dimensions.includes('team') && { teamId: entry.teamId || null, teamName: (entry.teamId && teamNames[entry.teamId]) || null }),
+    ...(dimensions.includes('feature') && { feature: entry.feature }),
+    ...(dimensions.includes('model') && { provider: entry.provider, model: entry.model })
+  };
+}
+
+// teamNames: { [teamId]: 팀 이름 }
+// → [{ month, userId?, teamId?, teamName?, feature?, provider?, model?, ...totals }] (월 → 비용 큰 순)
+function groupUsageEntries(entries, { groupBy, teamNames = {} } = {}) {
+  const dimensions = normalizeGroupBy(groupBy);
+  const groups = new Map();
+
+  entries.forEach(entry => {
+    const key = dimensionValues(entry, dimensions, teamNames);
+    const id = JSON.stringify(key);
+    if (!groups.has(id)) groups.set(id, { key, totals: emptyTotals() });
+    addEntry(groups.get(id).totals, entry);
+  });
+
+  return Array.from(groups.values())
+    .map(({ key, totals }) => ({ ...key, ...finishTotals(totals) }))
+    .sort((a, b) => a.month.localeCompare(b.month) || b.cost - a.cost);
+}
+
+// 월별 정산서 - 사용자별 비용과 본인 키 비용(환급 대상), 등록된 개인 키 프로바이더
+// apiKeyOwners: { [userId]: ['openai', 'google'] } (user_api_keys의 활성 키)
+function buildMonthlyStatements(entries, { team = null, apiKeyOwners = {} } = {}) {
+  const months = new Map();
+
+  entries.forEach(entry => {
+    const month = entry.date.slice(0, 7);
+    if (!months.has(month)) months.set(month, { totals: emptyTotals(), users: new Map(), features: new Map() });
+    const statement = months.get(month);
+
+    addEntry(statement.totals, entry);
+    if (!statement.users.has(entry.userId)) statement.users.set(entry.userId, emptyTotals());
+    addEntry(statement.users.get(entry.userId), entry);
+    if (!statement.features.has(entry.feature)) statement.features.set(entry.feature, emptyTotals());
+    addEntry(statement.features.get(entry.feature), entry);
+  });
+
+  return Array.from(months.entries())
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([month, statement]) => {
+      const totals = finishTotals(statement.totals);
+      return {
+        month,
+        teamId: team ? team.id : null,
+        teamName: team ? team.name : null,
+        totals,
+        byFeature: Array.from(statement.features.entries())
+          .map(([feature, featureTotals]) => ({ feature, ...finishTotals(featureTotals) }))
+          .sort((a, b) => b.cost - a.cost),
+        users: Array.from(statement.users.entries())
+          .map(([userId, userTotals]) => {
+            const finished = finishTotals(userTotals);
+            return {
+              userId,
+              ...finished,
+              registeredKeys: apiKeyOwners[userId] || [],
+              reimbursement: finished.userKeyCost
+            };
+          })
+          .sort((a, b) => b.cost - a.cost),
+        reimbursementTotal: totals.userKeyCost
+      };
+    });
+}
+
+const ITEM_COLUMNS = [
+  ['month', 'month'],
+  ['user_id', 'userId'],
+  ['team_id', 'teamId'],
+  ['team_name', 'teamName'],
+  ['feature', 'feature'],
+  ['provider', 'provider'],
+  ['model', 'model'],
+  ['requests', 'requests'],
+  ['cache_hits', 'cacheHits'],
+  ['prompt_tokens', 'promptTokens'],
+  ['completion_tokens', 'completionTokens'],
+  ['characters', 'characters'],
+  ['audio_seconds', 'audioSeconds'],
+  ['cost_usd', 'cost'],
+  ['saved_usd', 'savedCost'],
+  ['user_key_cost_usd', 'userKeyCost'],
+  ['system_key_cost_usd', 'systemKeyCost']
+];
+
+const STATEMENT_COLUMNS = [
+  ['month', 'month'],
+  ['user_id', 'userId'],
+  ['team_name', 'teamName'],
+  ['requests', 'requests'],
+  ['cache_hits', 'cacheHits'],
+  ['cost_usd', 'cost'],
+  ['saved_usd', 'savedCost'],
+  ['system_key_cost_usd', 'systemKeyCost'],
+  ['reimbursement_usd', 'reimbursement'],
+  ['registered_keys', 'registeredKeys']
+];
+
+function csvLine(columns, row) {
+  return columns
+    .map(([, key]) => {
+      const value = row[key];
+      if (value === null || value === undefined) return '';
+      return escapeDelimitedField(Array.isArray(value) ? value.join(' ') : String(value), ',');
+    })
+    .join(',');
+}
+
+// CSV - 항목 표 다음에 빈 줄을 두고 월별 정산 표 (사용자별 행 + 월 합계 행)
+// 용어집 내보내기와 같이 UTF-8 BOM을 붙여 Excel에서 한글이 깨지지 않도록 함
+function usageExportToCSV(items, statements, { groupBy } = {}) {
+  const dimensions = normalizeGroupBy(groupBy);
+  const itemColumns = ITEM_COLUMNS.filter(([, key]) => {
+    if (key === 'userId') return dimensions.includes('user');
+    if (key === 'teamId' || key === 'teamName') return dimensions.includes('team');
+    if (key === 'feature') return dimensions.includes('feature');
+    if (key === 'provider' || key === 'model') return dimensions.includes('model');
+    return true;
+  });
+
+  const lines = [itemColumns.map(([name]) => name).join(',')];
+  items.forEach(item => lines.push(csvLine(itemColumns, item)));
+
+  lines.push('');
+  lines.push(STATEMENT_COLUMNS.map(([name]) => name).join(','));
+  statements.forEach(statement => {
+    statement.users.forEach(user => lines.push(csvLine(STATEMENT_COLUMNS, { ...user, month: statement.month, teamName: statement.teamName })));
+    lines.push(csvLine(STATEMENT_COLUMNS, {
+      ...statement.totals,
+      month: statement.month,
+      userId: 'TOTAL',
+      teamName: statement.teamName,
+      reimbursement: statement.reimbursementTotal
+    }));
+  });
+
+  return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  USAGE_GROUP_DIMENSIONS,
+  USAGE_EXPORT_FORMATS,
+  normalizeGroupBy,
+  groupUsageEntries,
+  buildMonthlyStatements,
+  usageExportToCSV
+};